@@ -56,6 +56,7 @@ if (typeof passportSetup === 'function') {
 // Models
 const User = safeRequire(path.join(__dirname, 'models', 'User'));
 const Candidate = safeRequire(path.join(__dirname, 'models', 'Candidate'));
+const { clientNameStages } = require('./utils/clientLookup');
 
 // Init app
 const app = express();
@@ -115,6 +116,13 @@ app.use(async (req, res, next) => {
   next();
 });
 
+// Role permissions (`can()` in views, checked by the route guards)
+const { loadPermissions, can } = require('./middlewares/permissionMiddleware');
+app.use(loadPermissions);
+
+// Roles can demand two-factor sign-in; members without it are sent to set it up
+app.use(require('./middlewares/authMiddleware').requireTwoFactorSetup);
+
 // Auth middleware
 const { ensureAuthenticated } =
   safeRequire(path.join(__dirname, 'middlewares', 'authMiddleware')) || {
@@ -135,10 +143,23 @@ const safeUse = (mount, relPath) => {
 // ===== ROUTES =====
 safeUse('/', 'routes/auth');
 safeUse('/admin/recruiters', 'routes/admin/recruiters');
+safeUse('/admin/users', 'routes/adminUser');
+safeUse('/admin/clients', 'routes/admin/clients');
+safeUse('/admin/jobs', 'routes/admin/jobs');
+safeUse('/admin/audit', 'routes/admin/audit');
+safeUse('/admin/trash', 'routes/admin/trash');
+safeUse('/admin/logins', 'routes/admin/logins');
+safeUse('/admin/merge', 'routes/admin/merge');
+safeUse('/admin/settings', 'routes/admin/settings');
+safeUse('/admin/api-tokens', 'routes/admin/apiTokens');
+safeUse('/admin/roles', 'routes/admin/roles');
 safeUse('/admin/dashboard', 'routes/admin/dashboard');
 safeUse('/candidates', 'routes/candidates');
+safeUse('/api/v1/candidates', 'routes/api/v1/candidates');
+safeUse('/interviews', 'routes/interviews');
 safeUse('/profile', 'routes/profile');
 safeUse('/recruiter', 'routes/recruiter/dashboard');
+safeUse('/team', 'routes/team/dashboard');
 
 // Home page
 app.get('/', (req, res) => {
@@ -170,7 +191,7 @@ app.get('/dashboard', ensureAuthenticated, async (req, res, next) => {
 });
 
 // Dashboard stats API
-app.get('/api/dashboard-stats', ensureAuthenticated, async (req, res) => {
+app.get('/api/dashboard-stats', ensureAuthenticated, can('dashboard:view:all'), async (req, res) => {
   try {
     const { recruiterId, date } = req.query;
     const filter = {};
@@ -206,6 +227,7 @@ app.get('/api/dashboard-stats', ensureAuthenticated, async (req, res) => {
       ? await Candidate.aggregate([
           { $match: filter },
           { $group: { _id: '$client', calls: { $sum: 1 } } },
+          ...clientNameStages('_id'),
           { $sort: { calls: -1 } },
         ])
       : [];
@@ -248,10 +270,19 @@ io.on('connection', (socket) => {
   socket.on('disconnect', () => console.log('Socket disconnected:', socket.id));
 });
 
+// ===== TRASH =====
+// Purge records that have outlived the trash retention window, hourly
+const { purgeExpired } = require('./utils/trash');
+const runTrashPurge = () => purgeExpired()
+  .then(counts => Object.keys(counts).length && console.log('Trash purged:', counts))
+  .catch(err => console.error('Trash purge error:', err));
+setInterval(runTrashPurge, 60 * 60 * 1000).unref();
+
 // Start server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
+  runTrashPurge();
 });
 
 module.exports = app;
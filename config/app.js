@@ -0,0 +1,40 @@
+// backend/config/app.js
+// Application-wide settings read from the environment.
+
+const port = process.env.PORT || 3000;
+
+module.exports = {
+  port,
+  // Public URL used when building links that leave the app (emails, calendar feeds)
+  baseUrl: (process.env.BASE_URL || `http://localhost:${port}`).replace(/\/+$/, ''),
+  // Name authenticator apps show next to the two-factor code
+  totpIssuer: process.env.TOTP_ISSUER || 'ADYAHR Recruitment',
+  // Google sign-in (off unless GOOGLE_AUTH_ENABLED=true). Only verified
+  // emails on allowedDomains may use it, and only for accounts that linked
+  // Google from their profile or were invited. With GOOGLE_AUTH_MOCK=true a
+  // local form stands in for Google so the flow works offline; it is never
+  // used in production.
+  google: {
+    enabled:        process.env.GOOGLE_AUTH_ENABLED === 'true',
+    mock:           process.env.GOOGLE_AUTH_MOCK === 'true' && process.env.NODE_ENV !== 'production',
+    clientID:       process.env.GOOGLE_CLIENT_ID,
+    clientSecret:   process.env.GOOGLE_CLIENT_SECRET,
+    callbackURL:    '/auth/google/callback',
+    allowedDomains: (process.env.GOOGLE_ALLOWED_DOMAINS || '')
+      .split(',').map(d => d.trim().toLowerCase()).filter(Boolean)
+  },
+  // Days an emailed invitation link stays valid (resending starts again)
+  inviteTtlDays: Number(process.env.INVITE_TTL_DAYS) || 7,
+  // Days a deleted record stays in the trash before it is purged, unless an
+  // admin has set a different number under Admin → Trash
+  trashRetentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+  // Sign-in throttling: an account locks for lockMinutes after maxFailures
+  // wrong passwords in a row; an IP is refused for a while after
+  // maxIpFailures failures within ipWindowMinutes
+  login: {
+    maxFailures:     Number(process.env.LOGIN_MAX_FAILURES) || 5,
+    lockMinutes:     Number(process.env.LOGIN_LOCK_MINUTES) || 15,
+    maxIpFailures:   Number(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+    ipWindowMinutes: Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15
+  }
+};
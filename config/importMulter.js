@@ -0,0 +1,24 @@
+// backend/config/importMulter.js
+const multer = require('multer');
+const path   = require('path');
+const { ALLOWED_EXTS } = require('../utils/candidateImport');
+
+// Sheets are small and parked by the import utility, so keep them in memory
+const storage = multer.memoryStorage();
+
+function importFileFilter(req, file, cb) {
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (ALLOWED_EXTS.includes(ext)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .xlsx and .csv files are allowed'));
+  }
+}
+
+const importUpload = multer({
+  storage,
+  fileFilter: importFileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+module.exports = importUpload;
@@ -0,0 +1,25 @@
+// backend/config/mail.js
+const path = require('path');
+
+/**
+ * Mail transport settings.
+ *
+ *   MAIL_TRANSPORT=smtp  – real delivery via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *   MAIL_TRANSPORT=file  – write each message as an .eml file into MAIL_DIR (dev)
+ *   MAIL_TRANSPORT=json  – log the message as JSON to the console (dev, default without SMTP_HOST)
+ */
+const transport = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json')).toLowerCase();
+
+module.exports = {
+  transport,
+  from: process.env.MAIL_FROM || 'ADYAHR Recruitment <no-reply@localhost>',
+  dir: process.env.MAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail'),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  }
+};
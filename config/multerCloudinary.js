@@ -1,6 +1,7 @@
 // backend/config/multerCloudinary.js
 
 const multer = require('multer');
+const { Readable } = require('stream');
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const cloudinary = require('./cloudinary'); // Make sure this exports configured cloudinary
 
@@ -24,7 +25,26 @@ const storage = new CloudinaryStorage({
   }
 });
 
+// Resumes are read into memory on their way to Cloudinary so their text
+// can be extracted (utils/resumeParser); req.file.buffer holds the bytes
+const resumeStorage = {
+  _handleFile(req, file, cb) {
+    if (file.fieldname !== 'resume') return storage._handleFile(req, file, cb);
+    const chunks = [];
+    file.stream.on('data', chunk => chunks.push(chunk));
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      const buffer = Buffer.concat(chunks);
+      storage._handleFile(req, { ...file, stream: Readable.from([buffer]) }, (err, info) =>
+        cb(err, err ? undefined : { ...info, buffer }));
+    });
+  },
+  _removeFile(req, file, cb) {
+    storage._removeFile(req, file, cb);
+  }
+};
+
 // Multer middleware using Cloudinary storage
-const upload = multer({ storage });
+const upload = multer({ storage: resumeStorage });
 
 module.exports = upload;
@@ -3,17 +3,23 @@ const passport = require('passport');
 const LocalStrategy  = require('passport-local').Strategy;
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const User          = require('../models/User');
+const loginGuard    = require('../utils/loginGuard');
+const googleAuth    = require('../utils/googleAuth');
+const MockGoogleStrategy = require('../utils/mockGoogleStrategy');
+const { google }    = require('./app');
 
 module.exports = function() {
-  // Local
+  // Local – throttling, lockout and the login history live in utils/loginGuard
   passport.use(new LocalStrategy(
-    { usernameField: 'email' },
-    async (email, password, done) => {
+    { usernameField: 'email', passReqToCallback: true },
+    async (req, email, password, done) => {
       try {
-        const user = await User.findOne({ email });
-        if (!user) return done(null, false, { message: 'Incorrect email.' });
-        const ok = await user.comparePassword(password);
-        if (!ok)   return done(null, false, { message: 'Wrong password.' });
+        const { user, result } = await loginGuard.checkPassword(req, email, password);
+        if (result !== 'ok') {
+          await loginGuard.logAttempt(req, { user, email, result });
+          return done(null, false, { message: loginGuard.MESSAGES[result] });
+        }
+        // the successful sign-in is logged by authController, after any 2FA step
         return done(null, user);
       } catch (e) {
         return done(e);
@@ -21,42 +27,46 @@ module.exports = function() {
     }
   ));
 
-  // Google
-  passport.use(new GoogleStrategy({
-      clientID:     process.env.GOOGLE_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL:  '/auth/google/callback'
-    },
-    async (accessToken, refreshToken, profile, done) => {
+  // Google – only when switched on (config/app.js). The same verify
+  // function serves sign-in and linking from /profile; which one is decided
+  // by the flag authController.linkGoogle leaves in the session.
+  if (google.enabled) {
+    const verify = async (req, accessToken, refreshToken, profile, done) => {
       try {
-        let user = await User.findOne({ googleId: profile.id });
-        if (!user) {
-          // Link by email if exists
-          user = await User.findOne({ email: profile.emails[0].value });
-          if (user) {
-            user.googleId = profile.id;
-          } else {
-            user = new User({
-              username: profile.displayName,
-              email: profile.emails[0].value,
-              password: Math.random().toString(36).slice(-8),
-              googleId: profile.id
-            });
-          }
-          await user.save();
+        if (req.session.googleLink && req.user) {
+          const error = await googleAuth.link(req, profile);
+          return error ? done(null, false, { message: error }) : done(null, req.user);
         }
+        const { user, result } = await googleAuth.signIn(req, profile);
+        if (result !== 'ok') return done(null, false, { message: loginGuard.MESSAGES[result] });
         return done(null, user);
       } catch (e) {
         return done(e);
       }
+    };
+
+    if (google.mock) {
+      console.warn('⚠️  Google sign-in is using the offline mock (GOOGLE_AUTH_MOCK)');
+      passport.use(new MockGoogleStrategy({}, verify));
+    } else {
+      passport.use(new GoogleStrategy({
+        clientID:     google.clientID,
+        clientSecret: google.clientSecret,
+        callbackURL:  google.callbackURL,
+        passReqToCallback: true
+      }, verify));
     }
-  ));
+    if (!google.allowedDomains.length) {
+      console.warn('⚠️  Google sign-in is on but GOOGLE_ALLOWED_DOMAINS is empty; every Google account will be refused');
+    }
+  }
 
   passport.serializeUser((user, done) => done(null, user.id));
   passport.deserializeUser(async (id, done) => {
     try {
       const user = await User.findById(id);
-      done(null, user);
+      // a deactivated user's existing sessions end on their next request
+      done(null, user && user.active !== false ? user : false);
     } catch (e) {
       done(e);
     }
@@ -0,0 +1,79 @@
+// backend/config/permissions.js
+//
+// Every permission the app checks, and the permissions the built-in roles
+// start with. Admins can change every built-in role except admin (and define
+// new ones) under Admin → Roles; the admin role always has everything.
+//
+// Scoped permissions end in :own, :team or :all. "Team" is the user plus
+// everyone who reports to them, directly or further down (User.manager).
+// Checking the unscoped name (e.g. 'candidate:read') passes when the user
+// has it at any scope.
+
+const PERMISSIONS = {
+  'candidate:read:own':  { group: 'Candidates', label: 'View candidates they added' },
+  'candidate:read:team': { group: 'Candidates', label: 'View candidates added by their team' },
+  'candidate:read:all':  { group: 'Candidates', label: 'View all candidates' },
+  'candidate:create':    { group: 'Candidates', label: 'Add candidates' },
+  'candidate:update':    { group: 'Candidates', label: 'Edit candidates they can view' },
+  'candidate:delete':    { group: 'Candidates', label: 'Delete candidates they can view' },
+  'candidate:import':    { group: 'Candidates', label: 'Bulk import candidates' },
+  'candidate:export':    { group: 'Candidates', label: 'Export candidates' },
+  'candidate:merge':     { group: 'Candidates', label: 'Merge duplicate candidates' },
+  'candidate:reassign':  { group: 'Candidates', label: 'Hand candidates they can view to someone else they can view' },
+  'interview:manage':    { group: 'Interviews', label: 'Schedule and update interviews' },
+  'dashboard:view:own':  { group: 'Dashboards', label: 'View own performance dashboard' },
+  'dashboard:view:team': { group: 'Dashboards', label: 'View their team\'s dashboard' },
+  'dashboard:view:all':  { group: 'Dashboards', label: 'View admin dashboard and every recruiter\'s performance' },
+  'recruiter:manage':    { group: 'Administration', label: 'Add, edit and remove recruiters' },
+  'user:invite':         { group: 'Administration', label: 'Invite new users and manage pending invitations' },
+  'client:manage':       { group: 'Administration', label: 'Manage clients' },
+  'job:manage':          { group: 'Administration', label: 'Manage job requisitions' },
+  'settings:manage':     { group: 'Administration', label: 'Change application settings' },
+  'apitoken:manage':     { group: 'Administration', label: 'Issue and revoke API tokens' },
+  'audit:view':          { group: 'Administration', label: 'View the audit log' },
+  'login:manage':        { group: 'Administration', label: 'View everyone\'s sign-in history, unlock accounts and reset two-factor sign-in' },
+  'trash:manage':        { group: 'Administration', label: 'Restore or permanently delete trashed records' },
+  'role:manage':         { group: 'Administration', label: 'Define roles and assign them to users' }
+};
+
+const ALL = Object.keys(PERMISSIONS);
+
+// Starting permissions; these match what each role could do before roles
+// were configurable
+const BUILT_IN_ROLES = {
+  admin: {
+    name:        'Admin',
+    description: 'Full access. Cannot be changed.',
+    permissions: ALL
+  },
+  recruiter: {
+    name:        'Recruiter',
+    description: 'Works on their own candidates.',
+    permissions: [
+      'candidate:read:own', 'candidate:create', 'candidate:update', 'candidate:delete',
+      'candidate:import', 'candidate:export', 'interview:manage', 'dashboard:view:own'
+    ]
+  },
+  'team-lead': {
+    name:        'Team Lead',
+    description: 'Works on their team\'s candidates and sees the team dashboard.',
+    permissions: [
+      'candidate:read:team', 'candidate:create', 'candidate:update', 'candidate:delete',
+      'candidate:import', 'candidate:export', 'candidate:reassign', 'interview:manage',
+      'dashboard:view:own', 'dashboard:view:team'
+    ]
+  },
+  employee: {
+    name:        'Employee',
+    description: 'Works on every candidate, without administration.',
+    permissions: [
+      'candidate:read:all', 'candidate:create', 'candidate:update', 'candidate:delete',
+      'candidate:import', 'candidate:export', 'interview:manage', 'dashboard:view:own'
+    ]
+  }
+};
+
+// Scopes from narrowest to widest
+const SCOPES = ['own', 'team', 'all'];
+
+module.exports = { PERMISSIONS, BUILT_IN_ROLES, SCOPES };
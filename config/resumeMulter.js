@@ -0,0 +1,24 @@
+// backend/config/resumeMulter.js
+const multer = require('multer');
+const path   = require('path');
+const { ALLOWED_EXTS } = require('../utils/resumeParser');
+
+// Resumes sent for reading are only parsed, never stored, so keep them in memory
+const storage = multer.memoryStorage();
+
+function resumeFileFilter(req, file, cb) {
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (ALLOWED_EXTS.includes(ext)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only PDF and DOCX resumes can be read.'));
+  }
+}
+
+const resumeUpload = multer({
+  storage,
+  fileFilter: resumeFileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+module.exports = resumeUpload;
@@ -1,17 +1,76 @@
 // backend/controllers/adminDashboardController.js
 const Candidate = require('../models/Candidate');
 const User = require('../models/User');
+const Job = require('../models/Job');
 const mongoose = require('mongoose');
+const { clientNameStages, clientsByIds } = require('../utils/clientLookup');
+const pipeline = require('../utils/candidatePipeline');
+const { parseDateRange, performanceStats } = require('../utils/performanceStats');
 
 /**
- * Parse a pair of date strings (YYYY-MM-DD) to start/end Date objects.
+ * Open requisition count and overall fill rate (joined / headcount) across
+ * all jobs that are still being recruited for or already filled.
  */
-function parseDateRange(startStr, endStr) {
-  const start = startStr ? new Date(startStr) : new Date();
-  start.setHours(0, 0, 0, 0);
-  const end = endStr ? new Date(endStr) : new Date();
-  end.setHours(23, 59, 59, 999);
-  return { start, end };
+async function jobSummary() {
+  const [openPositions, jobs] = await Promise.all([
+    Job.countDocuments({ status: 'open' }),
+    Job.find({ status: { $in: ['open', 'on-hold', 'filled'] } }).select('_id headcount').lean()
+  ]);
+  const stats = await Job.fillStats(jobs.map(j => j._id));
+
+  let headcount = 0;
+  let filled = 0;
+  jobs.forEach(j => {
+    headcount += j.headcount;
+    filled += Math.min(j.headcount, stats[j._id.toString()]?.joined || 0);
+  });
+
+  return {
+    openPositions,
+    fillRate: headcount ? Number(((filled / headcount) * 100).toFixed(2)) : 0
+  };
+}
+
+/**
+ * Offer funnel for candidates matching `match`: offers extended and accepted,
+ * joinings, the acceptance (accepted / extended) and joining (joined /
+ * accepted) ratios, and dropouts broken down by reason.
+ */
+async function offerFunnel(match) {
+  const [byStatus, byReason] = await Promise.all([
+    Candidate.aggregate([
+      { $match: { ...match, finalStatus: { $in: pipeline.OFFER_EXTENDED_STATUSES } } },
+      { $group: { _id: '$finalStatus', count: { $sum: 1 } } }
+    ]),
+    Candidate.aggregate([
+      { $match: { ...match, finalStatus: { $in: pipeline.DROPOUT_STATUSES } } },
+      { $group: { _id: '$dropoutReason', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ])
+  ]);
+
+  const counts = {};
+  byStatus.forEach(s => { counts[s._id] = s.count; });
+  const total = statuses => statuses.reduce((sum, s) => sum + (counts[s] || 0), 0);
+  const percent = (part, whole) => whole ? Number(((part / whole) * 100).toFixed(2)) : 0;
+
+  const offersExtended = total(pipeline.OFFER_EXTENDED_STATUSES);
+  const offersAccepted = total(pipeline.OFFER_ACCEPTED_STATUSES);
+  const joined = counts.Joined || 0;
+
+  return {
+    offersExtended,
+    offersAccepted,
+    joined,
+    offerAcceptanceRate: percent(offersAccepted, offersExtended),
+    joiningRate: percent(joined, offersAccepted),
+    // dropouts recorded before reasons were required have none
+    dropoutReasons: byReason.map(r => ({
+      reason: r._id || null,
+      label: pipeline.DROPOUT_REASONS[r._id] || 'Not recorded',
+      count: r.count
+    }))
+  };
 }
 
 /**
@@ -24,15 +83,8 @@ exports.renderAdminDashboard = async (req, res, next) => {
       User.countDocuments({ role: 'recruiter' })
     ]);
 
-    // Open positions = distinct position names where finalStatus is not Offered/Yet to Join
-    const openPositionsArr = await Candidate.distinct('position', {
-      $or: [
-        { finalStatus: { $exists: false } },
-        { finalStatus: null },
-        { finalStatus: { $nin: ['Offered', 'Yet to Join'] } }
-      ]
-    });
-    const openPositions = openPositionsArr.length;
+    // Open positions and fill rate come from the job requisitions
+    const { openPositions, fillRate } = await jobSummary();
 
     // Load recruiters for selection and live card list
     const recruiters = await User.find({ role: 'recruiter' })
@@ -54,12 +106,13 @@ exports.renderAdminDashboard = async (req, res, next) => {
     });
 
     // All clients (used to build the daily trend table columns)
-    const allClients = await Candidate.distinct('client');
+    const allClients = await clientsByIds(await Candidate.distinct('client'));
 
     res.render('admin/dashboard', {
       totalCandidates,
       totalRecruiters,
       openPositions,
+      fillRate,
       recruiters,
       callsTodayMap,
       defaultStart: todayStart.toISOString().slice(0, 10),
@@ -109,6 +162,7 @@ exports.getAdminData = async (req, res, next) => {
       Candidate.aggregate([
         { $match: match },
         { $group: { _id: '$client', calls: { $sum: 1 } } },
+        ...clientNameStages('_id'),
         { $sort: { calls: -1 } },
         { $limit: 50 }
       ]),
@@ -116,6 +170,7 @@ exports.getAdminData = async (req, res, next) => {
       Candidate.aggregate([
         { $match: { ...match, hrStatus: 'Select' } },
         { $group: { _id: '$client', selected: { $sum: 1 } } },
+        ...clientNameStages('_id'),
         { $sort: { selected: -1 } },
         { $limit: 50 }
       ]),
@@ -138,6 +193,7 @@ exports.getAdminData = async (req, res, next) => {
           selected: { $sum: { $cond: [{ $eq: ['$hrStatus', 'Select'] }, 1, 0] } }
         }
       },
+      ...clientNameStages('_id.client'),
       {
         $group: {
           _id: "$_id.date",
@@ -165,16 +221,21 @@ exports.getAdminData = async (req, res, next) => {
       };
     });
 
-    const allClients = await Candidate.distinct('client', match);
+    const allClients = (await clientsByIds(await Candidate.distinct('client', match))).map(c => c.name);
+    const { openPositions, fillRate } = await jobSummary();
+    const funnel = await offerFunnel(match);
 
     res.json({
       ok: true,
       totalCalls,
+      openPositions,
+      fillRate,
       clientCalls,
       selectedCount,
       clientSelected,
       offersMade,
       dropouts,
+      ...funnel,
       conversionRate: Number(conversionRate.toFixed(2)),
       allClients,
       byDay
@@ -198,7 +259,7 @@ exports.renderRecruiterPerformance = async (req, res, next) => {
     const defaultStart = new Date(today); defaultStart.setHours(0, 0, 0, 0);
     const defaultEnd = new Date(today); defaultEnd.setHours(23, 59, 59, 999);
 
-    const allClients = await Candidate.distinct('client', { createdBy: recruiter._id });
+    const allClients = await clientsByIds(await Candidate.distinct('client', { createdBy: recruiter._id }));
 
     res.render('admin/recruiterPerformance', {
       recruiter,
@@ -225,76 +286,9 @@ exports.getRecruiterPerformanceData = async (req, res, next) => {
       createdBy: new mongoose.Types.ObjectId(req.params.id),
       createdAt: { $gte: start, $lte: end }
     };
-    if (client) filter.client = client;
-
-    const totalCalls = await Candidate.countDocuments(filter);
-    const [
-      clientCalls,
-      selectedCount,
-      clientSelected,
-      offersMade,
-      dropouts
-    ] = await Promise.all([
-      Candidate.aggregate([
-        { $match: filter },
-        { $group: { _id: '$client', calls: { $sum: 1 } } },
-        { $sort: { calls: -1 } },
-        { $limit: 50 }
-      ]),
-      Candidate.countDocuments({ ...filter, hrStatus: 'Select' }),
-      Candidate.aggregate([
-        { $match: { ...filter, hrStatus: 'Select' } },
-        { $group: { _id: '$client', selected: { $sum: 1 } } },
-        { $sort: { selected: -1 } },
-        { $limit: 50 }
-      ]),
-      Candidate.countDocuments({ ...filter, finalStatus: { $in: ['Offer in Progress', 'Offered'] } }),
-      Candidate.countDocuments({ ...filter, finalStatus: { $in: ['Shortlist Dropout', 'Offer Dropout', 'Joining Dropout'] } })
-    ]);
-
-    const conversionRate = totalCalls ? (offersMade / totalCalls) * 100 : 0;
-
-    const byDayAgg = await Candidate.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: { date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: "UTC" } }, client: "$client" },
-          calls: { $sum: 1 },
-          selected: { $sum: { $cond: [{ $eq: ['$hrStatus', 'Select'] }, 1, 0] } }
-        }
-      },
-      {
-        $group: {
-          _id: "$_id.date",
-          calls: { $sum: "$calls" },
-          selected: { $sum: "$selected" },
-          clients: { $push: { client: "$_id.client", selected: "$selected" } }
-        }
-      },
-      { $sort: { _id: 1 } }
-    ]);
-
-    // convert to map per-day clients
-    const byDay = byDayAgg.map(day => {
-      const clientsObj = {};
-      (day.clients || []).forEach(c => { clientsObj[c.client] = c.selected; });
-      return { _id: day._id, calls: day.calls, selected: day.selected, clients: clientsObj };
-    });
-
-    const allClients = (await Candidate.distinct('client', filter)).sort();
+    if (client && mongoose.isValidObjectId(client)) filter.client = new mongoose.Types.ObjectId(client);
 
-    res.json({
-      ok: true,
-      totalCalls,
-      clientCalls,
-      selectedCount,
-      clientSelected,
-      offersMade,
-      dropouts,
-      conversionRate: Number(conversionRate.toFixed(2)),
-      byDay,
-      allClients
-    });
+    res.json({ ok: true, ...(await performanceStats(filter)) });
   } catch (err) {
     console.error('Error in getRecruiterPerformanceData:', err);
     res.status(500).json({ ok: false, message: 'Server error' });
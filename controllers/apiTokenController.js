@@ -0,0 +1,84 @@
+// backend/controllers/apiTokenController.js
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const User     = require('../models/User');
+
+// ─── LIST ──────────────────────────────────────────────────────────────────────
+exports.listTokens = async (req, res, next) => {
+  try {
+    const [tokens, users] = await Promise.all([
+      ApiToken.find()
+        .select('-tokenHash')
+        .populate('user', 'username role')
+        .populate('createdBy revokedBy', 'username')
+        .sort({ revokedAt: 1, createdAt: -1 }),
+      User.find().select('_id username role').sort({ username: 1 }).lean()
+    ]);
+
+    res.render('admin/apiTokens/index', {
+      tokens,
+      users,
+      // the raw value of a token issued on the previous request, shown once
+      newToken: req.flash('new_token')[0] || null
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── ISSUE ─────────────────────────────────────────────────────────────────────
+exports.issueToken = async (req, res) => {
+  try {
+    const { user, name, expiresAt } = req.body;
+    if (!name || !name.trim() || !mongoose.isValidObjectId(user)) {
+      req.flash('error_msg', 'Choose a user and give the token a name.');
+      return res.redirect('/admin/api-tokens');
+    }
+    if (!(await User.exists({ _id: user }))) {
+      req.flash('error_msg', 'User not found.');
+      return res.redirect('/admin/api-tokens');
+    }
+
+    let expiry;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      expiry.setHours(23, 59, 59, 999);   // valid through the chosen day
+      if (isNaN(expiry) || expiry <= new Date()) {
+        req.flash('error_msg', 'Expiry date must be in the future.');
+        return res.redirect('/admin/api-tokens');
+      }
+    }
+
+    const { token } = await ApiToken.issue({
+      user,
+      name:      name.trim(),
+      expiresAt: expiry,
+      createdBy: req.user._id
+    });
+    req.flash('new_token', token);
+    req.flash('success_msg', 'API token issued. Copy it now – it will not be shown again.');
+    res.redirect('/admin/api-tokens');
+  } catch (err) {
+    console.error('Issue API token error:', err);
+    req.flash('error_msg', 'Could not issue API token.');
+    res.redirect('/admin/api-tokens');
+  }
+};
+
+// ─── REVOKE ────────────────────────────────────────────────────────────────────
+exports.revokeToken = async (req, res) => {
+  try {
+    const result = await ApiToken.updateOne(
+      { _id: req.params.id, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.user._id }
+    );
+    req.flash(
+      result.modifiedCount ? 'success_msg' : 'error_msg',
+      result.modifiedCount ? 'API token revoked.' : 'Token not found or already revoked.'
+    );
+  } catch (err) {
+    console.error('Revoke API token error:', err);
+    req.flash('error_msg', 'Could not revoke API token.');
+  }
+  res.redirect('/admin/api-tokens');
+};
@@ -0,0 +1,114 @@
+// backend/controllers/auditController.js
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const User     = require('../models/User');
+const audit    = require('../utils/audit');
+
+const ITEMS_PER_PAGE = 25;
+
+// ─── LIST (filter by user, entity, action, date range) ─────────────────────────
+exports.listAudit = async (req, res, next) => {
+  try {
+    const { actor = '', entity = '', action = '', from = '', to = '', page = 1 } = req.query;
+    const filter = {};
+
+    if (actor && mongoose.isValidObjectId(actor)) filter.actor = actor;
+    if (AuditLog.ENTITIES.includes(entity))      filter.entity = entity;
+    if (AuditLog.ACTIONS.includes(action))       filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setHours(23, 59, 59, 999);   // include the whole "to" day
+        filter.createdAt.$lte = end;
+      }
+    }
+
+    const current = Math.max(Number(page) || 1, 1);
+    const [totalCount, logs, users] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter)
+        .select('-snapshot')
+        .sort({ createdAt: -1 })
+        .skip((current - 1) * ITEMS_PER_PAGE)
+        .limit(ITEMS_PER_PAGE)
+        .lean(),
+      User.find().select('_id username').sort({ username: 1 }).lean()
+    ]);
+
+    res.render('admin/audit/index', {
+      logs,
+      users,
+      entities: AuditLog.ENTITIES,
+      actions:  AuditLog.ACTIONS,
+      filter:   { actor, entity, action, from, to },
+      pagination: {
+        page: current,
+        totalPages: Math.ceil(totalCount / ITEMS_PER_PAGE)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── SHOW (diff or snapshot) ───────────────────────────────────────────────────
+exports.showAudit = async (req, res, next) => {
+  try {
+    const log = await AuditLog.findById(req.params.id)
+      .populate('restoredBy', 'username')
+      .lean();
+    if (!log) {
+      req.flash('error_msg', 'Audit entry not found.');
+      return res.redirect('/admin/audit');
+    }
+    // never echo the password hash back to the page
+    const snapshot = log.snapshot ? { ...log.snapshot, password: undefined } : null;
+    res.render('admin/audit/show', { log, snapshot });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── RESTORE A DELETED RECORD ──────────────────────────────────────────────────
+// The snapshot is inserted as-is (same _id, same password hash), bypassing
+// the model hooks so nothing is re-hashed or renumbered.
+exports.restoreAudit = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const log = await AuditLog.findById(id);
+    if (!log || log.action !== 'delete' || !log.snapshot) {
+      req.flash('error_msg', 'Nothing to restore for this entry.');
+      return res.redirect(`/admin/audit/${id}`);
+    }
+    if (log.restoredAt) {
+      req.flash('error_msg', 'This record has already been restored.');
+      return res.redirect(`/admin/audit/${id}`);
+    }
+
+    const Model = mongoose.model(log.entity);
+    if (await Model.exists({ _id: log.entityId }).setOptions({ withDeleted: true })) {
+      req.flash('error_msg', 'A record with this id already exists.');
+      return res.redirect(`/admin/audit/${id}`);
+    }
+
+    // a record purged from the trash comes back live, not trashed again
+    await Model.collection.insertOne({ ...log.snapshot, deletedAt: null, deletedBy: null });
+    log.restoredAt = new Date();
+    log.restoredBy = req.user._id;
+    await log.save();
+
+    const restored = await Model.findById(log.entityId);
+    await audit.record(req, { entity: log.entity, action: 'restore', doc: restored, meta: { auditId: log._id } });
+
+    req.flash('success_msg', `${log.entity} restored.`);
+    res.redirect(`/admin/audit/${id}`);
+  } catch (err) {
+    console.error('Restore error:', err);
+    req.flash('error_msg', err.code === 11000
+      ? 'Restore failed: another record already uses the same unique value (e.g. email).'
+      : 'Restore failed.');
+    res.redirect(`/admin/audit/${id}`);
+  }
+};
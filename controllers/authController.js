@@ -1,9 +1,11 @@
 // controllers/authController.js
-const crypto = require('crypto');
 const User = require('../models/User');
-// const sendEmail = require('../utils/sendEmail');
+const sendEmail = require('../utils/sendEmail');
+const { baseUrl, google } = require('../config/app');
 const bcrypt = require('bcryptjs');
 const passport = require('passport');
+const loginGuard = require('../utils/loginGuard');
+const twoFactor = require('../utils/twoFactor');
 
 // Registration
 // exports.getRegister = (req, res) => {
@@ -27,17 +29,144 @@ const passport = require('passport');
 
 // Login
 exports.getLogin = (req, res) => {
-  res.render('auth/login', { error: null });
+  // passport's failureFlash stores its message under 'error'
+  const [error] = req.flash('error');
+  res.render('auth/login', { error: error || null, googleEnabled: google.enabled });
 };
 
 exports.postLogin = async (req, res, next) => {
-  passport.authenticate('local', {
-    successRedirect: '/dashboard',
-    failureRedirect: '/login',
-    failureFlash: true
+  passport.authenticate('local', (err, user, info) => {
+    if (err) return next(err);
+    if (!user) {
+      req.flash('error', info?.message || loginGuard.MESSAGES['bad-credentials']);
+      return res.redirect('/login');
+    }
+    startLogin(req, res, next, user, 'password');
   })(req, res, next);
 };
 
+// The password (or Google) was right; users with 2FA still have to enter a code
+function startLogin(req, res, next, user, method) {
+  if (user.twoFactor?.enabled) {
+    req.session.pendingTwoFactor = { userId: String(user._id), method, startedAt: Date.now(), attempts: 0 };
+    return res.redirect('/login/verify');
+  }
+  completeLogin(req, res, next, user, { method });
+}
+
+// Start the session and record the sign-in. A `notice` is flashed on the
+// profile page instead of going to the dashboard (passport starts a fresh
+// session, so it can only be flashed afterwards).
+function completeLogin(req, res, next, user, { method, notice } = {}) {
+  req.login(user, async err => {
+    if (err) return next(err);
+    await loginGuard.logAttempt(req, { user, result: 'ok', method });
+    if (!notice) return res.redirect('/dashboard');
+    req.flash('error_msg', notice);
+    res.redirect('/profile');
+  });
+}
+
+// ─── Google sign-in and account linking ───────────────────────────────────────
+// Only routed when config.google is enabled (routes/auth.js)
+const GOOGLE_OPTIONS = { scope: ['profile', 'email'], prompt: 'select_account' };
+
+exports.startGoogle = (req, res, next) => {
+  delete req.session.googleLink;
+  passport.authenticate('google', GOOGLE_OPTIONS)(req, res, next);
+};
+
+// From /profile: the Google account chosen next is linked to this user
+exports.linkGoogle = (req, res, next) => {
+  req.session.googleLink = true;
+  passport.authenticate('google', GOOGLE_OPTIONS)(req, res, next);
+};
+
+exports.googleCallback = (req, res, next) => {
+  passport.authenticate('google', (err, user, info) => {
+    const linking = !!(req.session.googleLink && req.user);
+    delete req.session.googleLink;
+    if (err) return next(err);
+
+    if (linking) {
+      if (user) req.flash('success_msg', 'Google account linked. You can now sign in with it.');
+      else req.flash('error_msg', info?.message || 'Google account was not linked.');
+      return res.redirect('/profile');
+    }
+    if (!user) {
+      req.flash('error', info?.message || loginGuard.MESSAGES['not-allowed']);
+      return res.redirect('/login');
+    }
+    startLogin(req, res, next, user, 'google');
+  })(req, res, next);
+};
+
+// Offline stand-in for Google's account chooser (config.google.mock only)
+exports.getGoogleMock = (req, res) => {
+  res.render('auth/google-mock', { linking: !!(req.session.googleLink && req.user) });
+};
+
+// ─── Two-factor step ──────────────────────────────────────────────────────────
+// A password or Google sign-in is parked in the session until the code is checked.
+// The parked sign-in expires, and is dropped after too many wrong codes.
+const TWO_FACTOR_TTL_MS   = 5 * 60 * 1000;
+const TWO_FACTOR_ATTEMPTS = 5;
+
+async function pendingUser(req) {
+  const pending = req.session.pendingTwoFactor;
+  if (!pending || Date.now() - pending.startedAt > TWO_FACTOR_TTL_MS) return null;
+  const user = await User.findById(pending.userId);
+  return user && user.active !== false && user.twoFactor?.enabled ? user : null;
+}
+
+exports.getVerifyLogin = async (req, res, next) => {
+  try {
+    if (!(await pendingUser(req))) {
+      delete req.session.pendingTwoFactor;
+      return res.redirect('/login');
+    }
+    const [error] = req.flash('error');
+    res.render('auth/verify', { error: error || null });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.postVerifyLogin = async (req, res, next) => {
+  try {
+    const user = await pendingUser(req);
+    if (!user) {
+      delete req.session.pendingTwoFactor;
+      req.flash('error', 'Your sign-in expired. Please enter your password again.');
+      return res.redirect('/login');
+    }
+
+    const used = await twoFactor.checkCode(user, req.body.code);
+    if (!used) {
+      await loginGuard.logAttempt(req, { user, result: 'bad-two-factor', method: req.session.pendingTwoFactor.method });
+      if (++req.session.pendingTwoFactor.attempts >= TWO_FACTOR_ATTEMPTS) {
+        delete req.session.pendingTwoFactor;
+        req.flash('error', 'Too many wrong codes. Please sign in again.');
+        return res.redirect('/login');
+      }
+      req.flash('error', loginGuard.MESSAGES['bad-two-factor']);
+      return res.redirect('/login/verify');
+    }
+
+    const { method } = req.session.pendingTwoFactor;
+    delete req.session.pendingTwoFactor;
+    const left = (user.twoFactor.recoveryCodes || []).length - 1;
+    completeLogin(req, res, next, user, {
+      method,
+      notice: used === 'recovery'
+        ? `You signed in with a recovery code; ${left} left. You can generate new ones on your profile.`
+        : null
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // Change Password
 exports.getChangePassword = (req, res) => {
   res.render('auth/change-password', { error: null, success: null });
@@ -91,17 +220,17 @@ exports.postChangePassword = async (req, res) => {
 exports.forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
-    const user = await User.findOne({ email });
-    if (!user) {
-      req.flash('error_msg', 'No account with that email found.');
+    // same answer whether or not the account exists
+    const sent = 'If an account exists for that email, a reset link is on its way.';
+    const user = await User.findOne({ email: String(email || '').trim().toLowerCase() });
+    if (!user || user.active === false) {
+      req.flash('success_msg', sent);
       return res.redirect('/forgot-password');
     }
-    const token = crypto.randomBytes(32).toString('hex');
-    user.resetPasswordToken = token;
-    user.resetPasswordExpires = Date.now() + 3600000;
+    const token = user.createPasswordResetToken();
     await user.save();
 
-    const resetUrl = `http://localhost:3000/reset-password/${token}`;
+    const resetUrl = `${baseUrl}/reset-password/${token}`;
     await sendEmail(
       user.email,
       'Password Reset Request',
@@ -109,7 +238,7 @@ exports.forgotPassword = async (req, res) => {
        <p>Click <a href="${resetUrl}">here</a> to reset your password. This link will expire in 1 hour.</p>`
     );
 
-    req.flash('success_msg', 'Password reset link sent to your email.');
+    req.flash('success_msg', sent);
     res.redirect('/forgot-password');
   } catch (err) {
     console.error(err);
@@ -118,6 +247,61 @@ exports.forgotPassword = async (req, res) => {
   }
 };
 
+// Reset Password (link from the email)
+exports.getResetPassword = async (req, res) => {
+  try {
+    const user = await User.findByResetToken(req.params.token);
+    if (!user) {
+      req.flash('error_msg', 'Password reset link is invalid or has expired.');
+      return res.redirect('/forgot-password');
+    }
+    res.render('auth/reset-password', { token: req.params.token, error: null });
+  } catch (err) {
+    console.error('Reset Password Error:', err);
+    req.flash('error_msg', 'Something went wrong. Please try again.');
+    res.redirect('/forgot-password');
+  }
+};
+
+exports.postResetPassword = async (req, res) => {
+  const { token } = req.params;
+  try {
+    const user = await User.findByResetToken(token);
+    if (!user) {
+      req.flash('error_msg', 'Password reset link is invalid or has expired.');
+      return res.redirect('/forgot-password');
+    }
+
+    const { password, confirmPassword } = req.body;
+    if (!password || !confirmPassword) {
+      return res.render('auth/reset-password', { token, error: 'All fields are required.' });
+    }
+    if (password !== confirmPassword) {
+      return res.render('auth/reset-password', { token, error: 'Passwords do not match.' });
+    }
+    if (password.length < 8) {
+      return res.render('auth/reset-password', { token, error: 'Password must be at least 8 characters.' });
+    }
+
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    // proving access to the mailbox lifts a lockout
+    user.failedLogins = 0;
+    user.lockedUntil = null;
+    await user.save();
+
+    req.flash('success_msg', 'Your password has been reset. Please log in.');
+    res.redirect('/login');
+  } catch (err) {
+    console.error('Reset Password Error:', err);
+    return res.render('auth/reset-password', {
+      token,
+      error: 'Something went wrong. Please try again.'
+    });
+  }
+};
+
 // Logout
 exports.logout = (req, res) => {
   req.logout(() => {
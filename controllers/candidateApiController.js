@@ -0,0 +1,279 @@
+// backend/controllers/candidateApiController.js
+//
+// JSON version of the candidate routes for /api/v1/candidates. Same rules as
+// the web controller: recruiters only see and change their own records,
+// status changes follow the pipeline and likely duplicates are refused
+// unless the caller passes ?allowDuplicates=true.
+
+const mongoose   = require('mongoose');
+const Candidate  = require('../models/Candidate');
+const pipeline   = require('../utils/candidatePipeline');
+const duplicates = require('../utils/candidateDuplicates');
+const audit      = require('../utils/audit');
+const { candidateScope, canSeeCandidate } = require('../utils/permissions');
+const { formFields, clearEmptyFields, applyJob, identityChanged, escapeRegex, refFilter } = require('../utils/candidateInput');
+const { applyCustomValues } = require('../utils/customFields');
+const resumeParser = require('../utils/resumeParser');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT     = 100;
+const SORTABLE      = ['dateOfCall', 'createdAt', 'updatedAt', 'serialRefNumber', 'candidateName'];
+
+const POPULATE = [
+  { path: 'client',    select: 'name' },
+  { path: 'job',       select: 'title' },
+  { path: 'owner',     select: 'username' },
+  { path: 'createdBy', select: 'username' },
+  { path: 'updatedBy', select: 'username' }
+];
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+function sendError(res, status, message, extra = {}) {
+  return res.status(status).json({ error: { message, ...extra } });
+}
+
+function serialize(c) {
+  const obj = typeof c.toObject === 'function' ? c.toObject({ versionKey: false, flattenMaps: true }) : { ...c };
+  delete obj.__v;
+  delete obj.customText;
+  return obj;
+}
+
+const allowDuplicates = req => req.query.allowDuplicates === 'true' || req.body?.allowDuplicates === true;
+
+function duplicateConflict(res, matches) {
+  return sendError(res, 409, 'This candidate may already exist. Retry with ?allowDuplicates=true to save anyway.', {
+    duplicates: matches.map(({ candidate, reasons }) => ({
+      id:              candidate._id,
+      serialRefNumber: candidate.serialRefNumber,
+      candidateName:   candidate.candidateName,
+      reasons
+    }))
+  });
+}
+
+// Load :id, enforcing the role's candidate visibility. Sends the error
+// response itself and resolves to null when the caller should stop.
+async function loadOwned(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    sendError(res, 404, 'Candidate not found.');
+    return null;
+  }
+  const candidate = await Candidate.findById(req.params.id);
+  if (!candidate) {
+    sendError(res, 404, 'Candidate not found.');
+    return null;
+  }
+  if (!(await canSeeCandidate(req.user, candidate))) {
+    sendError(res, 403, 'Not authorized to access this candidate.');
+    return null;
+  }
+  return candidate;
+}
+
+// ─── GET /api/v1/candidates ────────────────────────────────────────────────────
+exports.list = async (req, res, next) => {
+  try {
+    // query values as strings (a repeated parameter arrives as an array)
+    const q = Object.fromEntries(Object.entries(req.query).map(([k, v]) => [k, String(v).trim()]));
+    const filter = {};
+
+    if (q.name)     filter.candidateName = new RegExp(escapeRegex(q.name), 'i');
+    if (q.mobile)   filter.mobile        = new RegExp(escapeRegex(q.mobile), 'i');
+    if (q.position) filter.position      = new RegExp(escapeRegex(q.position), 'i');
+    if (q.ref)      Object.assign(filter, refFilter(q.ref));
+    for (const f of ['client', 'job']) {
+      if (!q[f]) continue;
+      if (!mongoose.isValidObjectId(q[f])) return sendError(res, 422, `${f} must be an id.`);
+      filter[f] = q[f];
+    }
+    for (const f of ['stage', 'hrStatus', 'clientStatus', 'finalStatus']) {
+      if (!q[f]) continue;
+      const allowed = Candidate.schema.path(f).enumValues;
+      if (!allowed.includes(q[f])) return sendError(res, 422, `${f} must be one of: ${allowed.join(', ')}.`);
+      filter[f] = q[f];
+    }
+    for (const [key, op] of [['dateFrom', '$gte'], ['dateTo', '$lte']]) {
+      if (!q[key]) continue;
+      const day = new Date(q[key]);
+      if (isNaN(day)) return sendError(res, 422, `${key} must be a date (YYYY-MM-DD).`);
+      filter.dateOfCall = { ...filter.dateOfCall, [op]: day };
+    }
+
+    // Only the candidates the token user's role lets them see
+    Object.assign(filter, await candidateScope(req.user));
+
+    const page  = Math.max(parseInt(q.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(q.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const sortField = SORTABLE.includes((q.sort || '').replace(/^-/, '')) ? q.sort : '-dateOfCall';
+
+    const [total, candidates] = await Promise.all([
+      Candidate.countDocuments(filter),
+      Candidate.find(filter)
+        .sort(sortField)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-statusHistory -mergeHistory -ownerHistory')
+        .populate(POPULATE)
+        .lean()
+    ]);
+
+    res.json({
+      data: candidates.map(serialize),
+      meta: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── GET /api/v1/candidates/:id ────────────────────────────────────────────────
+exports.get = async (req, res, next) => {
+  try {
+    const candidate = await loadOwned(req, res);
+    if (!candidate) return;
+    await candidate.populate([...POPULATE, { path: 'statusHistory.changedBy', select: 'username' }]);
+    res.json({ data: serialize(candidate) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── POST /api/v1/candidates ───────────────────────────────────────────────────
+exports.create = async (req, res, next) => {
+  try {
+    const data = { ...formFields(req.body || {}), createdBy: req.user._id, owner: req.user._id };
+    clearEmptyFields(data);
+
+    const problem = pipeline.checkConsistency(data);
+    if (problem) return sendError(res, 422, problem);
+
+    await applyJob(data);
+    if (data.mobile !== undefined) data.mobile = duplicates.normalizeMobile(data.mobile);
+
+    const invalid = await applyCustomValues(data, (req.body || {}).custom);
+    if (invalid) return sendError(res, 422, invalid);
+
+    if (!allowDuplicates(req)) {
+      const matches = await duplicates.findDuplicates(data);
+      if (matches.length) return duplicateConflict(res, matches);
+    }
+
+    const candidate = new Candidate(data);
+    pipeline.recordChanges(candidate, pipeline.nextStatuses(candidate, data), req.user._id, req.body.statusNote || 'Created via API');
+    await candidate.save();
+    await audit.record(req, { entity: 'Candidate', action: 'create', doc: candidate, meta: { via: 'api' } });
+
+    await candidate.populate(POPULATE);
+    res.status(201)
+      .location(`${req.baseUrl}/${candidate._id}`)
+      .json({ data: serialize(candidate) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── PATCH /api/v1/candidates/:id ──────────────────────────────────────────────
+exports.update = async (req, res, next) => {
+  try {
+    const candidate = await loadOwned(req, res);
+    if (!candidate) return;
+
+    const update = { ...formFields(req.body || {}), updatedBy: req.user._id };
+    clearEmptyFields(update);
+
+    await applyJob(update);
+    if (update.mobile !== undefined) update.mobile = duplicates.normalizeMobile(update.mobile);
+
+    const invalid = await applyCustomValues(update, (req.body || {}).custom, candidate);
+    if (invalid) return sendError(res, 422, invalid);
+
+    if (identityChanged(candidate, update) && !allowDuplicates(req)) {
+      const matches = await duplicates.findDuplicates({ ...candidate.toObject(), ...update }, { excludeId: candidate._id });
+      if (matches.length) return duplicateConflict(res, matches);
+    }
+
+    // status changes must follow the pipeline
+    const statuses = pipeline.nextStatuses(candidate, update);
+    const problem = pipeline.checkTransition(candidate, statuses);
+    if (problem) return sendError(res, 422, problem);
+    pipeline.recordChanges(candidate, statuses, req.user._id, req.body.statusNote);
+
+    const before = audit.toPlain(candidate);
+    candidate.set(update);
+    await candidate.save();
+    await audit.record(req, {
+      entity:  'Candidate',
+      action:  'update',
+      doc:     candidate,
+      changes: audit.diff(before, candidate),
+      meta:    { via: 'api' }
+    });
+
+    await candidate.populate(POPULATE);
+    res.json({ data: serialize(candidate) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── DELETE /api/v1/candidates/:id ─────────────────────────────────────────────
+exports.remove = async (req, res, next) => {
+  try {
+    const candidate = await loadOwned(req, res);
+    if (!candidate) return;
+    await candidate.moveToTrash(req.user._id);
+    await audit.record(req, { entity: 'Candidate', action: 'trash', doc: candidate, meta: { via: 'api' } });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── POST /api/v1/candidates/:id/resume (multipart, field "resume") ────────────
+exports.uploadResume = async (req, res, next) => {
+  try {
+    const candidate = await loadOwned(req, res);
+    if (!candidate) return;
+    if (!req.file) return sendError(res, 422, 'Attach the file in a multipart field named "resume".');
+
+    const before = audit.toPlain(candidate);
+    candidate.set({
+      resumePath: req.file.path,          // multer-storage-cloudinary sets .path to the URL
+      resume:     req.file.originalname,
+      resumeText: await resumeParser.textOf(req.file),
+      updatedBy:  req.user._id
+    });
+    await candidate.save();
+    await audit.record(req, {
+      entity:  'Candidate',
+      action:  'update',
+      doc:     candidate,
+      changes: audit.diff(before, candidate),
+      meta:    { via: 'api' }
+    });
+
+    res.json({ data: { id: candidate._id, resume: candidate.resume, resumePath: candidate.resumePath } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── JSON errors for everything under /api/v1 ─────────────────────────────────
+exports.notFound = (req, res) => sendError(res, 404, 'Not found.');
+
+exports.handleError = (err, req, res, next) => {
+  if (err.name === 'ValidationError') {
+    const fields = {};
+    Object.values(err.errors).forEach(e => { fields[e.path] = e.message; });
+    return sendError(res, 422, 'Validation failed.', { fields });
+  }
+  if (err.name === 'CastError') {
+    return sendError(res, 422, `Invalid value for ${err.path}.`, { fields: { [err.path]: err.message } });
+  }
+  if (err.name === 'MulterError' || err.status === 422) {
+    return sendError(res, 422, err.message);
+  }
+  console.error('API error:', err);
+  sendError(res, 500, 'Server error.');
+};
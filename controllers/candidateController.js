@@ -1,39 +1,131 @@
 // backend/controllers/candidateController.js
 const Candidate = require('../models/Candidate');
-const ExcelJS   = require('exceljs');
+const Client    = require('../models/Client');
+const Job       = require('../models/Job');
+const Interview = require('../models/Interview');
+const User      = require('../models/User');
+const pipeline  = require('../utils/candidatePipeline');
+const duplicates = require('../utils/candidateDuplicates');
+const { formFields, clearEmptyFields, applyJob, identityChanged } = require('../utils/candidateInput');
+const candidateSearch = require('../utils/candidateSearch');
+const candidateViews  = require('../utils/candidateViews');
+const bulk      = require('../utils/candidateBulk');
+const exporter  = require('../utils/candidateExport');
+const customFields = require('../utils/customFields');
+const tags      = require('../utils/tags');
+const resumeParser = require('../utils/resumeParser');
+const audit     = require('../utils/audit');
+const { canSeeCandidate, userCan, reachableUserIds } = require('../utils/permissions');
+const { transferOwnership } = require('../utils/candidateOwnership');
+const mongoose  = require('mongoose');
 const path      = require('path');
 
+// Render the new/edit form with its client and job dropdowns, and the
+// custom fields of every client (shown for the one picked)
+async function renderForm(res, view, candidate, extra = {}) {
+  const [clients, jobs] = await Promise.all([
+    Client.forSelect(candidate.client?._id || candidate.client),
+    Job.forSelect(candidate.job),
+    customFields.loadFields()
+  ]);
+  res.render(view, {
+    candidate, clients, jobs,
+    customFieldsByClient: customFields.formFieldsByClient(),
+    dropoutReasons:  pipeline.DROPOUT_REASONS,
+    dropoutStatuses: pipeline.DROPOUT_STATUSES,
+    ...extra
+  });
+}
+
+// People `user` may hand candidates to: active users whose candidates they can see
+async function assignableUsers(user) {
+  const ids = await reachableUserIds(user, 'candidate:read');
+  const filter = { active: { $ne: false }, ...(ids ? { _id: { $in: ids } } : {}) };
+  return User.find(filter).select('_id username').sort({ username: 1 }).lean();
+}
+
+// Where to go after a form post: a submitted candidates page, else `fallback`
+function backTo(req, fallback) {
+  const url = String(req.body.returnTo || '');
+  return /^\/candidates(?:[/?]|$)/.test(url) ? url : fallback;
+}
+
+// Validation messages are safe to show; anything else gets `fallback`
+function failureMessage(err, fallback) {
+  if (err.name !== 'ValidationError') return fallback;
+  return Object.values(err.errors).map(e => e.message).join(' ');
+}
+
 // ─── 1) LIST ALL CANDIDATES ─────────────────────────────────────────────────────
 exports.getAllCandidates = async (req, res) => {
   try {
-    const { searchName, searchMobile, searchPosition, serialRefNumber, page = 1 } = req.query;
-    const mongoFilter = {};
-
-    // Text filters
-    if (searchName)     mongoFilter.candidateName = new RegExp(searchName.trim(), 'i');
-    if (searchMobile)   mongoFilter.mobile        = new RegExp(searchMobile.trim(), 'i');
-    if (searchPosition) mongoFilter.position      = new RegExp(searchPosition.trim(), 'i');
-    if (serialRefNumber) mongoFilter.serialRefNumber = Number(serialRefNumber);
-
-    // Role-based: recruiters only see their own entries
-    if (req.user.role === 'recruiter') {
-      mongoFilter.createdBy = req.user._id;
-    }
+    // the search and layout in the URL, or those of a saved / pinned view
+    await Promise.all([customFields.loadFields(), tags.loadColors()]);
+    const { view, search: filter, layout } = await candidateViews.resolveState(req.query, req.user);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+
+    // Keywords, fields, dates and facets, limited to the candidates the
+    // user's role lets them see
+    const mongoFilter = await candidateSearch.searchFilter(filter, req.user);
+
+    // owner is always populated: the per-row reassign picker needs it
+    const fields   = candidateViews.listFields();
+    const columns  = layout.columns.map(k => fields.find(f => f.key === k));
+    const populate = exporter.populateFor(layout.columns).filter(p => p.path !== 'owner');
 
     const ITEMS_PER_PAGE = 15;
-    const totalCount = await Candidate.countDocuments(mongoFilter);
-    const candidates = await Candidate.find(mongoFilter)
-      .sort({ dateOfCall: -1 })
-      .skip((page - 1) * ITEMS_PER_PAGE)
-      .limit(ITEMS_PER_PAGE)
-      .populate('createdBy', 'username')
-      .populate('updatedBy', 'username');
+    const [totalCount, candidates, facets, views] = await Promise.all([
+      Candidate.countDocuments(mongoFilter),
+      Candidate.find(mongoFilter)
+        .sort(candidateViews.layoutSort(layout, filter))
+        .skip((page - 1) * ITEMS_PER_PAGE)
+        .limit(ITEMS_PER_PAGE)
+        .populate('owner', 'username')
+        .populate(populate),
+      candidateSearch.facetCounts(filter, req.user),
+      candidateViews.visibleViews(req.user)
+    ]);
+
+    // links keep the search and the layout; `sort` swaps the sort only
+    const layoutQuery = sort => candidateViews.layoutQuery(layout, sort);
+    const joinQuery = (...parts) => parts.filter(Boolean).join('&');
+    const stateQuery = joinQuery(candidateSearch.searchQuery(filter), layoutQuery());
+    // [name, value] pairs for hidden inputs
+    const pairs = (query, except = []) => [...new URLSearchParams(query)].filter(([k]) => !except.includes(k));
+
+    // bulk actions the user may run on ticked rows (reassigning needs someone to hand to)
+    const assignees = userCan(req.user, 'candidate:reassign') ? await assignableUsers(req.user) : [];
+    const bulkActions = Object.entries(bulk.ACTIONS)
+      .filter(([key, a]) => userCan(req.user, a.permission) && (key !== 'reassign' || assignees.length > 1))
+      .map(([key, a]) => ({ key, label: a.label }));
 
     res.render('candidates/index', {
       candidates,
-      filter: { searchName, searchMobile, searchPosition, serialRefNumber },
+      currentUrl: req.originalUrl,
+      assignees,
+      bulkActions,
+      statusOptions: Object.fromEntries(pipeline.STATUS_FIELDS.map(f => [f, Candidate.schema.path(f).enumValues])),
+      dropoutReasons:  pipeline.DROPOUT_REASONS,
+      dropoutStatuses: pipeline.DROPOUT_STATUSES,
+      interviewModes:  Interview.MODES,
+      filter,
+      facets,
+      layout,
+      columns,
+      fields,
+      views,
+      view,
+      defaultView: req.user.defaultView ? String(req.user.defaultView) : null,
+      displayValue: exporter.displayValue,
+      tagClass: tags.colorClass,
+      tagColors: tags.COLORS,
+      searchQuery: toggle => joinQuery(candidateSearch.searchQuery(filter, toggle), layoutQuery()),
+      sortQuery:   sort => joinQuery(candidateSearch.searchQuery(filter), layoutQuery(sort)),
+      stateQuery,
+      layoutParams: pairs(layoutQuery()),
+      stateParams:  except => pairs(stateQuery, except),
       pagination: {
-        page: Number(page),
+        page,
         totalPages: Math.ceil(totalCount / ITEMS_PER_PAGE)
       }
     });
@@ -45,31 +137,87 @@ exports.getAllCandidates = async (req, res) => {
 };
 
 // ─── 2) SHOW “NEW” FORM ─────────────────────────────────────────────────────────
-exports.showNewForm = (req, res) => {
-  res.render('candidates/new');
+exports.showNewForm = async (req, res, next) => {
+  try {
+    await renderForm(res, 'candidates/new', {});
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 2b) SHOW “EDIT” FORM (after getCandidateById) ──────────────────────────────
+exports.showEditForm = async (req, res, next) => {
+  try {
+    await renderForm(res, 'candidates/edit', res.locals.candidate);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 2c) READ A RESUME (form prefill; nothing is stored) ───────────────────────
+// Best-guess fields of the file picked on the form, as JSON. The text kept
+// for search is read again from the resume that is actually saved.
+exports.parseResume = async (req, res) => {
+  if (!req.file) return res.status(422).json({ ok: false, message: 'Choose a PDF or DOCX resume.' });
+  try {
+    const text = await resumeParser.extractText(req.file.buffer, req.file.originalname);
+    if (!text) {
+      return res.status(422).json({ ok: false, message: 'No text found in this resume (is it a scanned image?).' });
+    }
+    res.json({ ok: true, fields: resumeParser.guessFields(text) });
+  } catch (err) {
+    console.error('Resume parse error:', err);
+    res.status(422).json({ ok: false, message: 'This resume could not be read.' });
+  }
 };
 
 // ─── 3) CREATE CANDIDATE ─────────────────────────────────────────────────────────
 exports.createCandidate = async (req, res) => {
   try {
-    const data = { ...req.body, createdBy: req.user._id };
+    const data = { ...formFields(req.body), createdBy: req.user._id, owner: req.user._id };
 
     // normalize empty strings
-    if (data.clientStatus === '') data.clientStatus = undefined;
-    if (data.finalStatus  === '') data.finalStatus  = undefined;
+    clearEmptyFields(data);
+
+    const problem = pipeline.checkConsistency(data);
+    if (problem) {
+      req.flash('error_msg', problem);
+      return res.redirect('/candidates/new');
+    }
+
+    await applyJob(data);
+    data.mobile = duplicates.normalizeMobile(data.mobile);
+
+    const invalid = await customFields.applyCustomValues(data, req.body.custom || {});
+    if (invalid) {
+      req.flash('error_msg', invalid);
+      return res.redirect('/candidates/new');
+    }
+
+    // warn about likely duplicates; resubmitting the form saves anyway
+    if (req.body.confirmDuplicate !== '1') {
+      const matches = await duplicates.findDuplicates(data);
+      if (matches.length) {
+        return renderForm(res, 'candidates/new', data, { duplicates: matches });
+      }
+    }
 
     // resume uploaded via Cloudinary or local
     if (req.file) {
       data.resumePath = req.file.path;        // multer-storage-cloudinary sets .path to the URL
       data.resume     = req.file.originalname;
+      data.resumeText = await resumeParser.textOf(req.file);
     }
 
-    await new Candidate(data).save();
+    const candidate = new Candidate(data);
+    pipeline.recordChanges(candidate, pipeline.nextStatuses(candidate, data), req.user._id, req.body.statusNote || 'Candidate created');
+    await candidate.save();
+    await audit.record(req, { entity: 'Candidate', action: 'create', doc: candidate });
     req.flash('success_msg', 'Candidate added successfully');
     res.redirect('/candidates');
   } catch (err) {
     console.error('Create error:', err);
-    req.flash('error_msg', 'Failed to add candidate.');
+    req.flash('error_msg', failureMessage(err, 'Failed to add candidate.'));
     res.redirect('/candidates/new');
   }
 };
@@ -77,13 +225,17 @@ exports.createCandidate = async (req, res) => {
 // ─── 4) FETCH SINGLE CANDIDATE ──────────────────────────────────────────────────
 exports.getCandidateById = async (req, res, next) => {
   try {
-    const c = await Candidate.findById(req.params.id);
+    const c = await Candidate.findById(req.params.id)
+      .populate('client', 'name')
+      .populate('statusHistory.changedBy', 'username')
+      .populate('mergeHistory.owner mergeHistory.mergedBy', 'username')
+      .populate('owner ownerHistory.from ownerHistory.to ownerHistory.changedBy', 'username');
     if (!c) {
       req.flash('error_msg', 'Candidate not found');
       return res.redirect('/candidates');
     }
-    // Restrict recruiters to their own records
-    if (req.user.role === 'recruiter' && !c.createdBy.equals(req.user._id)) {
+    // Restrict users to the records their role lets them see
+    if (!(await canSeeCandidate(req.user, c))) {
       req.flash('error_msg', 'Not authorized');
       return res.redirect('/candidates');
     }
@@ -96,31 +248,101 @@ exports.getCandidateById = async (req, res, next) => {
   }
 };
 
-// ─── 5) UPDATE CANDIDATE ────────────────────────────────────────────────────────
+// ─── 4b) SHOW CANDIDATE (after getCandidateById) ───────────────────────────────
+exports.showCandidate = async (req, res, next) => {
+  try {
+    const candidate = res.locals.candidate;
+    await Promise.all([customFields.loadFields(), tags.loadColors()]);
+    res.render('candidates/show', {
+      candidate,
+      customColumns:  customFields.fieldsFor(candidate.client)
+        .filter(f => f.active || candidate.custom?.has(f.key))
+        .map(customFields.columnFor),
+      displayValue:   exporter.displayValue,
+      tagClass:       tags.colorClass,
+      assignees:      userCan(req.user, 'candidate:reassign') ? await assignableUsers(req.user) : [],
+      stages:         pipeline.STAGES,
+      dropoutReasons: pipeline.DROPOUT_REASONS,
+      interviews:     await Interview.forCandidate(candidate._id)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 5) UPDATE CANDIDATE (after getCandidateById) ───────────────────────────────
 exports.updateCandidate = async (req, res) => {
   try {
-    const update = { ...req.body, updatedBy: req.user._id };
+    const candidate = res.locals.candidate;
+    const update = { ...formFields(req.body), updatedBy: req.user._id };
+
+    // cleared selects remove the stored value
+    clearEmptyFields(update);
+
+    await applyJob(update);
+    if (update.mobile !== undefined) update.mobile = duplicates.normalizeMobile(update.mobile);
+
+    const invalid = await customFields.applyCustomValues(update, req.body.custom || {}, candidate);
+    if (invalid) {
+      req.flash('error_msg', invalid);
+      return res.redirect(`/candidates/${req.params.id}/edit`);
+    }
+
+    // warn when the edit makes this record look like another one
+    if (identityChanged(candidate, update) && req.body.confirmDuplicate !== '1') {
+      const merged = { ...candidate.toObject(), ...update };
+      const matches = await duplicates.findDuplicates(merged, { excludeId: candidate._id });
+      if (matches.length) {
+        return renderForm(res, 'candidates/edit', merged, { duplicates: matches });
+      }
+    }
+
+    // status changes must follow the pipeline
+    const next = pipeline.nextStatuses(candidate, update);
+    const problem = pipeline.checkTransition(candidate, next);
+    if (problem) {
+      req.flash('error_msg', problem);
+      return res.redirect(`/candidates/${req.params.id}/edit`);
+    }
+    pipeline.recordChanges(candidate, next, req.user._id, req.body.statusNote);
 
     if (req.file) {
       update.resumePath = req.file.path;
       update.resume     = req.file.originalname;
+      update.resumeText = await resumeParser.textOf(req.file);     // replaces the old resume's
     }
 
-    await Candidate.findByIdAndUpdate(req.params.id, update);
+    const before = audit.toPlain(candidate);
+    candidate.set(update);
+    await candidate.save();
+    await audit.record(req, {
+      entity:  'Candidate',
+      action:  'update',
+      doc:     candidate,
+      changes: audit.diff(before, candidate)
+    });
     req.flash('success_msg', 'Candidate updated');
     res.redirect(`/candidates/${req.params.id}`);
   } catch (err) {
     console.error('Update error:', err);
-    req.flash('error_msg', 'Failed to update candidate.');
+    req.flash('error_msg', failureMessage(err, 'Failed to update candidate.'));
     res.redirect(`/candidates/${req.params.id}/edit`);
   }
 };
 
 // ─── 6) DELETE CANDIDATE ────────────────────────────────────────────────────────
+// Moves the record to the trash (Admin → Trash), where it can be restored
+// until the retention window runs out.
 exports.deleteCandidate = async (req, res) => {
   try {
-    await Candidate.findByIdAndDelete(req.params.id);
-    req.flash('success_msg', 'Candidate deleted successfully!');
+    const candidate = await Candidate.findById(req.params.id);
+    if (!candidate) {
+      req.flash('error_msg', 'Candidate not found');
+      return res.redirect('/candidates');
+    }
+    await candidate.moveToTrash(req.user._id);
+    await audit.record(req, { entity: 'Candidate', action: 'trash', doc: candidate });
+    req.flash('success_msg', 'Candidate moved to the trash. An admin can restore it until it is purged.');
     res.redirect('/candidates');
   } catch (err) {
     console.error('Delete error:', err);
@@ -129,85 +351,80 @@ exports.deleteCandidate = async (req, res) => {
   }
 };
 
-// ─── 7) SHOW EXPORT PICKER ─────────────────────────────────────────────────────
-exports.showExportPage = async (req, res, next) => {
+// ─── 6b) REASSIGN CANDIDATES ───────────────────────────────────────────────────
+// Hands candidates to another recruiter within the user's reach, e.g. a team
+// lead moving work between team members. Each hand-over is kept in the
+// candidate's ownership history.
+async function reassignTarget(req) {
+  const target = (await assignableUsers(req.user)).find(u => String(u._id) === String(req.body.to || ''));
+  if (!target) req.flash('error_msg', 'Pick someone whose candidates you can see.');
+  return target;
+}
+
+// Single candidate (after getCandidateById)
+exports.reassignCandidate = async (req, res) => {
+  const back = backTo(req, `/candidates/${req.params.id}`);
   try {
-    const { searchName = '', searchMobile = '', searchPosition = '' } = req.query;
-    const filter = {};
-    if (searchName)     filter.candidateName = new RegExp(searchName.trim(), 'i');
-    if (searchMobile)   filter.mobile        = new RegExp(searchMobile.trim(), 'i');
-    if (searchPosition) filter.position      = new RegExp(searchPosition.trim(), 'i');
-    if (req.user.role === 'recruiter') filter.createdBy = req.user._id;
-
-    const candidates = await Candidate.find(filter).sort({ createdAt: -1 });
-    res.render('candidates/export', {
-      candidates,
-      filters:     { searchName, searchMobile, searchPosition },
-      error_msg:   req.flash('error_msg'),
-      success_msg: req.flash('success_msg')
-    });
+    const candidate = res.locals.candidate;
+    const target = await reassignTarget(req);
+    if (!target) return res.redirect(back);
+
+    await transferOwnership(req, [candidate], target._id, (req.body.reason || '').trim() || undefined);
+    req.flash('success_msg', `${candidate.candidateName} is now with ${target.username}.`);
+    res.redirect(back);
   } catch (err) {
-    next(err);
+    console.error('Reassign error:', err);
+    req.flash('error_msg', 'Could not reassign candidate');
+    res.redirect(back);
   }
 };
 
-// ─── 8) EXPORT SELECTED TO EXCEL ───────────────────────────────────────────────
-exports.exportSelected = async (req, res) => {
+// ─── 6c) BULK ACTIONS ON THE TICKED CANDIDATES ─────────────────────────────────
+// Each record succeeds or fails on its own; the summary lists them all.
+exports.bulkAction = async (req, res) => {
+  const back = backTo(req, '/candidates');
   try {
-    let ids = req.body.ids || [];
-    if (!Array.isArray(ids)) ids = [ids];
-
-    const cands = await Candidate.find({ _id: { $in: ids } })
-      .populate('createdBy', 'username')
-      .populate('updatedBy', 'username');
-
-    const wb = new ExcelJS.Workbook();
-    const ws = wb.addWorksheet('Candidates');
-
-    ws.columns = [
-      { header: 'Name',           key: 'candidateName',    width: 25 },
-      { header: 'Mobile',         key: 'mobile',           width: 15 },
-      { header: 'Email',          key: 'email',            width: 25 },
-      { header: 'Position',       key: 'position',         width: 20 },
-      { header: 'Date of Call',   key: 'dateOfCall',       width: 15 },
-      { header: 'Interview Type', key: 'interviewType',    width: 15 },
-      { header: 'Created By',     key: 'createdByName',    width: 20 },
-      { header: 'Created At',     key: 'createdAt',        width: 20 },
-      { header: 'Updated By',     key: 'updatedByName',    width: 20 },
-      { header: 'Updated At',     key: 'updatedAt',        width: 20 }
-    ];
-
-    cands.forEach(c => {
-      ws.addRow({
-        candidateName:  c.candidateName,
-        mobile:         c.mobile,
-        email:          c.email,
-        position:       c.position,
-        dateOfCall:     c.dateOfCall?.toISOString().slice(0,10) || '',
-        interviewType:  c.interviewType,
-        createdByName:  c.createdBy?.username || '—',
-        createdAt:      c.createdAt?.toLocaleString() || '',
-        updatedByName:  c.updatedBy?.username || '',
-        updatedAt:      c.updatedAt?.toLocaleString() || ''
-      });
-    });
+    const key = String(req.body.action || '');
+    const action = bulk.ACTIONS[key];
+    if (!action) {
+      req.flash('error_msg', 'Choose what to do with the ticked candidates.');
+      return res.redirect(back);
+    }
+    if (!userCan(req.user, action.permission)) {
+      req.flash('error_msg', 'Not authorized');
+      return res.redirect(back);
+    }
+    const ids = [...new Set([].concat(req.body.ids || []).filter(id => mongoose.isValidObjectId(id)))];
+    if (!ids.length) {
+      req.flash('error_msg', 'Tick the candidates first.');
+      return res.redirect(back);
+    }
 
-    res
-      .header('Content-Type',  
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
-      .header('Content-Disposition',
-        'attachment; filename="candidates.xlsx"');
+    const input = { ...req.body };
+    if (key === 'reassign') {
+      input.target = (await assignableUsers(req.user)).find(u => String(u._id) === String(req.body.to || ''));
+    }
+    const { error, results } = await bulk.run(req, key, ids, input);
+    if (error) {
+      req.flash('error_msg', error);
+      return res.redirect(back);
+    }
 
-    await wb.xlsx.write(res);
-    res.end();
+    res.render('candidates/bulk-result', {
+      action:   action.label,
+      linkable: key !== 'delete',   // trashed records have no page
+      results,
+      failed:   results.filter(r => !r.ok).length,
+      back
+    });
   } catch (err) {
-    console.error('Export error:', err);
-    req.flash('error_msg', 'Export failed.');
-    res.redirect('/candidates');
+    console.error('Bulk action error:', err);
+    req.flash('error_msg', 'The bulk action could not be run.');
+    res.redirect(back);
   }
 };
 
-// ─── 9) DOWNLOAD RESUME ────────────────────────────────────────────────────────
+// ─── 7) DOWNLOAD RESUME ────────────────────────────────────────────────────────
 exports.downloadResume = async (req, res) => {
   try {
     const c = await Candidate.findById(req.params.id);
@@ -216,8 +433,14 @@ exports.downloadResume = async (req, res) => {
       return res.redirect(`/candidates/${req.params.id}`);
     }
 
-    // assume local storage under /public/uploads/resumes
+    // assume local storage under /public/uploads/resumes; nothing outside it is served
+    const uploads = path.join(__dirname, '..', 'public', 'uploads');
     const fileOnDisk = path.join(__dirname, '..', 'public', c.resumePath);
+    if (!fileOnDisk.startsWith(uploads + path.sep)) {
+      req.flash('error_msg', 'No resume found for this candidate');
+      return res.redirect(`/candidates/${req.params.id}`);
+    }
+    await audit.record(req, { entity: 'Candidate', action: 'download', doc: c, meta: { file: c.resume } });
     res.download(fileOnDisk, c.resume, err => {
       if (err) {
         console.error('Download error:', err);
@@ -232,7 +455,7 @@ exports.downloadResume = async (req, res) => {
   }
 };
 
-// ─── 10) LIST CANDIDATES (SIMPLE) ───────────────────────────────────────────────
+// ─── 8) LIST CANDIDATES (SIMPLE) ───────────────────────────────────────────────
 exports.listCandidates = async (req, res) => {
   const filter = {};
   if (req.query.serialRefNumber) {
@@ -245,27 +468,3 @@ exports.listCandidates = async (req, res) => {
   const candidates = await Candidate.find(filter).lean();
   res.render('candidates/index', { candidates, filter, pagination });
 };
-
-// ─── 11) EXPORT CANDIDATES ─────────────────────────────────────────────────────
-exports.exportCandidates = async (req, res) => {
-  try {
-    const { searchName, searchMobile, searchPosition, searchClient } = req.query;
-    const filters = {};
-
-    if (searchName)     filters.candidateName = new RegExp(searchName.trim(), 'i');
-    if (searchMobile)   filters.mobile        = new RegExp(searchMobile.trim(), 'i');
-    if (searchPosition) filters.position      = new RegExp(searchPosition.trim(), 'i');
-    if (searchClient)   filters.client        = new RegExp(searchClient.trim(), 'i');
-
-    const candidates = await Candidate.find(filters).lean();
-
-    res.render('candidates/export', {
-      candidates,
-      filters,
-      error_msg: req.flash('error_msg')
-    });
-  } catch (err) {
-    req.flash('error_msg', 'Export failed');
-    res.redirect('/candidates');
-  }
-};
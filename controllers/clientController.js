@@ -0,0 +1,148 @@
+// backend/controllers/clientController.js
+const Client    = require('../models/Client');
+const Candidate = require('../models/Candidate');
+
+// Pull the editable client fields out of a submitted form
+function clientFields(body) {
+  return {
+    name:          body.name,
+    contactPerson: body.contactPerson,
+    contactEmail:  body.contactEmail || undefined,
+    contactPhone:  body.contactPhone,
+    refPrefix:     (body.refPrefix || '').trim().toUpperCase() || undefined,
+    billing: {
+      companyName:      body.billingCompanyName,
+      address:          body.billingAddress,
+      gstNumber:        body.billingGstNumber,
+      email:            body.billingEmail || undefined,
+      paymentTermsDays: body.billingPaymentTermsDays === '' ? undefined : body.billingPaymentTermsDays
+    },
+    isActive: body.isActive === 'on' || body.isActive === 'true'
+  };
+}
+
+exports.listClients = async (req, res, next) => {
+  try {
+    const clients = await Client.find().sort({ isActive: -1, name: 1 }).lean();
+
+    // candidate counts per client for the list
+    const counts = await Candidate.aggregate([
+      { $group: { _id: '$client', total: { $sum: 1 } } }
+    ]);
+    const countMap = {};
+    counts.forEach(c => { if (c._id) countMap[c._id.toString()] = c.total; });
+
+    res.render('admin/clients/index', { clients, countMap });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.newClientForm = (req, res) => {
+  res.render('admin/clients/new', { error: null, clientDoc: {} });
+};
+
+exports.createClient = async (req, res) => {
+  const data = clientFields(req.body);
+  try {
+    if (await Client.exists({ name: data.name })) {
+      return res.render('admin/clients/new', { error: 'A client with that name already exists.', clientDoc: data });
+    }
+    if (data.refPrefix && await Client.exists({ refPrefix: data.refPrefix })) {
+      return res.render('admin/clients/new', { error: 'Another client already uses that reference prefix.', clientDoc: data });
+    }
+    await new Client({ ...data, createdBy: req.user._id }).save();
+    req.flash('success_msg', 'Client created successfully.');
+    res.redirect('/admin/clients');
+  } catch (err) {
+    console.error('Create client error:', err);
+    res.render('admin/clients/new', {
+      error: err.name === 'ValidationError' ? err.message : 'Failed to create client.',
+      clientDoc: data
+    });
+  }
+};
+
+exports.editClientForm = async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.id).lean();
+    if (!client) {
+      req.flash('error_msg', 'Client not found.');
+      return res.redirect('/admin/clients');
+    }
+    res.render('admin/clients/edit', { error: null, clientDoc: client });
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Failed to load client.');
+    res.redirect('/admin/clients');
+  }
+};
+
+exports.updateClient = async (req, res) => {
+  const { id } = req.params;
+  const data = clientFields(req.body);
+  try {
+    const client = await Client.findById(id);
+    if (!client) {
+      req.flash('error_msg', 'Client not found.');
+      return res.redirect('/admin/clients');
+    }
+    if (await Client.exists({ name: data.name, _id: { $ne: id } })) {
+      return res.render('admin/clients/edit', {
+        error: 'A client with that name already exists.',
+        clientDoc: { ...data, _id: id }
+      });
+    }
+    if (data.refPrefix && await Client.exists({ refPrefix: data.refPrefix, _id: { $ne: id } })) {
+      return res.render('admin/clients/edit', {
+        error: 'Another client already uses that reference prefix.',
+        clientDoc: { ...data, _id: id }
+      });
+    }
+    client.set({ ...data, updatedBy: req.user._id });
+    await client.save();
+    req.flash('success_msg', 'Client updated successfully.');
+    res.redirect('/admin/clients');
+  } catch (err) {
+    console.error('Update client error:', err);
+    req.flash('error_msg', err.name === 'ValidationError' ? err.message : 'Failed to update client.');
+    res.redirect(`/admin/clients/${id}/edit`);
+  }
+};
+
+// Flip the active flag without opening the edit form
+exports.toggleClient = async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.id);
+    if (!client) {
+      req.flash('error_msg', 'Client not found.');
+      return res.redirect('/admin/clients');
+    }
+    client.isActive = !client.isActive;
+    client.updatedBy = req.user._id;
+    await client.save();
+    req.flash('success_msg', `Client ${client.isActive ? 'activated' : 'deactivated'}.`);
+    res.redirect('/admin/clients');
+  } catch (err) {
+    console.error('Toggle client error:', err);
+    req.flash('error_msg', 'Failed to update client.');
+    res.redirect('/admin/clients');
+  }
+};
+
+// Only clients with no candidates can be removed; others should be deactivated
+exports.deleteClient = async (req, res) => {
+  try {
+    if (await Candidate.exists({ client: req.params.id })) {
+      req.flash('error_msg', 'Client has candidates linked to it. Deactivate it instead.');
+      return res.redirect('/admin/clients');
+    }
+    await Client.findByIdAndDelete(req.params.id);
+    req.flash('success_msg', 'Client deleted successfully.');
+    res.redirect('/admin/clients');
+  } catch (err) {
+    console.error('Delete client error:', err);
+    req.flash('error_msg', 'Failed to delete client.');
+    res.redirect('/admin/clients');
+  }
+};
@@ -0,0 +1,138 @@
+// backend/controllers/customFieldController.js
+const mongoose     = require('mongoose');
+const Client       = require('../models/Client');
+const customFields = require('../utils/customFields');
+
+const MAX_OPTIONS = 50;
+
+// "Notice period (days)" → "noticePeriodDays", unique within the client
+function fieldKey(label, taken) {
+  const words = label.normalize('NFKD').replace(/[^a-zA-Z0-9 ]/g, ' ').trim().split(/\s+/).filter(Boolean);
+  let base = words.map((w, i) => (i ? w.charAt(0).toUpperCase() + w.slice(1).toLowerCase() : w.toLowerCase())).join('');
+  if (!/^[a-z]/.test(base)) base = `field${base.charAt(0).toUpperCase()}${base.slice(1)}`;
+  base = base.slice(0, 36);
+  let key = base;
+  for (let n = 2; taken.includes(key); n++) key = `${base}${n}`;
+  return key;
+}
+
+// One option per line (or comma), trimmed and without repeats
+const parseOptions = text => [...new Set(String(text || '').split(/[\n,]/).map(o => o.trim()).filter(Boolean))];
+
+// Label / options / required from a submitted form, or { error }
+function fieldInput(body, type) {
+  const label = String(body.label || '').trim();
+  if (!label) return { error: 'Give the field a label.' };
+
+  const data = { label, required: body.required === 'on' || body.required === '1' };
+  if (['select', 'multiselect'].includes(type)) {
+    data.options = parseOptions(body.options);
+    if (!data.options.length) return { error: 'List at least one option.' };
+    if (data.options.length > MAX_OPTIONS) return { error: `A field can have at most ${MAX_OPTIONS} options.` };
+  }
+  return { data };
+}
+
+async function loadClient(req, res) {
+  const client = mongoose.isValidObjectId(req.params.id) ? await Client.findById(req.params.id) : null;
+  if (!client) {
+    req.flash('error_msg', 'Client not found.');
+    res.redirect('/admin/clients');
+  }
+  return client;
+}
+
+const fieldsPage = client => `/admin/clients/${client._id}/fields`;
+
+// ─── 1) LIST ───────────────────────────────────────────────────────────────────
+exports.listFields = async (req, res, next) => {
+  try {
+    const client = await loadClient(req, res);
+    if (!client) return;
+    res.render('admin/clients/fields', { clientDoc: client, types: Client.FIELD_TYPES });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 2) ADD (key and type are fixed from here on) ──────────────────────────────
+exports.addField = async (req, res) => {
+  try {
+    const client = await loadClient(req, res);
+    if (!client) return;
+    const type = String(req.body.type || '');
+    if (!Client.FIELD_TYPES[type]) {
+      req.flash('error_msg', 'Choose a field type.');
+      return res.redirect(fieldsPage(client));
+    }
+    const { data, error } = fieldInput(req.body, type);
+    if (error) {
+      req.flash('error_msg', error);
+      return res.redirect(fieldsPage(client));
+    }
+
+    client.customFields.push({ ...data, type, key: fieldKey(data.label, client.customFields.map(f => f.key)) });
+    client.updatedBy = req.user._id;
+    await client.save();
+    await customFields.reload();
+    req.flash('success_msg', `Field "${data.label}" added.`);
+    res.redirect(fieldsPage(client));
+  } catch (err) {
+    console.error('Add custom field error:', err);
+    req.flash('error_msg', err.name === 'ValidationError' ? err.message : 'Failed to add the field.');
+    res.redirect(`/admin/clients/${req.params.id}/fields`);
+  }
+};
+
+// ─── 3) EDIT LABEL / OPTIONS / REQUIRED ────────────────────────────────────────
+// Removing an option leaves it on candidates that already have it.
+exports.updateField = async (req, res) => {
+  try {
+    const client = await loadClient(req, res);
+    if (!client) return;
+    const field = client.customFields.id(req.params.fieldId);
+    if (!field) {
+      req.flash('error_msg', 'Field not found.');
+      return res.redirect(fieldsPage(client));
+    }
+    const { data, error } = fieldInput(req.body, field.type);
+    if (error) {
+      req.flash('error_msg', error);
+      return res.redirect(fieldsPage(client));
+    }
+
+    field.set(data);
+    client.updatedBy = req.user._id;
+    await client.save();
+    await customFields.reload();
+    req.flash('success_msg', `Field "${field.label}" updated.`);
+    res.redirect(fieldsPage(client));
+  } catch (err) {
+    console.error('Update custom field error:', err);
+    req.flash('error_msg', err.name === 'ValidationError' ? err.message : 'Failed to update the field.');
+    res.redirect(`/admin/clients/${req.params.id}/fields`);
+  }
+};
+
+// ─── 4) ARCHIVE / RESTORE (values stay on the candidates) ──────────────────────
+exports.toggleField = async (req, res) => {
+  try {
+    const client = await loadClient(req, res);
+    if (!client) return;
+    const field = client.customFields.id(req.params.fieldId);
+    if (!field) {
+      req.flash('error_msg', 'Field not found.');
+      return res.redirect(fieldsPage(client));
+    }
+    field.active = !field.active;
+    client.updatedBy = req.user._id;
+    await client.save();
+    await customFields.reload();
+    req.flash('success_msg', `Field "${field.label}" ${field.active ? 'restored' : 'archived'}.`);
+    res.redirect(fieldsPage(client));
+  } catch (err) {
+    console.error('Toggle custom field error:', err);
+    req.flash('error_msg', 'Failed to update the field.');
+    res.redirect(`/admin/clients/${req.params.id}/fields`);
+  }
+};
@@ -0,0 +1,168 @@
+// backend/controllers/exportController.js
+const mongoose       = require('mongoose');
+const Candidate      = require('../models/Candidate');
+const ExportTemplate = require('../models/ExportTemplate');
+const exporter       = require('../utils/candidateExport');
+const customFields   = require('../utils/customFields');
+const { searchFilter } = require('../utils/candidateSearch');
+const candidateViews = require('../utils/candidateViews');
+const audit          = require('../utils/audit');
+
+const SEARCH_KEYS = ['searchName', 'searchMobile', 'searchPosition', 'searchClient'];
+
+const pickSearch = src => Object.fromEntries(SEARCH_KEYS.map(k => [k, src[k] || '']));
+
+const backTo = search => `/candidates/export?${new URLSearchParams(search)}`;
+
+/**
+ * What to export for a request: a saved view's whole search and sort when
+ * `view` names one the user can open, else the filter boxes. `params` are
+ * what the page's forms carry along.
+ */
+async function exportState(src, user) {
+  await customFields.loadFields();   // custom columns
+  const { view, search, layout } = src.view
+    ? await candidateViews.resolveState({ view: String(src.view) }, user)
+    : {};
+  if (view) {
+    return { view, search, params: { view: String(view._id) }, sort: candidateViews.layoutSort(layout, search) };
+  }
+  const boxes = pickSearch(src);
+  return { view: null, search: boxes, params: boxes, sort: { dateOfCall: -1 } };
+}
+
+// ─── 1) EXPORT BUILDER (filters, rows, column picker, templates) ───────────────
+exports.showExportBuilder = async (req, res, next) => {
+  try {
+    const { view, search, params, sort } = await exportState(req.query, req.user);
+    if (req.query.view && !view) {
+      req.flash('error_msg', 'That saved view no longer exists or is not shared with you.');
+      return res.redirect('/candidates/export');
+    }
+    const [candidates, templates, views] = await Promise.all([
+      Candidate.find(await searchFilter(search, req.user))
+        .sort(sort)
+        .populate('client', 'name')
+        .lean(),
+      ExportTemplate.find({ createdBy: req.user._id }).sort({ name: 1 }).lean(),
+      candidateViews.visibleViews(req.user)
+    ]);
+
+    // a chosen template preselects its columns and format, else a view its own columns
+    const template = mongoose.isValidObjectId(req.query.template)
+      ? templates.find(t => String(t._id) === req.query.template)
+      : null;
+    const columns = exporter.pickColumns(
+      template ? template.columns : req.query.columns || (view && view.columns)
+    );
+
+    // picked columns first (in order), then the rest in schema order
+    const fields = exporter.exportFields();
+    const ordered = [
+      ...columns.map(k => fields.find(f => f.key === k)),
+      ...fields.filter(f => !columns.includes(f.key))
+    ];
+
+    res.render('candidates/export', {
+      candidates,
+      filters:  params,
+      view,
+      views,
+      fields:   ordered,
+      columns,
+      formats:  exporter.FORMATS,
+      format:   template ? template.format : 'xlsx',
+      templates,
+      template
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 2) DOWNLOAD (selected rows, or every row matching the filters) ────────────
+exports.downloadExport = async (req, res) => {
+  let params = pickSearch(req.body);
+  try {
+    const state = await exportState(req.body, req.user);
+    params = state.params;
+    if (req.body.view && !state.view) {
+      req.flash('error_msg', 'That saved view no longer exists or is not shared with you.');
+      return res.redirect('/candidates/export');
+    }
+    const columns = exporter.pickColumns(req.body.columns);
+    const format  = exporter.FORMATS[req.body.format] ? req.body.format : 'xlsx';
+
+    // same role-based filter as the list page, even for hand-picked ids
+    const filter = await searchFilter(state.search, req.user);
+    if (req.body.scope !== 'all') {
+      const ids = [].concat(req.body.ids || []).filter(id => mongoose.isValidObjectId(id));
+      if (!ids.length) {
+        req.flash('error_msg', 'Select at least one candidate, or export all matching.');
+        return res.redirect(backTo(params));
+      }
+      filter._id = { $in: ids };
+    }
+
+    const candidates = await Candidate.find(filter)
+      .sort(state.sort)
+      .select(['_id', ...columns])
+      .populate(exporter.populateFor(columns))
+      .lean();
+
+    await audit.record(req, {
+      entity: 'Candidate',
+      action: 'export',
+      meta:   {
+        format, count: candidates.length, columns, ids: candidates.map(c => c._id),
+        ...(state.view ? { view: state.view._id } : {})
+      }
+    });
+
+    await exporter.sendExport(res, exporter.buildTable(candidates, columns), format);
+  } catch (err) {
+    console.error('Export error:', err);
+    if (res.headersSent) return res.end();
+    req.flash('error_msg', 'Export failed.');
+    res.redirect(backTo(params));
+  }
+};
+
+// ─── 3) SAVE TEMPLATE (same name overwrites) ───────────────────────────────────
+exports.saveTemplate = async (req, res) => {
+  const search = req.body.view ? { view: String(req.body.view) } : pickSearch(req.body);
+  try {
+    const name = (req.body.templateName || '').trim();
+    if (!name) {
+      req.flash('error_msg', 'Give the template a name.');
+      return res.redirect(backTo(search));
+    }
+    await customFields.loadFields();
+    const template = await ExportTemplate.findOneAndUpdate(
+      { createdBy: req.user._id, name },
+      {
+        columns: exporter.pickColumns(req.body.columns),
+        format:  exporter.FORMATS[req.body.format] ? req.body.format : 'xlsx'
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+    req.flash('success_msg', `Template "${name}" saved.`);
+    res.redirect(backTo({ ...search, template: template._id }));
+  } catch (err) {
+    console.error('Save export template error:', err);
+    req.flash('error_msg', 'Could not save template.');
+    res.redirect(backTo(search));
+  }
+};
+
+// ─── 4) DELETE TEMPLATE ────────────────────────────────────────────────────────
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const { deletedCount } = await ExportTemplate.deleteOne({ _id: req.params.id, createdBy: req.user._id });
+    req.flash(deletedCount ? 'success_msg' : 'error_msg', deletedCount ? 'Template deleted.' : 'Template not found.');
+  } catch (err) {
+    console.error('Delete export template error:', err);
+    req.flash('error_msg', 'Could not delete template.');
+  }
+  res.redirect('/candidates/export');
+};
@@ -0,0 +1,243 @@
+// backend/controllers/importController.js
+const mongoose      = require('mongoose');
+const Candidate     = require('../models/Candidate');
+const ImportMapping = require('../models/ImportMapping');
+const importer      = require('../utils/candidateImport');
+const pipeline      = require('../utils/candidatePipeline');
+const duplicates    = require('../utils/candidateDuplicates');
+const customFields  = require('../utils/customFields');
+const audit         = require('../utils/audit');
+
+// Load the parked upload for :token or send the user back to the start
+function uploadOr404(req, res) {
+  const upload = importer.loadUpload(req.params.token, req.user._id);
+  if (!upload) {
+    req.flash('error_msg', 'Import not found or expired. Please upload the file again.');
+    res.redirect('/candidates/import');
+  }
+  return upload;
+}
+
+// mapping submitted as map_<field>=<column header>
+function mappingFromBody(body) {
+  const mapping = {};
+  importer.IMPORT_FIELDS.forEach(f => {
+    if (body[`map_${f.key}`]) mapping[f.key] = body[`map_${f.key}`];
+  });
+  return mapping;
+}
+
+// Re-read the sheet and validate every row against `mapping` and the custom
+// fields of its client; rows matching an existing candidate (or an earlier
+// row) are rejected as duplicates
+async function validateUpload(upload, mapping, userId) {
+  const sheet = await importer.readSheet(upload.filePath, upload.ext);
+  const lookups = await importer.loadLookups();
+  const { valid: converted, invalid } = importer.convertRows(sheet.rows, mapping, { userId, ...lookups });
+  const values = Object.fromEntries(sheet.rows.map(r => [r.rowNumber, r.values]));
+
+  await customFields.loadFields();
+  const valid = [];
+  for (const row of converted) {
+    const fields = customFields.fieldsFor(row.data.client, { activeOnly: true });
+    const error = await customFields.applyCustomValues(row.data, importer.customInput(values[row.rowNumber], fields));
+    if (error) invalid.push({ rowNumber: row.rowNumber, values: values[row.rowNumber], errors: [error] });
+    else valid.push(row);
+  }
+
+  const dupes = await duplicates.findDuplicatesInBatch(valid.map(r => r.data));
+  const unique = valid.filter((row, i) => {
+    if (!dupes.has(i)) return true;
+    invalid.push({ rowNumber: row.rowNumber, values: values[row.rowNumber], errors: [dupes.get(i)] });
+    return false;
+  });
+  invalid.sort((a, b) => a.rowNumber - b.rowNumber);
+
+  return { sheet, valid: unique, invalid };
+}
+
+// ─── 1) UPLOAD FORM ────────────────────────────────────────────────────────────
+exports.showImportForm = async (req, res, next) => {
+  try {
+    const mappings = await ImportMapping.find({ createdBy: req.user._id }).sort({ name: 1 }).lean();
+    res.render('candidates/import/upload', { mappings, maxRows: importer.MAX_ROWS });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 2) RECEIVE FILE → COLUMN MAPPING ──────────────────────────────────────────
+exports.uploadImport = async (req, res) => {
+  if (!req.file) {
+    req.flash('error_msg', 'Please choose an .xlsx or .csv file.');
+    return res.redirect('/candidates/import');
+  }
+  try {
+    const token = importer.saveUpload(req.file, req.user._id);
+    const query = req.body.mapping ? `?mapping=${encodeURIComponent(req.body.mapping)}` : '';
+    res.redirect(`/candidates/import/${token}${query}`);
+  } catch (err) {
+    console.error('Import upload error:', err);
+    req.flash('error_msg', 'Could not read the uploaded file.');
+    res.redirect('/candidates/import');
+  }
+};
+
+exports.showMapping = async (req, res) => {
+  const upload = uploadOr404(req, res);
+  if (!upload) return;
+  try {
+    const sheet = await importer.readSheet(upload.filePath, upload.ext);
+    if (!sheet.rows.length) {
+      req.flash('error_msg', 'The file has a header row but no data rows.');
+      return res.redirect('/candidates/import');
+    }
+
+    let saved = upload.mapping || {};
+    if (req.query.mapping && mongoose.isValidObjectId(req.query.mapping)) {
+      const stored = await ImportMapping.findOne({ _id: req.query.mapping, createdBy: req.user._id }).lean();
+      if (stored) saved = stored.mapping;
+    }
+
+    res.render('candidates/import/mapping', {
+      token:   upload.token,
+      fileName: upload.originalName,
+      headers: sheet.headers,
+      sample:  sheet.rows.slice(0, 3),
+      rowCount: sheet.rows.length,
+      truncated: sheet.truncated,
+      fields:  importer.IMPORT_FIELDS,
+      mapping: importer.guessMapping(sheet.headers, saved)
+    });
+  } catch (err) {
+    console.error('Import mapping error:', err);
+    req.flash('error_msg', 'Could not read the uploaded file. Is it a valid .xlsx or .csv?');
+    res.redirect('/candidates/import');
+  }
+};
+
+// ─── 3) PREVIEW VALID / INVALID ROWS ───────────────────────────────────────────
+exports.previewImport = async (req, res) => {
+  const upload = uploadOr404(req, res);
+  if (!upload) return;
+  try {
+    const mapping = mappingFromBody(req.body);
+    upload.mapping = mapping;
+    importer.saveMeta(upload.token, upload);
+
+    const name = (req.body.saveMappingName || '').trim();
+    if (name) {
+      await ImportMapping.findOneAndUpdate(
+        { createdBy: req.user._id, name },
+        { mapping },
+        { upsert: true }
+      );
+    }
+
+    const { valid, invalid } = await validateUpload(upload, mapping, req.user._id);
+    res.render('candidates/import/preview', {
+      token: upload.token,
+      fileName: upload.originalName,
+      fields: importer.IMPORT_FIELDS.filter(f => mapping[f.key]),
+      valid,
+      invalid,
+      savedMapping: name
+    });
+  } catch (err) {
+    console.error('Import preview error:', err);
+    req.flash('error_msg', 'Could not validate the file.');
+    res.redirect(`/candidates/import/${req.params.token}`);
+  }
+};
+
+// ─── 4) SAVE VALID ROWS ────────────────────────────────────────────────────────
+// Rows are saved one at a time so the serialRefNumber hook numbers them in
+// sheet order; a row that fails here is added to the error report. The
+// upload is claimed before the first row, so it is only ever imported once,
+// and the rejected rows are kept with it: re-validating afterwards would
+// report every imported row as a duplicate of itself.
+exports.commitImport = async (req, res) => {
+  const upload = uploadOr404(req, res);
+  if (!upload) return;
+  if (upload.committedAt || !importer.claimCommit(upload.token)) {
+    req.flash('error_msg', 'This file has already been imported.');
+    return res.redirect('/candidates');
+  }
+  try {
+    let valid, invalid;
+    try {
+      ({ valid, invalid } = await validateUpload(upload, upload.mapping || {}, req.user._id));
+    } catch (err) {
+      importer.releaseCommit(upload.token);     // nothing saved yet
+      throw err;
+    }
+    const created = [];
+    const failed  = [];
+
+    for (const row of valid) {
+      try {
+        const candidate = new Candidate(row.data);
+        pipeline.recordChanges(candidate, pipeline.nextStatuses(candidate, row.data), req.user._id, 'Imported from spreadsheet');
+        await candidate.save();
+        created.push(candidate._id);
+      } catch (err) {
+        failed.push({ rowNumber: row.rowNumber, errors: [err.message] });
+      }
+    }
+
+    upload.committedAt = new Date();
+    upload.rejected = invalid.map(r => ({ rowNumber: r.rowNumber, errors: r.errors }))
+      .concat(failed)
+      .sort((a, b) => a.rowNumber - b.rowNumber);
+    importer.saveMeta(upload.token, upload);
+
+    await audit.record(req, {
+      entity: 'Candidate',
+      action: 'create',
+      meta:   { source: 'import', file: upload.originalName, count: created.length, ids: created }
+    });
+
+    res.render('candidates/import/result', {
+      token: upload.token,
+      fileName: upload.originalName,
+      created: created.length,
+      rejected: invalid.length + failed.length
+    });
+  } catch (err) {
+    console.error('Import commit error:', err);
+    req.flash('error_msg', 'Import failed.');
+    res.redirect(`/candidates/import/${req.params.token}`);
+  }
+};
+
+// ─── 5) ERROR REPORT ───────────────────────────────────────────────────────────
+exports.downloadErrors = async (req, res) => {
+  const upload = uploadOr404(req, res);
+  if (!upload) return;
+  try {
+    let sheet, invalid;
+    if (upload.committedAt) {
+      // the rows rejected by the import itself, with their original columns
+      sheet = await importer.readSheet(upload.filePath, upload.ext);
+      const rowsByNumber = Object.fromEntries(sheet.rows.map(r => [r.rowNumber, r.values]));
+      invalid = (upload.rejected || []).map(r => ({ ...r, values: rowsByNumber[r.rowNumber] || {} }));
+    } else {
+      ({ sheet, invalid } = await validateUpload(upload, upload.mapping || {}, req.user._id));
+    }
+
+    const wb = importer.errorReport(sheet.headers, invalid);
+    const base = upload.originalName.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+    res
+      .header('Content-Type',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+      .header('Content-Disposition',
+        `attachment; filename="${base}-errors.xlsx"`);
+
+    await wb.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    console.error('Import error report error:', err);
+    req.flash('error_msg', 'Could not build the error report.');
+    res.redirect('/candidates/import');
+  }
+};
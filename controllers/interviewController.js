@@ -0,0 +1,410 @@
+// backend/controllers/interviewController.js
+const mongoose  = require('mongoose');
+const Interview = require('../models/Interview');
+const Candidate = require('../models/Candidate');
+const Client    = require('../models/Client');
+const User      = require('../models/User');
+const ics       = require('../utils/ics');
+const audit     = require('../utils/audit');
+const sendEmail = require('../utils/sendEmail');
+const { baseUrl } = require('../config/app');
+const { reachableUserIds } = require('../utils/permissions');
+const { ownerOf } = require('../utils/candidateOwnership');
+const { formData } = require('../utils/interviewInput');
+
+const POPULATE = [
+  { path: 'candidate', select: 'candidateName serialRefNumber refCode mobile email' },
+  { path: 'client',    select: 'name' },
+  { path: 'job',       select: 'title' },
+  { path: 'recruiter', select: 'username' }
+];
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+// Interviews follow their candidate: you see the interviews of the recruiters
+// whose candidates you can see (null = everyone)
+const reachable = req => reachableUserIds(req.user, 'candidate:read');
+
+const scopeFilter = ids => (ids ? { recruiter: { $in: ids } } : {});
+
+const canAccess = async (req, ownerId) => {
+  const ids = await reachable(req);
+  return !ids || ids.some(id => String(id) === String(ownerId));
+};
+
+// Narrow to one recruiter when they are within reach
+function recruiterFilter(filter, ids, recruiter) {
+  if (!recruiter || !mongoose.isValidObjectId(recruiter)) return;
+  if (!ids || ids.some(id => String(id) === recruiter)) filter.recruiter = recruiter;
+}
+
+// Recruiters to offer in the filter dropdown (none when you only see your own)
+function recruiterOptions(ids) {
+  if (ids && ids.length < 2) return [];
+  const filter = ids ? { _id: { $in: ids } } : { role: 'recruiter' };
+  return User.find(filter).select('_id username').sort({ username: 1 }).lean();
+}
+
+const appUrl = iv => `${baseUrl}/interviews/${iv._id}`;
+
+// Options shared by every calendar we build (stable UIDs, links back to the app)
+const CALENDAR_OPTS = { host: new URL(baseUrl).hostname, urlFor: appUrl };
+
+const escapeHtml = s => String(s || '').replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+// Values for re-filling the form from a saved interview
+function formValues(iv) {
+  const pad = n => String(n).padStart(2, '0');
+  const day  = d => d ? `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` : '';
+  const time = d => d ? `${pad(d.getHours())}:${pad(d.getMinutes())}` : '';
+  return {
+    ...iv,
+    interviewerName:  iv.interviewer?.name,
+    interviewerEmail: iv.interviewer?.email,
+    date:      day(iv.start),
+    startTime: time(iv.start),
+    endTime:   time(iv.end)
+  };
+}
+
+async function loadCandidate(req, id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const candidate = await Candidate.findById(id).populate('client', 'name');
+  return candidate && (await canAccess(req, ownerOf(candidate))) ? candidate : null;
+}
+
+function renderForm(res, view, { interview, candidate, conflicts = [], error = null }) {
+  res.render(view, {
+    interview,
+    candidate,
+    conflicts,
+    error,
+    modes: Interview.MODES
+  });
+}
+
+/**
+ * Copy an attendance outcome onto the candidate: Attended → "Yes",
+ * No Show → "No" with the notes as the not-attended comment.
+ */
+async function applyAttendance(req, interview) {
+  if (!['Attended', 'No Show'].includes(interview.outcome)) return;
+  const candidate = await Candidate.findById(interview.candidate._id || interview.candidate);
+  if (!candidate) return;
+
+  const before = audit.toPlain(candidate);
+  if (interview.outcome === 'Attended') {
+    candidate.set({ interviewAttended: 'Yes', notAttendedComments: undefined });
+  } else {
+    candidate.set({
+      interviewAttended:   'No',
+      notAttendedComments: interview.outcomeNotes || `Did not attend round ${interview.round} interview`
+    });
+  }
+  if (!candidate.isModified()) return;
+
+  candidate.updatedBy = req.user._id;
+  await candidate.save();
+  await audit.record(req, {
+    entity:  'Candidate',
+    action:  'update',
+    doc:     candidate,
+    changes: audit.diff(before, candidate),
+    meta:    { interview: interview._id, outcome: interview.outcome }
+  });
+}
+
+// Email the interviewer a calendar invite (or cancellation); never fails the request
+async function sendInvite(interview, method = 'REQUEST') {
+  if (!interview.interviewer?.email) return false;
+  try {
+    await interview.populate(POPULATE);
+    const content = ics.buildCalendar([interview], { ...CALENDAR_OPTS, method });
+    const what = `${interview.candidate?.candidateName || 'Candidate'} – round ${interview.round}`;
+    const when = interview.start.toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+    await sendEmail(
+      interview.interviewer.email,
+      method === 'CANCEL' ? `Cancelled: interview with ${what}` : `Interview: ${what} on ${when}`,
+      `<p>Hello ${escapeHtml(interview.interviewer.name)},</p>
+       <p>${method === 'CANCEL' ? 'The following interview has been cancelled' : 'You have an interview scheduled'}:</p>
+       <p><strong>${escapeHtml(what)}</strong><br>${when} (${interview.mode})
+       ${interview.location ? `<br>${escapeHtml(interview.location)}` : ''}
+       ${interview.meetingLink ? `<br><a href="${escapeHtml(interview.meetingLink)}">${escapeHtml(interview.meetingLink)}</a>` : ''}</p>`,
+      { icalEvent: { method, filename: 'interview.ics', content } }
+    );
+    return true;
+  } catch (err) {
+    console.error('Interview invite error:', err);
+    return false;
+  }
+}
+
+// Month grid (Monday first) covering `month` (a Date inside it)
+function monthGrid(month, interviews) {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const start = new Date(first);
+  start.setDate(1 - ((first.getDay() + 6) % 7));
+
+  const key = d => `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`;
+  const byDay = {};
+  interviews.forEach(iv => (byDay[key(iv.start)] = byDay[key(iv.start)] || []).push(iv));
+
+  const weeks = [];
+  const day = new Date(start);
+  do {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      week.push({ date: new Date(day), inMonth: day.getMonth() === first.getMonth(), interviews: byDay[key(day)] || [] });
+      day.setDate(day.getDate() + 1);
+    }
+    weeks.push(week);
+  } while (day.getMonth() === first.getMonth());
+  return weeks;
+}
+
+// ─── 1) CALENDAR (per recruiter / per client) ──────────────────────────────────
+exports.showCalendar = async (req, res, next) => {
+  try {
+    const { month = '', client = '', recruiter = '' } = req.query;
+    const [y, m] = /^\d{4}-\d{2}$/.test(month) ? month.split('-').map(Number) : [];
+    const current = y ? new Date(y, m - 1, 1) : new Date();
+    const from = new Date(current.getFullYear(), current.getMonth(), 1);
+    const to   = new Date(current.getFullYear(), current.getMonth() + 1, 1);
+
+    const ids = await reachable(req);
+    const filter = { ...scopeFilter(ids), start: { $gte: from, $lt: to } };
+    if (client && mongoose.isValidObjectId(client)) filter.client = client;
+    recruiterFilter(filter, ids, recruiter);
+
+    const [interviews, clients, recruiters] = await Promise.all([
+      Interview.find(filter).sort({ start: 1 }).populate(POPULATE).lean(),
+      Client.find().select('_id name').sort({ name: 1 }).lean(),
+      recruiterOptions(ids)
+    ]);
+
+    const monthParam = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    res.render('interviews/calendar', {
+      weeks:      monthGrid(from, interviews),
+      interviews,
+      clients,
+      recruiters,
+      filter:     { client, recruiter },
+      month:      from,
+      prevMonth:  monthParam(new Date(from.getFullYear(), from.getMonth() - 1, 1)),
+      nextMonth:  monthParam(to),
+      thisMonth:  monthParam(from)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 2) ICS FEED (same filters as the calendar) ────────────────────────────────
+exports.calendarFeed = async (req, res, next) => {
+  try {
+    const { client = '', recruiter = '' } = req.query;
+    const since = new Date();
+    since.setDate(since.getDate() - 30);
+
+    const ids = await reachable(req);
+    const filter = { ...scopeFilter(ids), start: { $gte: since } };
+    if (client && mongoose.isValidObjectId(client)) filter.client = client;
+    recruiterFilter(filter, ids, recruiter);
+
+    const interviews = await Interview.find(filter).sort({ start: 1 }).populate(POPULATE).lean();
+    res
+      .type('text/calendar; charset=utf-8')
+      .send(ics.buildCalendar(interviews, { ...CALENDAR_OPTS, name: 'Interviews' }));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 3) SCHEDULE FORM ──────────────────────────────────────────────────────────
+exports.showNewForm = async (req, res, next) => {
+  try {
+    const candidate = await loadCandidate(req, req.query.candidate);
+    if (!candidate) {
+      req.flash('error_msg', 'Open a candidate to schedule an interview.');
+      return res.redirect('/candidates');
+    }
+    const rounds = await Interview.countDocuments({ candidate: candidate._id, outcome: { $ne: 'Cancelled' } });
+    renderForm(res, 'interviews/new', { interview: { round: rounds + 1, mode: 'In Person' }, candidate });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 4) CREATE ─────────────────────────────────────────────────────────────────
+exports.createInterview = async (req, res) => {
+  const values = { ...req.body };
+  let candidate;
+  try {
+    candidate = await loadCandidate(req, req.body.candidate);
+    if (!candidate) {
+      req.flash('error_msg', 'Candidate not found');
+      return res.redirect('/candidates');
+    }
+
+    const data = {
+      ...formData(req.body),
+      candidate: candidate._id,
+      client:    candidate.client._id || candidate.client,
+      job:       candidate.job,
+      recruiter: ownerOf(candidate),
+      createdBy: req.user._id
+    };
+    if (!data.start || !data.end) {
+      return renderForm(res, 'interviews/new', { interview: values, candidate, error: 'Enter a date, start time and end time.' });
+    }
+
+    const interview = new Interview(data);
+    await interview.validate();
+
+    if (req.body.confirmConflict !== '1') {
+      const conflicts = await Interview.findConflicts(data);
+      if (conflicts.length) return renderForm(res, 'interviews/new', { interview: values, candidate, conflicts });
+    }
+
+    await interview.save();
+    const invited = req.body.sendInvite === '1' && await sendInvite(interview);
+
+    req.flash('success_msg', `Interview scheduled${invited ? ' and invite emailed to the interviewer' : ''}.`);
+    res.redirect(`/interviews/${interview._id}`);
+  } catch (err) {
+    console.error('Schedule interview error:', err);
+    if (err.name === 'ValidationError') {
+      return renderForm(res, 'interviews/new', {
+        interview: values,
+        candidate,
+        error: Object.values(err.errors).map(e => e.message).join(' ')
+      });
+    }
+    req.flash('error_msg', 'Could not schedule interview');
+    res.redirect(candidate ? `/candidates/${candidate._id}` : '/interviews');
+  }
+};
+
+// ─── 5) FETCH SINGLE INTERVIEW ─────────────────────────────────────────────────
+exports.getInterviewById = async (req, res, next) => {
+  try {
+    const interview = mongoose.isValidObjectId(req.params.id)
+      ? await Interview.findById(req.params.id).populate(POPULATE)
+      : null;
+    if (!interview) {
+      req.flash('error_msg', 'Interview not found');
+      return res.redirect('/interviews');
+    }
+    if (!(await canAccess(req, interview.recruiter?._id))) {
+      req.flash('error_msg', 'Not authorized');
+      return res.redirect('/interviews');
+    }
+    res.locals.interview = interview;
+    next();
+  } catch (err) {
+    console.error('Fetch interview error:', err);
+    req.flash('error_msg', 'Could not load interview');
+    res.redirect('/interviews');
+  }
+};
+
+// ─── 6) SHOW ───────────────────────────────────────────────────────────────────
+exports.showInterview = (req, res) => {
+  res.render('interviews/show', {
+    interview: res.locals.interview,
+    outcomes:  Interview.OUTCOMES
+  });
+};
+
+// ─── 7) EDIT / RESCHEDULE ──────────────────────────────────────────────────────
+exports.showEditForm = (req, res) => {
+  const interview = res.locals.interview;
+  renderForm(res, 'interviews/edit', {
+    interview: formValues(interview.toObject()),
+    candidate: interview.candidate
+  });
+};
+
+exports.updateInterview = async (req, res) => {
+  const interview = res.locals.interview;
+  const values = { ...req.body, _id: interview._id };
+  try {
+    const data = formData(req.body);
+    if (!data.start || !data.end) {
+      return renderForm(res, 'interviews/edit', { interview: values, candidate: interview.candidate, error: 'Enter a date, start time and end time.' });
+    }
+
+    const moved = +data.start !== +interview.start || +data.end !== +interview.end;
+    interview.set(data);
+    if (interview.isModified()) interview.sequence += 1;
+    interview.updatedBy = req.user._id;
+    await interview.validate();
+
+    if (req.body.confirmConflict !== '1') {
+      const conflicts = await Interview.findConflicts(
+        { ...data, candidate: interview.candidate._id },
+        { excludeId: interview._id }
+      );
+      if (conflicts.length) return renderForm(res, 'interviews/edit', { interview: values, candidate: interview.candidate, conflicts });
+    }
+
+    await interview.save();
+    const invited = req.body.sendInvite === '1' && await sendInvite(interview);
+
+    req.flash('success_msg', `Interview ${moved ? 'rescheduled' : 'updated'}${invited ? ' and invite emailed to the interviewer' : ''}.`);
+    res.redirect(`/interviews/${interview._id}`);
+  } catch (err) {
+    console.error('Update interview error:', err);
+    if (err.name === 'ValidationError') {
+      return renderForm(res, 'interviews/edit', {
+        interview: values,
+        candidate: interview.candidate,
+        error: Object.values(err.errors).map(e => e.message).join(' ')
+      });
+    }
+    req.flash('error_msg', 'Could not update interview');
+    res.redirect(`/interviews/${interview._id}`);
+  }
+};
+
+// ─── 8) RECORD OUTCOME (attendance drives the candidate record) ────────────────
+exports.setOutcome = async (req, res) => {
+  const interview = res.locals.interview;
+  try {
+    const { outcome, outcomeNotes } = req.body;
+    if (!Interview.OUTCOMES.includes(outcome)) {
+      req.flash('error_msg', 'Choose a valid outcome.');
+      return res.redirect(`/interviews/${interview._id}`);
+    }
+    if (['Attended', 'No Show'].includes(outcome) && interview.start > new Date()) {
+      req.flash('error_msg', 'Attendance can only be recorded once the interview has started.');
+      return res.redirect(`/interviews/${interview._id}`);
+    }
+
+    const wasActive = Interview.ACTIVE_OUTCOMES.includes(interview.outcome);
+    interview.set({ outcome, outcomeNotes, updatedBy: req.user._id });
+    const cancelled = wasActive && !Interview.ACTIVE_OUTCOMES.includes(outcome);
+    if (cancelled) interview.sequence += 1;
+    await interview.save();
+
+    await applyAttendance(req, interview);
+    if (cancelled && req.body.sendInvite === '1') await sendInvite(interview, 'CANCEL');
+
+    req.flash('success_msg', `Outcome recorded: ${outcome}.`);
+    res.redirect(`/interviews/${interview._id}`);
+  } catch (err) {
+    console.error('Interview outcome error:', err);
+    req.flash('error_msg', 'Could not record outcome');
+    res.redirect(`/interviews/${interview._id}`);
+  }
+};
+
+// ─── 9) DOWNLOAD .ICS FOR ONE INTERVIEW ────────────────────────────────────────
+exports.downloadIcs = (req, res) => {
+  const interview = res.locals.interview;
+  res
+    .type('text/calendar; charset=utf-8')
+    .attachment(`interview-${interview._id}.ics`)
+    .send(ics.buildCalendar([interview], { ...CALENDAR_OPTS, method: 'PUBLISH' }));
+};
@@ -0,0 +1,140 @@
+// backend/controllers/invitationController.js
+const mongoose    = require('mongoose');
+const Invitation  = require('../models/Invitation');
+const invitations = require('../utils/invitations');
+
+// Open invitations (not accepted or revoked); expired ones can be resent
+const OPEN = { acceptedAt: null, revokedAt: null };
+
+async function findOpen(id) {
+  return mongoose.isValidObjectId(id) ? Invitation.findOne({ _id: id, ...OPEN }) : null;
+}
+
+// ─── 1) LIST ───────────────────────────────────────────────────────────────────
+exports.listInvitations = async (req, res, next) => {
+  try {
+    const list = await Invitation.find(OPEN)
+      .select('-tokenHash')
+      .populate('invitedBy', 'username')
+      .sort({ createdAt: -1 })
+      .lean();
+    res.render('admin/users/index', { invitations: list, now: new Date() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 2) INVITE ─────────────────────────────────────────────────────────────────
+exports.newInvitationForm = async (req, res, next) => {
+  try {
+    res.render('admin/users/new', {
+      error: null,
+      roles: await invitations.invitableRoles(req.user),
+      form:  { email: '', role: String(req.query.role || '') }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.createInvitation = async (req, res, next) => {
+  try {
+    const form  = { email: String(req.body.email || ''), role: String(req.body.role || '') };
+    const roles = await invitations.invitableRoles(req.user);
+    const rerender = error => res.render('admin/users/new', { error, roles, form });
+
+    if (!roles.some(r => r.key === form.role)) return rerender('Choose a role you are allowed to invite people into.');
+    const { invitation, sent, error } = await invitations.invite(req, form);
+    if (error) return rerender(error);
+
+    if (sent) req.flash('success_msg', `Invitation sent to ${invitation.email}.`);
+    else req.flash('error_msg', `Invitation for ${invitation.email} saved, but the email could not be sent. Try Resend.`);
+    res.redirect('/admin/users');
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 3) RESEND / REVOKE ────────────────────────────────────────────────────────
+exports.resendInvitation = async (req, res) => {
+  try {
+    const invitation = await findOpen(req.params.id);
+    const { sent, error } = invitation ? await invitations.resend(req, invitation) : {};
+    if (!invitation) {
+      req.flash('error_msg', 'Invitation not found or no longer open.');
+    } else if (error) {
+      req.flash('error_msg', error);
+    } else if (sent) {
+      req.flash('success_msg', `A new link was sent to ${invitation.email}; the previous one no longer works.`);
+    } else {
+      req.flash('error_msg', `The email to ${invitation.email} could not be sent.`);
+    }
+  } catch (err) {
+    console.error('Resend invitation error:', err);
+    req.flash('error_msg', 'Failed to resend the invitation.');
+  }
+  res.redirect('/admin/users');
+};
+
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await findOpen(req.params.id);
+    if (!invitation) {
+      req.flash('error_msg', 'Invitation not found or no longer open.');
+    } else {
+      await invitations.revoke(req, invitation);
+      req.flash('success_msg', `Invitation for ${invitation.email} revoked.`);
+    }
+  } catch (err) {
+    console.error('Revoke invitation error:', err);
+    req.flash('error_msg', 'Failed to revoke the invitation.');
+  }
+  res.redirect('/admin/users');
+};
+
+// ─── 4) ACCEPT (link from the email, signed out) ───────────────────────────────
+const INVALID_LINK = 'This invitation link is invalid, has expired or was already used. Ask an admin to resend it.';
+
+exports.getAcceptInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token);
+    if (!invitation) {
+      req.flash('error', INVALID_LINK);
+      return res.redirect('/login');
+    }
+    res.render('auth/accept-invite', {
+      token: req.params.token,
+      email: invitation.email,
+      form:  { username: '', fullName: '', phone: '' },
+      error: null
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.postAcceptInvitation = async (req, res, next) => {
+  const { token } = req.params;
+  try {
+    const invitation = await Invitation.findByToken(token);
+    if (!invitation) {
+      req.flash('error', INVALID_LINK);
+      return res.redirect('/login');
+    }
+
+    const { username = '', fullName = '', phone = '', password, confirmPassword } = req.body;
+    const rerender = error => res.render('auth/accept-invite', {
+      token, email: invitation.email, form: { username, fullName, phone }, error
+    });
+    if (!password || password !== confirmPassword) return rerender('Passwords do not match.');
+    if (password.length < 8) return rerender('Password must be at least 8 characters.');
+
+    const { error } = await invitations.accept(req, invitation, { username, fullName, phone, password });
+    if (error) return rerender(error);
+
+    req.flash('success_msg', 'Your account is ready. Please log in.');
+    res.redirect('/login');
+  } catch (err) {
+    next(err);
+  }
+};
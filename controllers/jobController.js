@@ -0,0 +1,160 @@
+// backend/controllers/jobController.js
+const Job       = require('../models/Job');
+const Client    = require('../models/Client');
+const Candidate = require('../models/Candidate');
+
+// Pull the editable job fields out of a submitted form
+function jobFields(body) {
+  const num = v => (v === '' || v == null ? undefined : Number(v));
+  return {
+    client:      body.client || undefined,
+    title:       body.title,
+    department:  body.department,
+    headcount:   num(body.headcount),
+    location:    body.location,
+    description: body.description,
+    salaryMin:   num(body.salaryMin),
+    salaryMax:   num(body.salaryMax),
+    status:      body.status || 'open'
+  };
+}
+
+// ─── LIST ──────────────────────────────────────────────────────────────────────
+exports.listJobs = async (req, res, next) => {
+  try {
+    const { status = '', client = '' } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (client) filter.client = client;
+
+    const jobs = await Job.find(filter)
+      .populate('client', 'name')
+      .sort({ status: 1, createdAt: -1 })
+      .lean();
+    const stats = await Job.fillStats(jobs.map(j => j._id));
+    const clients = await Client.forSelect();
+
+    res.render('admin/jobs/index', {
+      jobs,
+      stats,
+      clients,
+      statuses: Job.STATUSES,
+      filter: { status, client }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── NEW / CREATE ──────────────────────────────────────────────────────────────
+exports.newJobForm = async (req, res, next) => {
+  try {
+    const clients = await Client.forSelect();
+    res.render('admin/jobs/new', { error: null, job: {}, clients, statuses: Job.STATUSES });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.createJob = async (req, res) => {
+  const data = jobFields(req.body);
+  try {
+    await new Job({ ...data, createdBy: req.user._id }).save();
+    req.flash('success_msg', 'Job requisition created.');
+    res.redirect('/admin/jobs');
+  } catch (err) {
+    console.error('Create job error:', err);
+    const clients = await Client.forSelect();
+    res.render('admin/jobs/new', {
+      error: err.name === 'ValidationError' ? err.message : 'Failed to create job.',
+      job: data,
+      clients,
+      statuses: Job.STATUSES
+    });
+  }
+};
+
+// ─── SHOW (with linked candidates) ─────────────────────────────────────────────
+exports.showJob = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id).populate('client', 'name').lean();
+    if (!job) {
+      req.flash('error_msg', 'Job not found.');
+      return res.redirect('/admin/jobs');
+    }
+    const candidates = await Candidate.find({ job: job._id })
+      .select('serialRefNumber refCode candidateName mobile hrStatus clientStatus finalStatus owner')
+      .populate('owner', 'username')
+      .sort({ dateOfCall: -1 })
+      .lean();
+    const stats = (await Job.fillStats([job._id]))[job._id.toString()] || { linked: 0, joined: 0 };
+
+    res.render('admin/jobs/show', { job, candidates, stats });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── EDIT / UPDATE ─────────────────────────────────────────────────────────────
+exports.editJobForm = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).lean();
+    if (!job) {
+      req.flash('error_msg', 'Job not found.');
+      return res.redirect('/admin/jobs');
+    }
+    const clients = await Client.forSelect(job.client);
+    res.render('admin/jobs/edit', { error: null, job, clients, statuses: Job.STATUSES });
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Failed to load job.');
+    res.redirect('/admin/jobs');
+  }
+};
+
+exports.updateJob = async (req, res) => {
+  const { id } = req.params;
+  const data = jobFields(req.body);
+  try {
+    const job = await Job.findById(id);
+    if (!job) {
+      req.flash('error_msg', 'Job not found.');
+      return res.redirect('/admin/jobs');
+    }
+    job.set({ ...data, updatedBy: req.user._id });
+    await job.save();
+
+    // keep the denormalised position title on linked candidates in sync
+    await Candidate.updateMany({ job: job._id }, { position: job.title, client: job.client });
+
+    req.flash('success_msg', 'Job requisition updated.');
+    res.redirect(`/admin/jobs/${id}`);
+  } catch (err) {
+    console.error('Update job error:', err);
+    const clients = await Client.forSelect(data.client);
+    res.render('admin/jobs/edit', {
+      error: err.name === 'ValidationError' ? err.message : 'Failed to update job.',
+      job: { ...data, _id: id },
+      clients,
+      statuses: Job.STATUSES
+    });
+  }
+};
+
+// ─── DELETE ────────────────────────────────────────────────────────────────────
+// Jobs with linked candidates are kept for reporting; close them instead.
+exports.deleteJob = async (req, res) => {
+  try {
+    if (await Candidate.exists({ job: req.params.id })) {
+      req.flash('error_msg', 'Job has candidates linked to it. Close it instead.');
+      return res.redirect('/admin/jobs');
+    }
+    await Job.findByIdAndDelete(req.params.id);
+    req.flash('success_msg', 'Job requisition deleted.');
+    res.redirect('/admin/jobs');
+  } catch (err) {
+    console.error('Delete job error:', err);
+    req.flash('error_msg', 'Failed to delete job.');
+    res.redirect('/admin/jobs');
+  }
+};
@@ -0,0 +1,62 @@
+// backend/controllers/joiningController.js
+const Candidate = require('../models/Candidate');
+const pipeline  = require('../utils/candidatePipeline');
+const { searchFilter } = require('../utils/candidateSearch');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Joining dates come from <input type="date">, so they are stored as UTC
+// midnight; compare them against today's date at UTC midnight as well.
+function todayUtc() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+}
+
+// Monday-to-Sunday week containing `day`
+function weekOf(day) {
+  const start = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+}
+
+const findJoinings = (filter, sort) => Candidate.find(filter)
+  .sort(sort)
+  .populate('client', 'name')
+  .populate('owner', 'username')
+  .select('serialRefNumber refCode candidateName mobile position client finalStatus offer owner')
+  .lean();
+
+// ─── 1) JOININGS THIS WEEK / OVERDUE ───────────────────────────────────────────
+exports.showJoinings = async (req, res, next) => {
+  try {
+    const today = todayUtc();
+    const week  = weekOf(today);
+    const scope = await searchFilter({}, req.user);
+
+    const [thisWeek, overdue] = await Promise.all([
+      // everyone due this week, including those who have already joined
+      findJoinings({
+        ...scope,
+        'offer.expectedJoiningDate': { $gte: week.start, $lt: week.end },
+        finalStatus: { $nin: pipeline.DROPOUT_STATUSES }
+      }, { 'offer.expectedJoiningDate': 1 }),
+
+      // past their expected date but neither joined nor dropped out
+      findJoinings({
+        ...scope,
+        'offer.expectedJoiningDate': { $lt: today },
+        'offer.actualJoiningDate':   null,
+        finalStatus: { $in: pipeline.OFFER_STATUSES }
+      }, { 'offer.expectedJoiningDate': 1 })
+    ]);
+
+    res.render('candidates/joinings', {
+      thisWeek,
+      overdue,
+      today,
+      weekStart: week.start,
+      weekEnd:   new Date(week.end.getTime() - DAY_MS)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
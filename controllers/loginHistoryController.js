@@ -0,0 +1,113 @@
+// backend/controllers/loginHistoryController.js
+const mongoose   = require('mongoose');
+const LoginEvent = require('../models/LoginEvent');
+const User       = require('../models/User');
+const audit      = require('../utils/audit');
+const loginGuard = require('../utils/loginGuard');
+const twoFactor  = require('../utils/twoFactor');
+
+const ITEMS_PER_PAGE = 25;
+
+// ─── 1) LIST (filter by user, result, IP, date range) + LOCKED ACCOUNTS ────────
+exports.listLogins = async (req, res, next) => {
+  try {
+    const { user = '', result = '', ip = '', from = '', to = '', page = 1 } = req.query;
+    const filter = {};
+
+    if (user && mongoose.isValidObjectId(user)) filter.user = user;
+    if (LoginEvent.RESULTS.includes(result))   filter.result = result;
+    if (ip.trim())                             filter.ip = ip.trim();
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setHours(23, 59, 59, 999);   // include the whole "to" day
+        filter.createdAt.$lte = end;
+      }
+    }
+
+    const current = Math.max(Number(page) || 1, 1);
+    const [totalCount, events, users, locked, withTwoFactor] = await Promise.all([
+      LoginEvent.countDocuments(filter),
+      LoginEvent.find(filter)
+        .populate('user', 'username')
+        .sort({ createdAt: -1 })
+        .skip((current - 1) * ITEMS_PER_PAGE)
+        .limit(ITEMS_PER_PAGE)
+        .lean(),
+      User.find().select('_id username').sort({ username: 1 }).lean(),
+      User.find({ lockedUntil: { $gt: new Date() } }).select('username email lockedUntil').sort({ lockedUntil: -1 }).lean(),
+      User.find({ 'twoFactor.enabled': true, _id: { $ne: req.user._id } }).select('username').sort({ username: 1 }).lean()
+    ]);
+
+    res.render('admin/logins/index', {
+      events,
+      users,
+      locked,
+      withTwoFactor,
+      results: LoginEvent.RESULTS,
+      filter:  { user, result, ip, from, to },
+      pagination: {
+        page: current,
+        totalPages: Math.ceil(totalCount / ITEMS_PER_PAGE)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 2) UNLOCK AN ACCOUNT ──────────────────────────────────────────────────────
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      req.flash('error_msg', 'User not found.');
+    } else if (!user.lockedUntil || user.lockedUntil <= new Date()) {
+      req.flash('error_msg', `${user.username} is not locked.`);
+    } else {
+      await loginGuard.unlock(user);
+      await audit.record(req, {
+        entity:  'User',
+        action:  'update',
+        doc:     user,
+        changes: [{ field: 'lockedUntil', before: user.lockedUntil, after: null }]
+      });
+      req.flash('success_msg', `${user.username} can sign in again.`);
+    }
+  } catch (err) {
+    console.error('Unlock error:', err);
+    req.flash('error_msg', 'Failed to unlock the account.');
+  }
+  res.redirect('/admin/logins');
+};
+
+// ─── 3) RESET TWO-FACTOR SIGN-IN ───────────────────────────────────────────────
+// For users who lost both their phone and recovery codes. If their role
+// requires 2FA they are asked to set it up again at their next sign-in.
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const id = String(req.body.user || '');
+    const user = mongoose.isValidObjectId(id) ? await User.findById(id) : null;
+    if (!user || !user.twoFactor?.enabled) {
+      req.flash('error_msg', 'That user does not have two-factor sign-in.');
+    } else if (user._id.equals(req.user._id)) {
+      req.flash('error_msg', 'Turn off your own two-factor sign-in from your profile.');
+    } else {
+      await twoFactor.disable(user);
+      await audit.record(req, {
+        entity:  'User',
+        action:  'update',
+        doc:     user,
+        changes: [{ field: 'twoFactor', before: 'on', after: 'off' }],
+        meta:    { reset: true }
+      });
+      req.flash('success_msg', `Two-factor sign-in reset for ${user.username}.`);
+    }
+  } catch (err) {
+    console.error('2FA reset error:', err);
+    req.flash('error_msg', 'Failed to reset two-factor sign-in.');
+  }
+  res.redirect('/admin/logins');
+};
@@ -0,0 +1,125 @@
+// backend/controllers/mergeController.js
+const mongoose  = require('mongoose');
+const Candidate = require('../models/Candidate');
+const Interview = require('../models/Interview');
+const merger    = require('../utils/candidateMerge');
+const audit     = require('../utils/audit');
+const { ownerOf } = require('../utils/candidateOwnership');
+
+// Accept a Mongo id, a serial number or a formatted reference code; the
+// resume text is loaded too, since it moves with the resume
+function findCandidate(ref) {
+  ref = String(ref || '').trim().replace(/^#/, '');
+  if (!ref) return null;
+  if (/^[a-f0-9]{24}$/i.test(ref)) return Candidate.findById(ref).select('+resumeText');
+  if (/^\d+$/.test(ref)) return Candidate.findOne({ serialRefNumber: Number(ref) }).select('+resumeText');
+  return Candidate.findOne({ refCode: ref }).select('+resumeText').collation({ locale: 'en', strength: 2 });
+}
+
+// Load both sides; the earliest serialRefNumber is always the survivor
+async function loadPair(a, b) {
+  const [x, y] = await Promise.all([findCandidate(a), findCandidate(b)]);
+  if (!x || !y) return { error: 'Both candidates must exist.' };
+  if (x._id.equals(y._id)) return { error: 'Pick two different candidates.' };
+  return x.serialRefNumber <= y.serialRefNumber
+    ? { primary: x, secondary: y }
+    : { primary: y, secondary: x };
+}
+
+// Groups of records sharing a mobile or email, for the suggestions list
+async function suspectedGroups() {
+  const group = field => Candidate.aggregate([
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, ids: { $push: '$_id' }, refs: { $push: '$serialRefNumber' }, names: { $push: '$candidateName' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: 50 }
+  ]);
+  const [byMobile, byEmail] = await Promise.all([group('mobile'), group('email')]);
+  return [
+    ...byMobile.map(g => ({ ...g, field: 'mobile' })),
+    ...byEmail.map(g => ({ ...g, field: 'email' }))
+  ];
+}
+
+// ─── PICK TWO RECORDS / COMPARE ────────────────────────────────────────────────
+exports.showMerge = async (req, res, next) => {
+  try {
+    const { a = '', b = '' } = req.query;
+    if (!a || !b) {
+      return res.render('admin/merge/index', { groups: await suspectedGroups(), a, b });
+    }
+
+    const pair = await loadPair(a, b);
+    if (pair.error) {
+      req.flash('error_msg', pair.error);
+      return res.redirect('/admin/merge');
+    }
+    const { primary, secondary } = pair;
+    await Promise.all([primary, secondary].map(c =>
+      c.populate([{ path: 'client', select: 'name' }, { path: 'owner createdBy', select: 'username' }])
+    ));
+
+    res.render('admin/merge/compare', {
+      primary,
+      secondary,
+      fields:    merger.mergeFields(Candidate.schema),
+      statusFields: merger.STATUS_GROUP,
+      conflicts: merger.conflicts(primary, secondary)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── MERGE ─────────────────────────────────────────────────────────────────────
+// The survivor is saved first; the other record is then deleted with a
+// snapshot in the audit log, so a failed merge never loses data.
+exports.mergeCandidates = async (req, res) => {
+  const { a, b, owner } = req.body;
+  const back = `/admin/merge?a=${encodeURIComponent(a || '')}&b=${encodeURIComponent(b || '')}`;
+  try {
+    const pair = await loadPair(a, b);
+    if (pair.error) {
+      req.flash('error_msg', pair.error);
+      return res.redirect('/admin/merge');
+    }
+    const { primary, secondary } = pair;
+
+    const owners = [primary, secondary].map(c => String(ownerOf(c)));
+    if (!mongoose.isValidObjectId(owner) || !owners.includes(String(owner))) {
+      req.flash('error_msg', 'Choose which recruiter owns the merged candidate.');
+      return res.redirect(back);
+    }
+
+    const picks = {};
+    merger.conflicts(primary, secondary).forEach(key => {
+      picks[key] = req.body[`pick_${key}`] === 'secondary' ? 'secondary' : 'primary';
+    });
+
+    const before = audit.toPlain(primary);
+    merger.mergeInto(primary, secondary, picks, { owner, userId: req.user._id });
+    await primary.save();
+
+    // interviews follow the surviving record and its owner
+    await Interview.updateMany({ candidate: secondary._id }, { candidate: primary._id });
+    await Interview.updateMany({ candidate: primary._id }, { recruiter: owner });
+
+    await audit.recordDeletion(req, 'Candidate', secondary);
+    await secondary.deleteOne();
+    await audit.record(req, {
+      entity:  'Candidate',
+      action:  'merge',
+      doc:     primary,
+      changes: audit.diff(before, primary),
+      meta:    { mergedId: secondary._id, mergedRef: secondary.serialRefNumber }
+    });
+
+    req.flash('success_msg', `#${secondary.serialRefNumber} merged into #${primary.serialRefNumber}.`);
+    res.redirect(`/candidates/${primary._id}`);
+  } catch (err) {
+    console.error('Merge error:', err);
+    req.flash('error_msg', err.name === 'ValidationError' ? err.message : 'Merge failed.');
+    res.redirect(back);
+  }
+};
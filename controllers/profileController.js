@@ -1,12 +1,28 @@
 // backend/controllers/profileController.js
+const QRCode = require('qrcode');
 const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const audit = require('../utils/audit');
+const totp = require('../utils/totp');
+const twoFactor = require('../utils/twoFactor');
+const googleAuth = require('../utils/googleAuth');
+const { twoFactorRequired } = require('../utils/permissions');
+const { totpIssuer, google } = require('../config/app');
 
-exports.getProfile = (req, res) => {
-  res.render('auth/profile', {
-    user: req.user,
-    success_msg: req.flash('success_msg'),
-    error_msg: req.flash('error_msg')
-  });
+// How many recent sign-ins the profile page lists
+const RECENT_LOGINS = 10;
+
+exports.getProfile = async (req, res, next) => {
+  try {
+    const logins = await LoginEvent.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(RECENT_LOGINS)
+      .lean();
+    // flash messages are already in res.locals (app.js)
+    res.render('auth/profile', { user: req.user, logins, googleEnabled: google.enabled });
+  } catch (err) {
+    next(err);
+  }
 };
 
 exports.postProfile = async (req, res) => {
@@ -31,3 +47,91 @@ exports.postProfile = async (req, res) => {
     res.redirect('/profile');
   }
 };
+
+// ─── TWO-FACTOR SIGN-IN ────────────────────────────────────────────────────────
+// The secret being enrolled lives in the session until the user proves their
+// app produces the right codes; only then is it saved on the account.
+
+// Setup page: QR code for a new secret (or the status when already on)
+exports.getTwoFactor = async (req, res, next) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.render('auth/two-factor', { mode: 'enabled', codes: null, qr: null, secret: null, required: twoFactorRequired(req.user) });
+    }
+    if (!req.session.twoFactorSetup) req.session.twoFactorSetup = totp.generateSecret();
+    const secret = req.session.twoFactorSetup;
+    const qr = await QRCode.toDataURL(totp.keyUri({ secret, account: req.user.email, issuer: totpIssuer }));
+    res.render('auth/two-factor', { mode: 'setup', codes: null, qr, secret, required: twoFactorRequired(req.user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Confirm the first code and switch 2FA on
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const secret = req.session.twoFactorSetup;
+    const step = secret ? totp.verify(secret, req.body.code) : null;
+    if (step === null) {
+      req.flash('error_msg', 'That code did not match. Check the time on your phone and try again.');
+      return res.redirect('/profile/two-factor');
+    }
+    const codes = await twoFactor.enable(req.user, secret, step);
+    delete req.session.twoFactorSetup;
+    await audit.record(req, { entity: 'User', action: 'update', doc: req.user, changes: [{ field: 'twoFactor', before: 'off', after: 'on' }] });
+    res.render('auth/two-factor', { mode: 'codes', codes, qr: null, secret: null, required: false });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// New recovery codes; needs a current authenticator code
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const used = await twoFactor.useTotp(req.user, req.body.code);
+    if (!used) {
+      req.flash('error_msg', 'Enter a current code from your authenticator app to get new recovery codes.');
+      return res.redirect('/profile/two-factor');
+    }
+    const codes = await twoFactor.regenerateRecoveryCodes(req.user);
+    res.render('auth/two-factor', { mode: 'codes', codes, qr: null, secret: null, required: false });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Switch 2FA off; needs the password, and isn't allowed when the role requires it
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    if (twoFactorRequired(req.user)) {
+      req.flash('error_msg', 'Your role requires two-factor sign-in, so it cannot be switched off.');
+      return res.redirect('/profile/two-factor');
+    }
+    if (!(await req.user.comparePassword(String(req.body.password || '')))) {
+      req.flash('error_msg', 'Password is incorrect.');
+      return res.redirect('/profile/two-factor');
+    }
+    await twoFactor.disable(req.user);
+    await audit.record(req, { entity: 'User', action: 'update', doc: req.user, changes: [{ field: 'twoFactor', before: 'on', after: 'off' }] });
+    req.flash('success_msg', 'Two-factor sign-in is off.');
+    res.redirect('/profile');
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── GOOGLE ACCOUNT ────────────────────────────────────────────────────────────
+// Linking goes through Google (authController.linkGoogle); unlinking is local
+exports.unlinkGoogle = async (req, res, next) => {
+  try {
+    if (!req.user.googleId) {
+      req.flash('error_msg', 'No Google account is linked.');
+      return res.redirect('/profile');
+    }
+    await googleAuth.unlink(req);
+    req.flash('success_msg', 'Google account unlinked. Sign in with your email and password from now on.');
+    res.redirect('/profile');
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,31 +1,56 @@
 // backend/controllers/recruiterController.js
 const User = require('../models/User');
-const bcrypt = require('bcryptjs');
+const Candidate = require('../models/Candidate');
+const ApiToken = require('../models/ApiToken');
+const mongoose = require('mongoose');
+const audit = require('../utils/audit');
+const invitations = require('../utils/invitations');
+const { loadRoles, rolesWith } = require('../utils/permissions');
+const { wouldLoop } = require('../utils/team');
+const { transferOwnership } = require('../utils/candidateOwnership');
+const { STAGES, CLOSED_STAGES } = require('../utils/candidatePipeline');
 
-exports.createRecruiterForm = (req, res) => {
-  res.render('admin/recruiters/new', { error: null });
+// Users a recruiter can report to: anyone whose role has a team dashboard
+async function teamLeads() {
+  await loadRoles();
+  return User.find({ role: { $in: rolesWith('dashboard:view:team') }, active: { $ne: false } })
+    .select('_id username').sort({ username: 1 }).lean();
+}
+
+// The submitted team lead if it is one of `leads`, otherwise nobody
+function pickManager(body, leads) {
+  const id = String(body.manager || '');
+  return mongoose.isValidObjectId(id) && leads.some(l => String(l._id) === id) ? id : null;
+}
+
+exports.createRecruiterForm = async (req, res) => {
+  res.render('admin/recruiters/new', { error: null, leads: await teamLeads() });
 };
 
+// New recruiters are invited by email and choose their own password
 exports.postCreateRecruiter = async (req, res) => {
-  const { username, email, password } = req.body;
+  const leads = await teamLeads();
   try {
-    // ensure unique
-    if (await User.exists({ email })) {
-      return res.render('admin/recruiters/new', { error: 'Email already in use.' });
-    }
-    // create recruiter
-    const recruiter = new User({ username, email, password, role: 'recruiter' });
-    await recruiter.save();
-    req.flash('success_msg', 'Recruiter created successfully.');
+    const { invitation, sent, error } = await invitations.invite(req, {
+      email:   req.body.email,
+      role:    'recruiter',
+      manager: pickManager(req.body, leads)
+    });
+    if (error) return res.render('admin/recruiters/new', { error, leads });
+    if (sent) req.flash('success_msg', `Invitation sent to ${invitation.email}.`);
+    else req.flash('error_msg', `Invitation for ${invitation.email} saved, but the email could not be sent.`);
     return res.redirect('/admin/recruiters');
   } catch (err) {
     console.error(err);
-    return res.render('admin/recruiters/new', { error: 'Failed to create recruiter.' });
+    return res.render('admin/recruiters/new', { error: 'Failed to invite recruiter.', leads });
   }
 };
 
 exports.listRecruiters = async (req, res) => {
-  const recruiters = await User.find({ role: 'recruiter' }).lean();
+  const recruiters = await User.find({ role: 'recruiter' })
+    .sort({ active: -1, username: 1 })
+    .populate('manager', 'username')
+    .lean();
   res.render('admin/recruiters/index', { recruiters });
 };
 exports.ensureAuthenticated = (req, res, next) => {
@@ -35,25 +60,125 @@ exports.ensureAuthenticated = (req, res, next) => {
   req.flash('error_msg', 'Please log in to view this resource.');
   res.redirect('/login');
 };
-exports.isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    return next();
+
+// ─── OFFBOARDING ───────────────────────────────────────────────────────────────
+// Recruiters who leave are deactivated, not deleted: their open candidates
+// must first be handed to someone else, closed ones stay with them so
+// history and exports keep their name.
+
+// Active recruiter by id, or null after flashing an error
+async function loadLeaver(req, res) {
+  const recruiter = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+  if (!recruiter || recruiter.role !== 'recruiter') {
+    req.flash('error_msg', 'Recruiter not found.');
+    res.redirect('/admin/recruiters');
+    return null;
+  }
+  if (recruiter.active === false) {
+    req.flash('error_msg', `${recruiter.username} has already been deactivated.`);
+    res.redirect('/admin/recruiters');
+    return null;
+  }
+  return recruiter;
+}
+
+const openCandidates = ownerId => Candidate.find({ owner: ownerId, stage: { $nin: CLOSED_STAGES } })
+  .select('serialRefNumber refCode candidateName position stage owner createdBy')
+  .populate('client', 'name')
+  .sort({ dateOfCall: -1 });
+
+// Active users, other than the leaver, who can hold candidates
+async function successors(leaverId) {
+  await loadRoles();
+  return User.find({ _id: { $ne: leaverId }, active: { $ne: false }, role: { $in: rolesWith('candidate:read') } })
+    .select('_id username').sort({ username: 1 }).lean();
+}
+
+exports.offboardForm = async (req, res, next) => {
+  try {
+    const recruiter = await loadLeaver(req, res);
+    if (!recruiter) return;
+    const [candidates, targets, reports] = await Promise.all([
+      openCandidates(recruiter._id),
+      successors(recruiter._id),
+      User.find({ manager: recruiter._id }).select('username').lean()
+    ]);
+    res.render('admin/recruiters/offboard', { recruiter, candidates, targets, reports, stages: STAGES });
+  } catch (err) {
+    next(err);
   }
-  req.flash('error_msg', 'Access denied. Admins only.');
-  res.redirect('/dashboard');
 };
 
-// deleteRecruiter
-exports.deleteRecruiter = async (req, res) => {
+exports.offboardRecruiter = async (req, res) => {
+  const back = `/admin/recruiters/${req.params.id}/offboard`;
   try {
-    await User.findByIdAndDelete(req.params.id);
-    req.flash('success_msg', 'Recruiter deleted successfully');
+    const recruiter = await loadLeaver(req, res);
+    if (!recruiter) return;
+    const [candidates, targets] = await Promise.all([openCandidates(recruiter._id), successors(recruiter._id)]);
+    const allowed = new Set(targets.map(t => String(t._id)));
+
+    // Every open candidate needs a new owner: its own pick, else the default
+    const picks = req.body.to || {};
+    const plan = new Map();
+    for (const c of candidates) {
+      const to = String(picks[c._id] || req.body.defaultTo || '');
+      if (!allowed.has(to)) {
+        req.flash('error_msg', `Choose who takes over ${c.candidateName} (#${c.refCode || c.serialRefNumber}).`);
+        return res.redirect(back);
+      }
+      if (!plan.has(to)) plan.set(to, []);
+      plan.get(to).push(c);
+    }
+
+    const reason = `Offboarding ${recruiter.username}`;
+    for (const [to, list] of plan) {
+      await transferOwnership(req, list, to, reason);
+    }
+
+    // Their reports move up to their own team lead; their API tokens stop working
+    await User.updateMany({ manager: recruiter._id }, { manager: recruiter.manager || null });
+    await ApiToken.updateMany({ user: recruiter._id, revokedAt: null }, { revokedAt: new Date(), revokedBy: req.user._id });
+
+    recruiter.active = false;
+    recruiter.deactivatedAt = new Date();
+    recruiter.deactivatedBy = req.user._id;
+    await recruiter.save();
+    await audit.record(req, {
+      entity:  'User',
+      action:  'deactivate',
+      doc:     recruiter,
+      changes: [{ field: 'active', before: true, after: false }],
+      meta:    { reassigned: candidates.length }
+    });
+
+    req.flash('success_msg', `${recruiter.username} deactivated; ${candidates.length} open candidate(s) reassigned.`);
     res.redirect('/admin/recruiters');
   } catch (err) {
-    req.flash('error_msg', 'Failed to delete recruiter');
-    res.redirect('/admin/recruiters');
+    console.error('Offboard recruiter error:', err);
+    req.flash('error_msg', 'Failed to offboard recruiter.');
+    res.redirect(back);
+  }
+};
+// Only deactivated recruiters can be deleted; they go to the trash
+exports.deleteRecruiter = async (req, res) => {
+  try {
+    const recruiter = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!recruiter || recruiter.role !== 'recruiter') {
+      req.flash('error_msg', 'Recruiter not found.');
+    } else if (recruiter.active !== false) {
+      req.flash('error_msg', 'Offboard the recruiter before deleting them.');
+    } else {
+      await recruiter.moveToTrash(req.user._id);
+      await audit.record(req, { entity: 'User', action: 'trash', doc: recruiter });
+      req.flash('success_msg', `${recruiter.username} moved to the trash.`);
+    }
+  } catch (err) {
+    console.error('Delete recruiter error:', err);
+    req.flash('error_msg', 'Failed to delete recruiter.');
   }
+  res.redirect('/admin/recruiters');
 };
+
 //editRecruiterForm
 exports.editRecruiterForm = async (req, res) => {
   const { id } = req.params;
@@ -63,7 +188,7 @@ exports.editRecruiterForm = async (req, res) => {
       req.flash('error_msg', 'Recruiter not found.');
       return res.redirect('/admin/recruiters');
     }
-    res.render('admin/recruiters/edit', { recruiter });
+    res.render('admin/recruiters/edit', { recruiter, leads: await teamLeads() });
   } catch (err) {
     console.error(err);
     req.flash('error_msg', 'Failed to load recruiter.');
@@ -80,13 +205,26 @@ exports.updateRecruiter = async (req, res) => {
       req.flash('error_msg', 'Recruiter not found.');
       return res.redirect('/admin/recruiters');
     }
+    const manager = pickManager(req.body, await teamLeads());
+    if (await wouldLoop(recruiter._id, manager)) {
+      req.flash('error_msg', 'That team lead already reports to this recruiter.');
+      return res.redirect(`/admin/recruiters/${recruiter._id}/edit`);
+    }
+    const before = audit.toPlain(recruiter);
     // Update fields
     recruiter.username = username;
     recruiter.email = email;
+    recruiter.manager = manager;
     if (password) {
-      recruiter.password = bcrypt.hashSync(password, 10);
+      recruiter.password = password;   // hashed by the User pre-save hook
     }
     await recruiter.save();
+    await audit.record(req, {
+      entity:  'User',
+      action:  'update',
+      doc:     recruiter,
+      changes: audit.diff(before, recruiter)
+    });
     req.flash('success_msg', 'Recruiter updated successfully.');
     res.redirect('/admin/recruiters');
   } catch (err) {
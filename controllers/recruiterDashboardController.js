@@ -1,5 +1,6 @@
-const Candidate = require('/models/Candidate');
+const Candidate = require('../models/Candidate');
 const mongoose = require('mongoose');
+const { clientNameStages, clientsByIds } = require('../utils/clientLookup');
 
 exports.renderSelfDashboard = async (req, res, next) => {
     try {
@@ -7,7 +8,7 @@ exports.renderSelfDashboard = async (req, res, next) => {
         const defaultStart = new Date(today); defaultStart.setHours(0, 0, 0, 0);
         const defaultEnd = new Date(today); defaultEnd.setHours(23, 59, 59, 999);
 
-        const allClients = await Candidate.distinct('client', { createdBy: req.user._id });
+        const allClients = await clientsByIds(await Candidate.distinct('client', { createdBy: req.user._id }));
 
         res.render('recruiter/selfDashboard', {
             recruiter: req.user,
@@ -32,7 +33,7 @@ exports.getSelfDashboardData = async (req, res, next) => {
             createdBy: new mongoose.Types.ObjectId(req.user._id),
             createdAt: { $gte: start, $lte: end }
         };
-        if (client) filter.client = client;
+        if (client && mongoose.isValidObjectId(client)) filter.client = new mongoose.Types.ObjectId(client);
 
         // The rest is similar to getRecruiterPerformanceData in adminDashboardController.js
         const totalCalls = await Candidate.countDocuments(filter);
@@ -46,6 +47,7 @@ exports.getSelfDashboardData = async (req, res, next) => {
             Candidate.aggregate([
                 { $match: filter },
                 { $group: { _id: '$client', calls: { $sum: 1 } } },
+                ...clientNameStages('_id'),
                 { $sort: { calls: -1 } },
                 { $limit: 50 }
             ]),
@@ -53,6 +55,7 @@ exports.getSelfDashboardData = async (req, res, next) => {
             Candidate.aggregate([
                 { $match: { ...filter, hrStatus: 'Select' } },
                 { $group: { _id: '$client', selected: { $sum: 1 } } },
+                ...clientNameStages('_id'),
                 { $sort: { selected: -1 } },
                 { $limit: 50 }
             ]),
@@ -71,6 +74,7 @@ exports.getSelfDashboardData = async (req, res, next) => {
                     selected: { $sum: { $cond: [{ $eq: ['$hrStatus', 'Select'] }, 1, 0] } }
                 }
             },
+            ...clientNameStages('_id.client'),
             {
                 $group: {
                     _id: "$_id.date",
@@ -0,0 +1,201 @@
+// backend/controllers/roleController.js
+const Role  = require('../models/Role');
+const User  = require('../models/User');
+const audit = require('../utils/audit');
+const permissions = require('../utils/permissions');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Permissions grouped for the checkbox list: [[group, [{ key, label }]]]
+function permissionGroups() {
+  const groups = new Map();
+  Object.entries(PERMISSIONS).forEach(([key, p]) => {
+    if (!groups.has(p.group)) groups.set(p.group, []);
+    groups.get(p.group).push({ key, label: p.label });
+  });
+  return [...groups];
+}
+
+// Pull the editable role fields out of a submitted form
+function roleFields(body) {
+  return {
+    name:        (body.name || '').trim(),
+    description: (body.description || '').trim(),
+    permissions: [].concat(body.permissions || []).filter(p => PERMISSIONS[p])
+  };
+}
+
+const renderForm = (res, view, roleDoc, error = null) =>
+  res.render(view, { roleDoc, error, groups: permissionGroups() });
+
+// ─── 1) LIST ROLES ─────────────────────────────────────────────────────────────
+exports.listRoles = async (req, res, next) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ builtIn: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', total: { $sum: 1 } } }])
+    ]);
+    const countMap = {};
+    counts.forEach(c => { countMap[c._id] = c.total; });
+    res.render('admin/roles/index', { roles, countMap, labels: PERMISSIONS });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 2) CREATE ROLE ────────────────────────────────────────────────────────────
+exports.newRoleForm = (req, res) => renderForm(res, 'admin/roles/new', { permissions: [] });
+
+exports.createRole = async (req, res) => {
+  const data = { ...roleFields(req.body), key: (req.body.key || '').trim().toLowerCase() };
+  try {
+    if (await Role.exists({ key: data.key })) {
+      return renderForm(res, 'admin/roles/new', data, 'A role with that key already exists.');
+    }
+    await new Role({ ...data, createdBy: req.user._id }).save();
+    await permissions.reload();
+    req.flash('success_msg', `Role "${data.name}" created.`);
+    res.redirect('/admin/roles');
+  } catch (err) {
+    console.error('Create role error:', err);
+    renderForm(res, 'admin/roles/new', data, err.name === 'ValidationError' ? err.message : 'Failed to create role.');
+  }
+};
+
+// ─── 3) EDIT ROLE (the admin role is fixed) ────────────────────────────────────
+async function loadEditable(req, res) {
+  const role = await Role.findById(req.params.id);
+  if (!role) {
+    req.flash('error_msg', 'Role not found.');
+    res.redirect('/admin/roles');
+    return null;
+  }
+  if (role.key === 'admin') {
+    req.flash('error_msg', 'The admin role always has every permission and cannot be changed.');
+    res.redirect('/admin/roles');
+    return null;
+  }
+  return role;
+}
+
+exports.editRoleForm = async (req, res, next) => {
+  try {
+    const role = await loadEditable(req, res);
+    if (role) renderForm(res, 'admin/roles/edit', role.toObject());
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.updateRole = async (req, res, next) => {
+  try {
+    const role = await loadEditable(req, res);
+    if (!role) return;
+    const data = roleFields(req.body);
+    try {
+      role.set({ ...data, updatedBy: req.user._id });
+      await role.save();
+    } catch (err) {
+      if (err.name !== 'ValidationError') throw err;
+      return renderForm(res, 'admin/roles/edit', { ...role.toObject(), ...data }, err.message);
+    }
+    await permissions.reload();
+    req.flash('success_msg', `Role "${role.name}" updated.`);
+    res.redirect('/admin/roles');
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 4) DELETE ROLE (custom roles nobody holds) ────────────────────────────────
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      req.flash('error_msg', 'Role not found.');
+    } else if (role.builtIn) {
+      req.flash('error_msg', 'Built-in roles cannot be deleted.');
+    } else if (await User.exists({ role: role.key })) {
+      req.flash('error_msg', 'Some users still have this role. Move them to another role first.');
+    } else {
+      await role.deleteOne();
+      await permissions.reload();
+      req.flash('success_msg', `Role "${role.name}" deleted.`);
+    }
+  } catch (err) {
+    console.error('Delete role error:', err);
+    req.flash('error_msg', 'Failed to delete role.');
+  }
+  res.redirect('/admin/roles');
+};
+
+// ─── 4b) REQUIRE TWO-FACTOR SIGN-IN (any role, admin included) ─────────────────
+exports.setTwoFactorRequirement = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      req.flash('error_msg', 'Role not found.');
+      return res.redirect('/admin/roles');
+    }
+    role.requireTwoFactor = req.body.require === '1';
+    role.updatedBy = req.user._id;
+    await role.save();
+    await permissions.reload();
+    req.flash('success_msg', role.requireTwoFactor
+      ? `${role.name} users must now set up two-factor sign-in.`
+      : `Two-factor sign-in is now optional for ${role.name} users.`);
+  } catch (err) {
+    console.error('Role 2FA error:', err);
+    req.flash('error_msg', 'Failed to change the two-factor requirement.');
+  }
+  res.redirect('/admin/roles');
+};
+
+// ─── 5) ASSIGN ROLES TO USERS ──────────────────────────────────────────────────
+exports.listUsers = async (req, res, next) => {
+  try {
+    const [users, roles] = await Promise.all([
+      User.find().select('username email fullName role twoFactor.enabled').sort({ username: 1 }).lean(),
+      Role.find().select('key name').sort({ builtIn: -1, name: 1 }).lean()
+    ]);
+    res.render('admin/roles/users', { users, roles });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.assignRole = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    const role = await Role.findOne({ key: String(req.body.role || '') }).lean();
+    if (!user || !role) {
+      req.flash('error_msg', 'User or role not found.');
+      return res.redirect('/admin/roles/users');
+    }
+    if (user._id.equals(req.user._id)) {
+      req.flash('error_msg', 'You cannot change your own role.');
+      return res.redirect('/admin/roles/users');
+    }
+    if (user.role === 'admin' && role.key !== 'admin' && await User.countDocuments({ role: 'admin' }) <= 1) {
+      req.flash('error_msg', 'There must always be at least one admin.');
+      return res.redirect('/admin/roles/users');
+    }
+
+    const before = user.role;
+    if (before !== role.key) {
+      user.role = role.key;
+      await user.save();
+      await audit.record(req, {
+        entity:  'User',
+        action:  'update',
+        doc:     user,
+        changes: [{ field: 'role', before, after: role.key }]
+      });
+    }
+    req.flash('success_msg', `${user.username} is now ${role.name}.`);
+    res.redirect('/admin/roles/users');
+  } catch (err) {
+    console.error('Assign role error:', err);
+    req.flash('error_msg', 'Failed to change role.');
+    res.redirect('/admin/roles/users');
+  }
+};
@@ -0,0 +1,80 @@
+// backend/controllers/savedViewController.js
+const mongoose       = require('mongoose');
+const SavedView      = require('../models/SavedView');
+const User           = require('../models/User');
+const candidateViews = require('../utils/candidateViews');
+const customFields   = require('../utils/customFields');
+const { parseSearch, searchQuery } = require('../utils/candidateSearch');
+
+// The form sends the page state as one query string (see candidates/index)
+function stateOf(body) {
+  const query  = candidateViews.queryObject(body.state);
+  const search = parseSearch(query);
+  const layout = candidateViews.parseLayout(query);
+  // cleaned-up state to go back to when saving fails
+  const back = [searchQuery(search), candidateViews.layoutQuery(layout)].filter(Boolean).join('&');
+  return { search, layout, query: back };
+}
+
+// ─── 1) SAVE (same name overwrites your own view) ──────────────────────────────
+exports.saveView = async (req, res) => {
+  await customFields.loadFields().catch(() => {});   // so custom columns are known
+  const { search, layout, query } = stateOf(req.body);
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+      req.flash('error_msg', 'Give the view a name.');
+      return res.redirect(`/candidates?view=all&${query}`);
+    }
+    const view = await candidateViews.saveView(req, { name, shared: req.body.shared === '1', search, layout });
+    if (req.body.pin === '1') await User.updateOne({ _id: req.user._id }, { $set: { defaultView: view._id } });
+
+    req.flash('success_msg', `View "${view.name}" saved${view.shared ? ' and shared with the team' : ''}.`);
+    res.redirect(`/candidates?view=${view._id}`);
+  } catch (err) {
+    console.error('Save view error:', err);
+    req.flash('error_msg', err.name === 'ValidationError' ? 'View names can be at most 60 characters.' : 'Could not save the view.');
+    res.redirect(`/candidates?view=all&${query}`);
+  }
+};
+
+// ─── 2) PIN / UNPIN AS DEFAULT ─────────────────────────────────────────────────
+exports.pinView = async (req, res) => {
+  try {
+    const view = await candidateViews.findVisible(req.params.id, req.user);
+    if (!view) {
+      req.flash('error_msg', 'View not found.');
+      return res.redirect('/candidates');
+    }
+    const pinned = String(req.user.defaultView) === String(view._id);
+    await User.updateOne({ _id: req.user._id }, pinned ? { $set: { defaultView: null } } : { $set: { defaultView: view._id } });
+    req.flash('success_msg', pinned
+      ? `"${view.name}" is no longer your default view.`
+      : `"${view.name}" now opens when you go to Candidates.`);
+    res.redirect(`/candidates?view=${view._id}`);
+  } catch (err) {
+    console.error('Pin view error:', err);
+    req.flash('error_msg', 'Could not change your default view.');
+    res.redirect('/candidates');
+  }
+};
+
+// ─── 3) DELETE (owner only) ────────────────────────────────────────────────────
+exports.deleteView = async (req, res) => {
+  try {
+    const view = mongoose.isValidObjectId(req.params.id)
+      ? await SavedView.findOneAndDelete({ _id: req.params.id, owner: req.user._id })
+      : null;
+    if (!view) {
+      req.flash('error_msg', 'View not found, or it belongs to someone else.');
+    } else {
+      // anyone who pinned it (a shared view) goes back to the plain list
+      await User.updateMany({ defaultView: view._id }, { $set: { defaultView: null } });
+      req.flash('success_msg', `View "${view.name}" deleted.`);
+    }
+  } catch (err) {
+    console.error('Delete view error:', err);
+    req.flash('error_msg', 'Could not delete the view.');
+  }
+  res.redirect('/candidates?view=all');
+};
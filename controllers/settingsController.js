@@ -0,0 +1,55 @@
+// backend/controllers/settingsController.js
+const Client     = require('../models/Client');
+const refNumbers = require('../utils/referenceNumber');
+
+// Example codes for the default prefix and every client with its own prefix
+async function previews(format) {
+  const clients = await Client.find({ refPrefix: { $nin: [null, ''] } }).select('name refPrefix').sort({ name: 1 }).lean();
+  const rows = [{ label: `Clients without a prefix (${format.defaultPrefix})`, code: await refNumbers.previewRefCode(format) }];
+  for (const c of clients) {
+    rows.push({ label: c.name, code: await refNumbers.previewRefCode(format, c.refPrefix) });
+  }
+  return rows;
+}
+
+// ─── REFERENCE NUMBER FORMAT ───────────────────────────────────────────────────
+exports.showReferenceSettings = async (req, res, next) => {
+  try {
+    const format = await refNumbers.getFormat();
+    res.render('admin/settings/reference', {
+      error: null,
+      format,
+      previews: await previews(format),
+      defaults: refNumbers.DEFAULT_FORMAT
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.updateReferenceSettings = async (req, res, next) => {
+  const format = {
+    pattern:       (req.body.pattern || '').trim(),
+    defaultPrefix: (req.body.defaultPrefix || '').trim().toUpperCase()
+  };
+  try {
+    let error = refNumbers.validatePattern(format.pattern);
+    if (!error && !/^[A-Z0-9]{1,10}$/.test(format.defaultPrefix)) {
+      error = 'Default prefix must be 1–10 letters or digits.';
+    }
+    if (error) {
+      return res.render('admin/settings/reference', {
+        error,
+        format,
+        previews: [],
+        defaults: refNumbers.DEFAULT_FORMAT
+      });
+    }
+
+    await refNumbers.saveFormat(format, req.user._id);
+    req.flash('success_msg', 'Reference number format saved. It applies to candidates created from now on.');
+    res.redirect('/admin/settings/reference');
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,86 @@
+// backend/controllers/teamDashboardController.js
+const mongoose = require('mongoose');
+const Candidate = require('../models/Candidate');
+const User = require('../models/User');
+const { clientsByIds } = require('../utils/clientLookup');
+const { teamMembers } = require('../utils/team');
+const { scopeOf } = require('../utils/permissions');
+const { parseDateRange, performanceStats, memberBreakdown } = require('../utils/performanceStats');
+
+/**
+ * Whose team to show: your own, or with dashboard:view:all any lead picked
+ * through ?lead=.
+ */
+async function resolveLead(req) {
+  const { lead } = req.query;
+  if (lead && String(lead) !== String(req.user._id) && scopeOf(req.user, 'dashboard:view') === 'all') {
+    if (!mongoose.isValidObjectId(lead)) return null;
+    return User.findById(lead).select('username').lean();
+  }
+  return req.user;
+}
+
+/**
+ * Render the team dashboard.
+ */
+exports.renderTeamDashboard = async (req, res, next) => {
+  try {
+    const lead = await resolveLead(req);
+    if (!lead) return res.status(404).send('Team lead not found');
+
+    const members = await teamMembers(lead._id);
+    const today = new Date();
+    const defaultStart = new Date(today); defaultStart.setHours(0, 0, 0, 0);
+    const defaultEnd = new Date(today); defaultEnd.setHours(23, 59, 59, 999);
+
+    const [allClients, leads] = await Promise.all([
+      clientsByIds(await Candidate.distinct('client', { createdBy: { $in: members.map(m => m._id) } })),
+      // leads to switch between, for people who may see every team
+      scopeOf(req.user, 'dashboard:view') === 'all'
+        ? User.find({ _id: { $in: await User.distinct('manager', { manager: { $ne: null } }) } }).select('username').sort({ username: 1 }).lean()
+        : []
+    ]);
+
+    res.render('team/dashboard', {
+      lead,
+      members,
+      leads,
+      allClients,
+      defaultStart: defaultStart.toISOString().slice(0, 10),
+      defaultEnd: defaultEnd.toISOString().slice(0, 10)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Team totals (same figures as a single recruiter's performance page) plus a
+ * row per member for comparison.
+ */
+exports.getTeamDashboardData = async (req, res, next) => {
+  try {
+    const lead = await resolveLead(req);
+    if (!lead) return res.status(404).json({ ok: false, message: 'Team lead not found' });
+
+    const { startDate, endDate, client } = req.query;
+    const { start, end } = parseDateRange(startDate, endDate);
+    const members = await teamMembers(lead._id, 'username');
+
+    const filter = {
+      createdBy: { $in: members.map(m => m._id) },
+      createdAt: { $gte: start, $lte: end }
+    };
+    if (client && mongoose.isValidObjectId(client)) filter.client = new mongoose.Types.ObjectId(client);
+
+    const [stats, breakdown] = await Promise.all([
+      performanceStats(filter),
+      memberBreakdown(filter, members)
+    ]);
+
+    res.json({ ok: true, ...stats, members: breakdown });
+  } catch (err) {
+    console.error('Error in getTeamDashboardData:', err);
+    res.status(500).json({ ok: false, message: 'Server error' });
+  }
+};
@@ -0,0 +1,90 @@
+// backend/controllers/trashController.js
+const mongoose = require('mongoose');
+const audit    = require('../utils/audit');
+const trash    = require('../utils/trash');
+
+// Trashed record named by /:entity/:id, or null after flashing an error
+async function loadTrashed(req, res) {
+  const Model = Object.hasOwn(trash.MODELS, req.params.entity) ? trash.MODELS[req.params.entity] : null;
+  const doc = Model && mongoose.isValidObjectId(req.params.id)
+    ? await Model.findOne({ _id: req.params.id, ...trash.IN_TRASH })
+    : null;
+  if (!doc) {
+    req.flash('error_msg', 'That record is not in the trash.');
+    res.redirect('/admin/trash');
+  }
+  return doc;
+}
+
+const labelOf = (entity, doc) => entity === 'User'
+  ? doc.username
+  : `${doc.candidateName} (#${doc.refCode || doc.serialRefNumber})`;
+
+// ─── 1) LIST ───────────────────────────────────────────────────────────────────
+exports.listTrash = async (req, res, next) => {
+  try {
+    const [days, candidates, users] = await Promise.all([
+      trash.retentionDays(),
+      trash.MODELS.Candidate.find(trash.IN_TRASH)
+        .select('candidateName serialRefNumber refCode position resume owner deletedAt deletedBy')
+        .populate('owner deletedBy', 'username')
+        .sort({ deletedAt: -1 })
+        .lean(),
+      trash.MODELS.User.find(trash.IN_TRASH)
+        .select('username email role deletedAt deletedBy')
+        .populate('deletedBy', 'username')
+        .sort({ deletedAt: -1 })
+        .lean()
+    ]);
+    res.render('admin/trash/index', { days, candidates, users, purgeDate: trash.purgeDate });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ─── 2) RESTORE ────────────────────────────────────────────────────────────────
+exports.restoreItem = async (req, res) => {
+  try {
+    const doc = await loadTrashed(req, res);
+    if (!doc) return;
+    await doc.restoreFromTrash();
+    await audit.record(req, { entity: req.params.entity, action: 'restore', doc, meta: { from: 'trash' } });
+    req.flash('success_msg', `${labelOf(req.params.entity, doc)} restored.`);
+    res.redirect('/admin/trash');
+  } catch (err) {
+    console.error('Trash restore error:', err);
+    req.flash('error_msg', 'Restore failed.');
+    res.redirect('/admin/trash');
+  }
+};
+
+// ─── 3) PURGE NOW ──────────────────────────────────────────────────────────────
+exports.purgeItem = async (req, res) => {
+  try {
+    const doc = await loadTrashed(req, res);
+    if (!doc) return;
+    await trash.purge(req, req.params.entity, [doc], 'manual');
+    req.flash('success_msg', `${labelOf(req.params.entity, doc)} permanently deleted.`);
+    res.redirect('/admin/trash');
+  } catch (err) {
+    console.error('Trash purge error:', err);
+    req.flash('error_msg', 'Permanent delete failed.');
+    res.redirect('/admin/trash');
+  }
+};
+
+// ─── 4) RETENTION WINDOW ───────────────────────────────────────────────────────
+exports.updateRetention = async (req, res, next) => {
+  try {
+    const days = Number(req.body.days);
+    if (!Number.isInteger(days) || days < 1 || days > 3650) {
+      req.flash('error_msg', 'Retention must be a whole number of days between 1 and 3650.');
+    } else {
+      await trash.saveRetentionDays(days, req.user._id);
+      req.flash('success_msg', `Trashed records are now purged after ${days} day(s).`);
+    }
+    res.redirect('/admin/trash');
+  } catch (err) {
+    next(err);
+  }
+};
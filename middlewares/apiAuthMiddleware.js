@@ -0,0 +1,56 @@
+// backend/middlewares/apiAuthMiddleware.js
+const ApiToken = require('../models/ApiToken');
+
+// Don't write lastUsedAt on every request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Read "Authorization: Bearer <token>" (or "X-API-Key: <token>")
+function tokenFrom(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : req.get('x-api-key');
+}
+
+// Look up an active token and attach its user; resolves to false if invalid
+async function authenticate(req, token) {
+  const apiToken = await ApiToken.findActive(token);
+  if (!apiToken || !apiToken.user || apiToken.user.active === false) return false;
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt > TOUCH_INTERVAL_MS) {
+    ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: new Date() })
+      .catch(err => console.error('API token touch error:', err));
+  }
+
+  req.user = apiToken.user;
+  req.apiToken = apiToken;
+  return true;
+}
+
+// Authenticate /api requests by personal API token; sets req.user
+exports.ensureApiToken = async (req, res, next) => {
+  try {
+    const token = tokenFrom(req);
+    if (!token) {
+      return res.status(401).json({ error: { message: 'API token required.' } });
+    }
+    if (!(await authenticate(req, token))) {
+      return res.status(401).json({ error: { message: 'Invalid, expired or revoked API token.' } });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// For calendar feeds: a logged-in session, or an API token in the header or
+// ?token= (calendar apps can't send headers or cookies)
+exports.ensureSessionOrToken = async (req, res, next) => {
+  try {
+    if (req.isAuthenticated && req.isAuthenticated()) return next();
+    const token = tokenFrom(req) || req.query.token;
+    if (token && await authenticate(req, token)) return next();
+    res.status(401).type('text/plain').send('Log in or pass a valid API token.');
+  } catch (err) {
+    next(err);
+  }
+};
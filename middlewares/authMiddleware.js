@@ -1,4 +1,6 @@
 // backend/middlewares/authMiddleware.js
+const { twoFactorRequired } = require('../utils/permissions');
+
 exports.ensureAuthenticated = (req, res, next) => {
   if (req.isAuthenticated()) return next();
   res.redirect('/login');
@@ -8,3 +10,16 @@ exports.forwardAuthenticated = (req, res, next) => {
   if (!req.isAuthenticated()) return next();
   res.redirect('/dashboard');
 };
+
+// Users whose role requires 2FA can only reach the enrolment page (and sign
+// out) until they have set it up. Runs after loadPermissions.
+exports.requireTwoFactorSetup = (req, res, next) => {
+  if (!req.user || req.user.twoFactor?.enabled || !twoFactorRequired(req.user)) return next();
+  if (req.path.startsWith('/profile/two-factor') || req.path === '/logout') return next();
+
+  if (req.originalUrl.startsWith('/api/')) {
+    return res.status(403).json({ error: { message: 'Set up two-factor sign-in first.' } });
+  }
+  req.flash('error_msg', 'Your role requires two-factor sign-in. Set it up to continue.');
+  res.redirect('/profile/two-factor');
+};
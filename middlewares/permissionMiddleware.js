@@ -0,0 +1,28 @@
+// backend/middlewares/permissionMiddleware.js
+const { loadRoles, userCan } = require('../utils/permissions');
+
+// Load role permissions for this request and give views `can(permission)`
+exports.loadPermissions = async (req, res, next) => {
+  try {
+    await loadRoles();
+    res.locals.can = permission => userCan(req.user, permission);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Let the request through only if the user has `permission` (see utils/permissions)
+exports.can = permission => async (req, res, next) => {
+  try {
+    await loadRoles();
+    if (userCan(req.user, permission)) return next();
+
+    if (req.apiToken || req.originalUrl.startsWith('/api/')) {
+      return res.status(403).json({ error: { message: `Your role does not allow this (${permission}).` } });
+    }
+    res.status(403).render('403', { message: 'Your role does not allow you to do that.' });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,58 @@
+// backend/models/ApiToken.js
+const mongoose = require('mongoose');
+const crypto   = require('crypto');
+
+// Personal API tokens for /api/v1. Only a sha256 of the token is stored;
+// the raw value is shown once, when the token is issued.
+const apiTokenSchema = new mongoose.Schema({
+  name:       { type: String, required: true, trim: true },   // what it's for, e.g. "ATS sync"
+  user:       { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash:  { type: String, required: true, unique: true },
+  prefix:     { type: String, required: true },                // first characters, to recognise it in lists
+  expiresAt:  { type: Date },
+  lastUsedAt: { type: Date },
+  revokedAt:  { type: Date },
+  revokedBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+const TOKEN_PREFIX = 'hrk_';
+
+apiTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Create a token for `user`. Resolves to { token, apiToken } – `token` is
+ * the raw value and cannot be recovered later.
+ */
+apiTokenSchema.statics.issue = async function ({ user, name, expiresAt, createdBy }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  const apiToken = await this.create({
+    name,
+    user,
+    tokenHash: this.hashToken(token),
+    prefix:    token.slice(0, TOKEN_PREFIX.length + 6),
+    expiresAt,
+    createdBy
+  });
+  return { token, apiToken };
+};
+
+/**
+ * The active (not revoked, not expired) token matching a raw value, with
+ * its user populated; null otherwise.
+ */
+apiTokenSchema.statics.findActive = function (token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).populate('user');
+};
+
+apiTokenSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+module.exports = mongoose.models.ApiToken || mongoose.model('ApiToken', apiTokenSchema);
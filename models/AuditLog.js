@@ -0,0 +1,37 @@
+// backend/models/AuditLog.js
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS  = ['create', 'update', 'delete', 'restore', 'merge', 'export', 'download', 'deactivate', 'trash'];
+const AUDIT_ENTITIES = ['Candidate', 'User'];
+
+// One changed field: values are stored as plain JSON (ids and dates as strings)
+const fieldChangeSchema = new mongoose.Schema({
+  field:  { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after:  { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  actor:       { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  actorName:   { type: String },   // kept in case the user is deleted later
+  entity:      { type: String, enum: AUDIT_ENTITIES, required: true, index: true },
+  entityId:    { type: mongoose.Schema.Types.ObjectId, index: true },
+  entityLabel: { type: String },   // e.g. candidate name, so deleted records stay readable
+  action:      { type: String, enum: AUDIT_ACTIONS, required: true, index: true },
+  changes:     { type: [fieldChangeSchema], default: undefined },
+
+  // Full copy of a deleted document, used to restore it
+  snapshot:    { type: mongoose.Schema.Types.Mixed },
+  restoredAt:  { type: Date },
+  restoredBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  meta:        { type: mongoose.Schema.Types.Mixed },  // e.g. exported ids, file name
+  ip:          { type: String }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ createdAt: -1 });
+
+auditLogSchema.statics.ACTIONS  = AUDIT_ACTIONS;
+auditLogSchema.statics.ENTITIES = AUDIT_ENTITIES;
+
+module.exports = mongoose.models.AuditLog || mongoose.model('AuditLog', auditLogSchema);
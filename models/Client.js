@@ -0,0 +1,81 @@
+// backend/models/Client.js
+const mongoose = require('mongoose');
+
+// Kinds of custom candidate field an admin can add to a client
+const FIELD_TYPES = {
+  text:        'Text',
+  number:      'Number',
+  date:        'Date',
+  select:      'Select (one option)',
+  multiselect: 'Multi-select',
+  boolean:     'Yes / No'
+};
+
+// ─── Extra candidate field for this client's candidates ─────
+// Values live in Candidate.custom under `key`, which never changes (nor
+// does the type) so stored values stay readable; archived fields leave the
+// form but keep their values.
+const customFieldSchema = new mongoose.Schema({
+  key:      { type: String, required: true, match: [/^[a-z][a-zA-Z0-9]{0,39}$/, 'Invalid field key'] },
+  label:    { type: String, required: true, trim: true, maxlength: 60 },
+  type:     { type: String, required: true, enum: Object.keys(FIELD_TYPES) },
+  options:  { type: [String], default: undefined },     // select / multiselect choices
+  required: { type: Boolean, default: false },
+  active:   { type: Boolean, default: true }
+});
+
+const clientSchema = new mongoose.Schema({
+  name:           { type: String,  required: true, unique: true, trim: true },
+  contactPerson:  { type: String,  trim: true },
+  contactEmail:   { type: String,  trim: true, lowercase: true, match: [/.+@.+\..+/, 'Must be a valid email'] },
+  contactPhone:   { type: String,  trim: true },
+  // used in candidate reference codes, e.g. WON → WON-2026-000123
+  refPrefix:      {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true,
+    match: [/^[A-Z0-9]{1,10}$/, 'Reference prefix must be 1–10 letters or digits']
+  },
+
+  // ─── Billing details ─────────────────────────────────────
+  billing: {
+    companyName:      { type: String, trim: true },
+    address:          { type: String, trim: true },
+    gstNumber:        { type: String, trim: true, uppercase: true },
+    email:            { type: String, trim: true, lowercase: true },
+    paymentTermsDays: { type: Number, min: 0 }
+  },
+
+  // inactive clients stay on old candidates but are hidden from new forms
+  isActive:       { type: Boolean, default: true },
+
+  // extra fields on this client's candidates (utils/customFields)
+  customFields:   { type: [customFieldSchema], default: [] },
+
+  // ─── Audit fields ─────────────────────────────────────────
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+clientSchema.statics.FIELD_TYPES = FIELD_TYPES;
+
+/**
+ * Active clients sorted by name, for dropdowns. Pass `includeId` to keep
+ * a (possibly inactive) client that is already assigned to a record.
+ */
+clientSchema.statics.forSelect = function (includeId) {
+  const filter = includeId
+    ? { $or: [{ isActive: true }, { _id: includeId }] }
+    : { isActive: true };
+  return this.find(filter).select('_id name').sort({ name: 1 }).lean();
+};
+
+module.exports = mongoose.models.Client || mongoose.model('Client', clientSchema);
@@ -0,0 +1,40 @@
+// backend/models/Counter.js
+const mongoose = require('mongoose');
+
+// Named sequences, incremented atomically so concurrent saves never
+// hand out the same number.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },   // sequence name
+  seq: { type: Number, required: true, default: 0 }
+}, { versionKey: false });
+
+/**
+ * Next value of the `key` sequence. A missing counter is created first,
+ * starting from `initial` (a number, or an async function returning one –
+ * e.g. the highest number already in use). Concurrent first calls are safe:
+ * only one insert wins and both then increment.
+ */
+counterSchema.statics.next = async function (key, initial = 0) {
+  const inc = () => this.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { new: true }).lean();
+
+  let counter = await inc();
+  if (counter) return counter.seq;
+
+  const start = typeof initial === 'function' ? await initial() : initial;
+  try {
+    await this.updateOne({ _id: key }, { $setOnInsert: { seq: start } }, { upsert: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err;   // someone else created it first
+  }
+  counter = await inc();
+  return counter.seq;
+};
+
+/**
+ * Move a counter forward to at least `value` (never backwards).
+ */
+counterSchema.statics.raiseTo = function (key, value) {
+  return this.updateOne({ _id: key }, { $max: { seq: value } }, { upsert: true });
+};
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
@@ -0,0 +1,15 @@
+// backend/models/ExportTemplate.js
+const mongoose = require('mongoose');
+
+// A saved column selection for candidate exports, so the same report can be
+// downloaded again without re-picking fields.
+const exportTemplateSchema = new mongoose.Schema({
+  name:      { type: String, required: true, trim: true },
+  columns:   { type: [String], default: [] },     // candidate field keys, in column order
+  format:    { type: String, enum: ['xlsx', 'csv', 'pdf'], default: 'xlsx' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true }
+}, { timestamps: true });
+
+exportTemplateSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.models.ExportTemplate || mongoose.model('ExportTemplate', exportTemplateSchema);
@@ -0,0 +1,15 @@
+// backend/models/ImportMapping.js
+const mongoose = require('mongoose');
+
+// A saved "spreadsheet column → candidate field" mapping for bulk imports,
+// so a recruiter can reuse it for every sheet from the same source.
+const importMappingSchema = new mongoose.Schema({
+  name:      { type: String, required: true, trim: true },
+  // candidate field → column header in the sheet
+  mapping:   { type: Map, of: String, default: {} },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true }
+}, { timestamps: true });
+
+importMappingSchema.index({ createdBy: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.models.ImportMapping || mongoose.model('ImportMapping', importMappingSchema);
@@ -0,0 +1,91 @@
+// backend/models/Interview.js
+const mongoose = require('mongoose');
+
+const MODES    = ['In Person', 'Video', 'Phone'];
+const OUTCOMES = ['Scheduled', 'Attended', 'No Show', 'Rescheduled', 'Cancelled'];
+
+// Interviews in these states still hold their slot
+const ACTIVE_OUTCOMES = ['Scheduled', 'Attended'];
+
+const interviewSchema = new mongoose.Schema({
+  candidate:   { type: mongoose.Schema.Types.ObjectId, ref: 'Candidate', required: true, index: true },
+  client:      { type: mongoose.Schema.Types.ObjectId, ref: 'Client', required: true, index: true },
+  job:         { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+  recruiter:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },  // owner of the candidate
+  round:       { type: Number, min: 1, default: 1 },
+  title:       { type: String, trim: true },          // e.g. "Technical", "HR", "Final"
+
+  // Interviewers are usually client staff, so they are not app users
+  interviewer: {
+    name:  { type: String, required: true, trim: true },
+    email: { type: String, trim: true, lowercase: true, match: [/.+@.+\..+/, 'Must be a valid email'] }
+  },
+
+  start:       { type: Date, required: true, index: true },
+  end: {
+    type: Date,
+    required: true,
+    validate: {
+      validator(v) { return !this.start || v > this.start; },
+      message: 'Interview must end after it starts'
+    }
+  },
+  mode:        { type: String, enum: MODES, default: 'In Person' },
+  location:    { type: String, trim: true },
+  meetingLink: { type: String, trim: true },
+
+  outcome:      { type: String, enum: OUTCOMES, default: 'Scheduled', index: true },
+  outcomeNotes: { type: String, trim: true },
+
+  // bumped on every reschedule/cancel so calendar apps replace the event
+  sequence:    { type: Number, default: 0 },
+
+  // ─── Audit fields ─────────────────────────────────────────
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+interviewSchema.index({ 'interviewer.email': 1, start: 1 });
+
+interviewSchema.statics.MODES           = MODES;
+interviewSchema.statics.OUTCOMES        = OUTCOMES;
+interviewSchema.statics.ACTIVE_OUTCOMES = ACTIVE_OUTCOMES;
+
+/**
+ * Active interviews overlapping [start, end) that share the candidate or the
+ * interviewer (matched on email, or on name when no email is given).
+ */
+interviewSchema.statics.findConflicts = function ({ start, end, candidate, interviewer = {} }, { excludeId } = {}) {
+  const who = [{ candidate }];
+  if (interviewer.email) {
+    who.push({ 'interviewer.email': interviewer.email.toLowerCase() });
+  } else if (interviewer.name) {
+    who.push({ 'interviewer.name': interviewer.name.trim() });
+  }
+
+  const filter = {
+    outcome: { $in: ACTIVE_OUTCOMES },
+    start:   { $lt: end },
+    end:     { $gt: start },
+    $or:     who
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  return this.find(filter)
+    .collation({ locale: 'en', strength: 2 })   // names compare case-insensitively
+    .populate('candidate', 'candidateName serialRefNumber refCode')
+    .sort({ start: 1 })
+    .lean();
+};
+
+/**
+ * All interviews for one candidate, latest first (for the candidate page).
+ */
+interviewSchema.statics.forCandidate = function (candidateId) {
+  return this.find({ candidate: candidateId })
+    .sort({ start: -1 })
+    .populate('client', 'name')
+    .lean();
+};
+
+module.exports = mongoose.models.Interview || mongoose.model('Interview', interviewSchema);
@@ -0,0 +1,73 @@
+// backend/models/Invitation.js
+const mongoose = require('mongoose');
+const crypto   = require('crypto');
+
+// An admin's invitation for an email address to join with a given role.
+// The emailed link carries a random token; only its sha256 is stored, and
+// resending replaces it. Pending until it is accepted, revoked or expires.
+// An invited address may also accept by signing in with Google
+// (utils/googleAuth).
+const invitationSchema = new mongoose.Schema({
+  email:      { type: String, required: true, lowercase: true, trim: true, index: true },
+  role:       { type: String, required: true, lowercase: true, trim: true },
+  manager:    { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },   // team lead to report to
+  tokenHash:  { type: String, index: true },
+  expiresAt:  { type: Date, required: true },
+  invitedBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  sentAt:     { type: Date },
+  sendCount:  { type: Number, default: 0 },
+  acceptedAt: { type: Date },
+  acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },   // the user it created
+  revokedAt:  { type: Date },
+  revokedBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+const PENDING = () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+invitationSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Give the invitation a fresh link valid for `ttlMs`, replacing any earlier
+ * one. Returns the raw token for the email; save the invitation afterwards.
+ */
+invitationSchema.methods.issueToken = function (ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = new Date(Date.now() + ttlMs);
+  return token;
+};
+
+/**
+ * The pending invitation behind an emailed link, or null.
+ */
+invitationSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: this.hashToken(token), ...PENDING() });
+};
+
+/**
+ * The newest pending invitation for `email`, or null.
+ */
+invitationSchema.statics.findPending = function (email) {
+  return this.findOne({ email: String(email || '').trim().toLowerCase(), ...PENDING() })
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Mark this invitation used by `user`. Resolves to false if it stopped
+ * being pending in the meantime (accepted twice, revoked, expired).
+ */
+invitationSchema.methods.accept = async function (user) {
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, ...PENDING() },
+    { $set: { acceptedAt: new Date(), acceptedBy: user._id }, $unset: { tokenHash: 1 } }
+  );
+  return modifiedCount > 0;
+};
+
+invitationSchema.virtual('isPending').get(function () {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.models.Invitation || mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,77 @@
+// backend/models/Job.js
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['open', 'on-hold', 'filled', 'closed'];
+
+const jobSchema = new mongoose.Schema({
+  client:      { type: mongoose.Schema.Types.ObjectId, ref: 'Client', required: true, index: true },
+  title:       { type: String,  required: true, trim: true },
+  department:  { type: String,  trim: true },
+  headcount:   { type: Number,  required: true, min: 1, default: 1 },
+  location:    { type: String,  trim: true },
+  description: { type: String,  trim: true },
+
+  // ─── Salary band (annual CTC) ────────────────────────────
+  salaryMin:   { type: Number,  min: 0 },
+  salaryMax:   {
+    type: Number,
+    min: 0,
+    validate: {
+      validator(v) { return v == null || this.salaryMin == null || v >= this.salaryMin; },
+      message: 'Maximum salary must not be below the minimum'
+    }
+  },
+
+  status:      { type: String,  enum: JOB_STATUSES, default: 'open', index: true },
+
+  // ─── Audit fields ─────────────────────────────────────────
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+jobSchema.statics.STATUSES = JOB_STATUSES;
+
+/**
+ * Open requisitions for the candidate form dropdown. Pass `includeId` to
+ * keep a job that is already assigned to the candidate being edited.
+ */
+jobSchema.statics.forSelect = function (includeId) {
+  const filter = includeId
+    ? { $or: [{ status: 'open' }, { _id: includeId }] }
+    : { status: 'open' };
+  return this.find(filter)
+    .select('_id title client location')
+    .populate('client', 'name')
+    .sort({ title: 1 })
+    .lean();
+};
+
+/**
+ * Linked and joined candidate counts per job, keyed by job id:
+ *   { [jobId]: { linked, joined } }
+ */
+jobSchema.statics.fillStats = async function (jobIds) {
+  const Candidate = mongoose.model('Candidate');
+  const match = jobIds ? { job: { $in: jobIds } } : { job: { $ne: null } };
+  const rows = await Candidate.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$job',
+        linked: { $sum: 1 },
+        joined: { $sum: { $cond: [{ $eq: ['$finalStatus', 'Joined'] }, 1, 0] } }
+      }
+    }
+  ]);
+  const stats = {};
+  rows.forEach(r => { stats[r._id.toString()] = { linked: r.linked, joined: r.joined }; });
+  return stats;
+};
+
+module.exports = mongoose.models.Job || mongoose.model('Job', jobSchema);
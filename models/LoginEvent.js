@@ -0,0 +1,28 @@
+// backend/models/LoginEvent.js
+const mongoose = require('mongoose');
+
+// Why a sign-in attempt ended the way it did
+// ('not-allowed' / 'not-linked' are Google sign-ins, see utils/googleAuth)
+const LOGIN_RESULTS = [
+  'ok', 'bad-credentials', 'bad-two-factor', 'locked', 'throttled', 'deactivated', 'not-allowed', 'not-linked'
+];
+
+// One sign-in attempt. Failures for unknown emails are kept too (user is
+// null) so throttling treats existing and unknown accounts alike.
+const loginEventSchema = new mongoose.Schema({
+  user:      { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+  email:     { type: String, lowercase: true, trim: true },   // as typed
+  method:    { type: String, enum: ['password', 'google'], default: 'password' },
+  success:   { type: Boolean, required: true },
+  result:    { type: String, enum: LOGIN_RESULTS, required: true },
+  ip:        { type: String },
+  userAgent: { type: String }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+loginEventSchema.index({ createdAt: -1 });
+loginEventSchema.index({ ip: 1, createdAt: -1 });
+loginEventSchema.index({ email: 1, createdAt: -1 });
+
+loginEventSchema.statics.RESULTS = LOGIN_RESULTS;
+
+module.exports = mongoose.models.LoginEvent || mongoose.model('LoginEvent', loginEventSchema);
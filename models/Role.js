@@ -0,0 +1,39 @@
+// backend/models/Role.js
+const mongoose = require('mongoose');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+
+// A named set of permissions; users point at a role by its key
+const roleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    immutable: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Key must be 2–30 lowercase letters, digits or dashes, starting with a letter']
+  },
+  name:        { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  permissions: { type: [{ type: String, enum: Object.keys(PERMISSIONS) }], default: [] },
+  builtIn:     { type: Boolean, default: false },   // roles from BUILT_IN_ROLES can't be deleted
+  requireTwoFactor: { type: Boolean, default: false },   // members must set up 2FA before using the app
+  createdBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+/**
+ * Create any built-in role that is missing. Existing roles are left alone so
+ * admins' changes survive restarts.
+ */
+roleSchema.statics.ensureBuiltIns = async function () {
+  await Promise.all(Object.entries(BUILT_IN_ROLES).map(([key, def]) =>
+    this.updateOne(
+      { key },
+      { $setOnInsert: { key, ...def, builtIn: true } },
+      { upsert: true }
+    )
+  ));
+};
+
+module.exports = mongoose.models.Role || mongoose.model('Role', roleSchema);
@@ -0,0 +1,22 @@
+// backend/models/SavedView.js
+const mongoose = require('mongoose');
+
+// A named candidates-list setup: filters, sort and columns. Private to its
+// owner unless shared, in which case everyone can open it – each viewer
+// still only sees the candidates their role allows.
+const savedViewSchema = new mongoose.Schema({
+  name:    { type: String, required: true, trim: true, maxlength: 60 },
+  owner:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  shared:  { type: Boolean, default: false, index: true },
+  // the search as a query string (q=…&hrStatus=…), re-checked by parseSearch on use
+  filters: { type: String, default: '' },
+  sort: {
+    field: { type: String, default: null },     // null = relevance / newest calls
+    dir:   { type: Number, enum: [1, -1], default: -1 }
+  },
+  columns: { type: [String], default: [] }      // candidate field keys, in column order
+}, { timestamps: true });
+
+savedViewSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.models.SavedView || mongoose.model('SavedView', savedViewSchema);
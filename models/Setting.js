@@ -0,0 +1,27 @@
+// backend/models/Setting.js
+const mongoose = require('mongoose');
+
+// Admin-editable application settings, one document per key
+const settingSchema = new mongoose.Schema({
+  key:       { type: String, required: true, unique: true, trim: true },
+  value:     { type: mongoose.Schema.Types.Mixed },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+/**
+ * Stored value for `key`, or `fallback` when it has never been set.
+ */
+settingSchema.statics.getValue = async function (key, fallback) {
+  const doc = await this.findOne({ key }).lean();
+  return doc ? doc.value : fallback;
+};
+
+settingSchema.statics.setValue = function (key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.models.Setting || mongoose.model('Setting', settingSchema);
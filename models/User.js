@@ -1,6 +1,8 @@
 // backend/models/User.js
 const mongoose  = require('mongoose');
 const bcrypt    = require('bcryptjs');
+const crypto    = require('crypto');
+const softDelete = require('../utils/softDelete');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -20,18 +22,72 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  // for Google OAuth users
+  // Google account linked for sign-in (utils/googleAuth), and its email
   googleId: {
     type: String,
     unique: true,
     sparse: true
   },
-  // updated roles: admin, recruiter, employee
+  googleEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // key of a Role (built in: admin, recruiter, employee; admins can add more)
   role: {
     type: String,
-    enum: ['admin', 'recruiter', 'employee'],
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Invalid role'],
     default: 'employee'
   },
+  // team lead this user reports to; leads see their reports' candidates
+  manager: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+
+  // deactivated users can't sign in; their records are kept
+  active: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // sign-in lockout: wrong passwords in a row, and when the lock lifts
+  failedLogins: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // TOTP two-factor sign-in (utils/totp); recovery codes are stored hashed
+  // and each works once
+  twoFactor: {
+    enabled:       { type: Boolean, default: false },
+    secret:        { type: String },
+    recoveryCodes: { type: [String], default: undefined },
+    lastStep:      { type: Number },   // last accepted time step, so a code can't be replayed
+    enabledAt:     { type: Date }
+  },
+
+  // saved candidates view opened by default (pinned on the candidates page)
+  defaultView: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedView',
+    default: null
+  },
 
   // ── Profile fields ─────────────────────────────────────────────────────────
   fullName: {
@@ -51,14 +107,19 @@ const userSchema = new mongoose.Schema({
   },
 
   // ── Forgot Password fields ────────────────────────────────────────────────
+  // sha256 of the emailed token – the raw token is never stored
   resetPasswordToken: {
-    type: String
+    type: String,
+    index: true
   },
   resetPasswordExpires: {
     type: Date
   }
 }, { timestamps: true });
 
+// Deleted users sit in the trash until purged; deactivate them first
+userSchema.plugin(softDelete);
+
 
 // 🔐 Hash password before saving
 userSchema.pre('save', async function (next) {
@@ -72,4 +133,25 @@ userSchema.methods.comparePassword = function (candidate) {
   return bcrypt.compare(candidate, this.password);
 };
 
+// 🔑 Tokens sent by email are stored hashed so a DB leak can't be replayed
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// 🔑 Issue a password reset token; returns the raw token for the email link
+userSchema.methods.createPasswordResetToken = function (ttlMs = 60 * 60 * 1000) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken   = this.constructor.hashToken(token);
+  this.resetPasswordExpires = Date.now() + ttlMs;
+  return token;
+};
+
+// 🔑 Find the user owning a still-valid reset token
+userSchema.statics.findByResetToken = function (token) {
+  return this.findOne({
+    resetPasswordToken: this.hashToken(token),
+    resetPasswordExpires: { $gt: Date.now() }
+  });
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -1,12 +1,54 @@
 // backend/models/Candidate.js
 
 const mongoose = require('mongoose');
+const { STAGES, DROPOUT_STATUSES, DROPOUT_REASONS, deriveStage } = require('../utils/candidatePipeline');
+const refNumbers = require('../utils/referenceNumber');
+const softDelete = require('../utils/softDelete');
+
+// ─── One entry per status change, shown as a timeline ───────
+const statusChangeSchema = new mongoose.Schema({
+  field:     { type: String, required: true, enum: ['stage', 'hrStatus', 'clientStatus', 'finalStatus'] },
+  from:      { type: String, default: null },
+  to:        { type: String, default: null },
+  note:      { type: String, trim: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// ─── One entry per duplicate record folded into this one ────
+const mergeEntrySchema = new mongoose.Schema({
+  candidateId:     { type: mongoose.Schema.Types.ObjectId },
+  serialRefNumber: { type: Number },
+  candidateName:   { type: String },
+  createdBy:       { type: mongoose.Schema.Types.ObjectId, ref: 'User' },  // recruiter of the merged record
+  previousOwner:   { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  owner:           { type: mongoose.Schema.Types.ObjectId, ref: 'User' },  // recruiter chosen to keep it
+  mergedBy:        { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  mergedAt:        { type: Date, default: Date.now }
+}, { _id: false });
+
+// ─── One entry per hand-over to another recruiter ───────────
+const ownerChangeSchema = new mongoose.Schema({
+  from:      { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  to:        { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reason:    { type: String, trim: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// ─── Offer made to the candidate and when they (are due to) join ─
+const offerSchema = new mongoose.Schema({
+  offeredCtc:          { type: Number, min: [0, 'Offered CTC cannot be negative'] },   // annual, in rupees
+  offerDate:           { type: Date },
+  expectedJoiningDate: { type: Date },
+  actualJoiningDate:   { type: Date }
+}, { _id: false });
 
 const candidateSchema = new mongoose.Schema({
   // ───────────────────────────────────────────────────────────
   dateOfCall:            { type: Date,     required: true },
   interviewType:         { type: String,   required: true, enum: ['Direct', 'Inbound', 'Outbound'] },
-  client:                { type: String,   required: true, enum: ['Wonderla','Suzen','Digiphoto','Cospower','Pride','Chakde','Others'] },
+  client:                { type: mongoose.Schema.Types.ObjectId, ref: 'Client', required: true, index: true },
   sourceType:            { type: String,   required: true, enum: ['Walkin','Employee Referral','Job Portal','Social Media','Others'] },
   source:                { type: String,   required: true, trim: true },
   candidateName:         { type: String,   required: true, trim: true },
@@ -18,7 +60,8 @@ const candidateSchema = new mongoose.Schema({
   qualification:         { type: String,   trim: true },
   experience:            { type: String,   trim: true },
   companyname:           { type: String,   trim: true },
-  position:              { type: String,   required: true, trim: true },
+  job:                   { type: mongoose.Schema.Types.ObjectId, ref: 'Job', index: true },
+  position:              { type: String,   required: true, trim: true },   // copied from job.title
   department:            { type: String,   trim: true },
   hrComments:            { type: String,   trim: true },
   hrStatus:              { type: String,   required: true, enum: ['Select','Reject','Hold','Backup','Review'] },
@@ -29,11 +72,53 @@ const candidateSchema = new mongoose.Schema({
   clientStatus:          { type: String,   enum: ['Reject','Hold','Select'], default: undefined, trim: true },
   clientComments:        { type: String,   trim: true },
   finalStatus:           { type: String,   enum: ['Offer in Progress','Offered','Joined','Yet to Join','Shortlist Dropout','Offer Dropout','Joining Dropout'], default: undefined },
+  offer:                 { type: offerSchema, default: undefined },
+  // A reason is required whenever the final status is set to a dropout
+  dropoutReason: {
+    type: String,
+    enum: Object.keys(DROPOUT_REASONS),
+    required: [
+      function() {
+        return DROPOUT_STATUSES.includes(this.finalStatus) && (this.isNew || this.isModified('finalStatus'));
+      },
+      'Pick a dropout reason'
+    ]
+  },
+  dropoutNotes: {
+    type: String,
+    trim: true,
+    required: [function() { return this.dropoutReason === 'other'; }, 'Describe the dropout reason']
+  },
+  // ─── Pipeline: stage is derived from the three statuses above ─
+  stage:                 { type: String,   enum: Object.keys(STAGES), default: 'screening', index: true },
+  statusHistory:         { type: [statusChangeSchema], default: [] },
+  mergeHistory:          { type: [mergeEntrySchema], default: [] },
+  ownerHistory:          { type: [ownerChangeSchema], default: [] },
+
+  // free-form labels (lowercase, e.g. "walk-in drive"); colours in utils/tags
+  tags:                  { type: [String], default: [], index: true },
+
+  // ─── Client-specific fields defined by admins (utils/customFields) ─
+  // key → typed value; customText copies the words for keyword search
+  custom:                { type: Map, of: mongoose.Schema.Types.Mixed, default: undefined },
+  customText:            { type: String },
+
   resume:                { type: String,   trim: true },
   resumePath:            { type: String,   default: null },
+  // words of the resume (utils/resumeParser), for keyword search only
+  resumeText:            { type: String,   select: false },
 
-  // ─── NEW: auto-incrementing serial reference ───────────────
+  // ─── Reference numbers, both issued from the counters collection ─
   serialRefNumber:       { type: Number,   unique: true, index: true },
+  refCode:               { type: String,   unique: true, sparse: true, trim: true },   // e.g. WON-2026-000123
+
+  // ─── Recruiter responsible for the candidate now ───────────
+  // Starts as whoever added the record; changes on reassignment
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
 
   // ─── Audit fields ─────────────────────────────────────────
   createdBy: {
@@ -47,24 +132,56 @@ const candidateSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
-// ─── Pre-save hook to assign serialRefNumber ────────────────
-candidateSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    // find the document with highest serialRefNumber
-    const last = await this.constructor
-      .findOne({})
-      .sort({ serialRefNumber: -1 })
-      .select('serialRefNumber')
-      .lean();
-
-    if (last && last.serialRefNumber) {
-      this.serialRefNumber = last.serialRefNumber + 1;
-    } else {
-      this.serialRefNumber = 100001;
-    }
+candidateSchema.index({ 'offer.expectedJoiningDate': 1 });
+
+// ─── Keyword search (utils/candidateSearch) ─────────────────
+// No language, so names and skills are matched as typed: no stemming and
+// no stop words ("IT" would otherwise be dropped as "it"). After changing
+// the fields here, run `npm run sync:indexes` to rebuild it.
+candidateSchema.index({
+  candidateName: 'text', email: 'text', mobile: 'text', refCode: 'text',
+  position: 'text', department: 'text', companyname: 'text', qualification: 'text',
+  experience: 'text', location: 'text', source: 'text',
+  hrComments: 'text', comments: 'text', clientComments: 'text', notAttendedComments: 'text', dropoutNotes: 'text',
+  tags: 'text', customText: 'text', resumeText: 'text'
+}, {
+  name: 'candidate_text',
+  default_language: 'none',
+  weights: { candidateName: 10, mobile: 10, email: 10, refCode: 10, position: 5, companyname: 3, qualification: 3, location: 3 }
+});
+
+// ─── Deleted candidates sit in the trash until purged ───────
+candidateSchema.plugin(softDelete);
+
+// ─── Keep the pipeline stage in step with the status fields ─
+candidateSchema.pre('validate', function(next) {
+  this.stage = deriveStage(this);
+  if (!this.owner) this.owner = this.createdBy;
+  next();
+});
+
+// ─── Words of the custom text / option values, for the text index ─
+candidateSchema.pre('validate', function(next) {
+  const words = [];
+  if (this.custom) {
+    this.custom.forEach(v => [].concat(v).forEach(x => { if (typeof x === 'string') words.push(x); }));
   }
+  this.customText = words.join(' ') || undefined;
   next();
 });
 
+// ─── Pre-save hook to assign reference numbers ──────────────
+// Counters are incremented atomically, so concurrent creates can't collide.
+candidateSchema.pre('save', async function(next) {
+  if (!this.isNew) return next();
+  try {
+    if (!this.serialRefNumber) this.serialRefNumber = await refNumbers.nextSerial();
+    if (!this.refCode)         this.refCode         = await refNumbers.nextRefCode(this);
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = mongoose.models.Candidate || mongoose.model('Candidate', candidateSchema);
 // ─── End of Candidate model definition ─────────────────────
\ No newline at end of file
@@ -0,0 +1,20 @@
+// backend/routes/admin/apiTokens.js
+const express  = require('express');
+const router   = express.Router();
+const { ensureAuthenticated } = require('../../middlewares/authMiddleware');
+const { can }                = require('../../middlewares/permissionMiddleware');
+const tokenCtrl              = require('../../controllers/apiTokenController');
+
+// All routes here require the apitoken:manage permission
+router.use(ensureAuthenticated, can('apitoken:manage'));
+
+// Tokens for /api/v1, with the form to issue a new one
+router.get('/', tokenCtrl.listTokens);
+
+// Issue a token (raw value is flashed once)
+router.post('/', tokenCtrl.issueToken);
+
+// Revoke a token
+router.post('/:id/revoke', tokenCtrl.revokeToken);
+
+module.exports = router;
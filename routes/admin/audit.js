@@ -0,0 +1,20 @@
+// backend/routes/admin/audit.js
+const express  = require('express');
+const router   = express.Router();
+const { ensureAuthenticated } = require('../../middlewares/authMiddleware');
+const { can }                = require('../../middlewares/permissionMiddleware');
+const auditCtrl              = require('../../controllers/auditController');
+
+// All routes here require the audit:view permission
+router.use(ensureAuthenticated, can('audit:view'));
+
+// Audit trail with filters
+router.get('/', auditCtrl.listAudit);
+
+// Single entry: field diff or deleted snapshot
+router.get('/:id', auditCtrl.showAudit);
+
+// Restore a deleted record from its snapshot
+router.post('/:id/restore', auditCtrl.restoreAudit);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// backend/routes/admin/clients.js
+const express  = require('express');
+const router   = express.Router();
+const { ensureAuthenticated } = require('../../middlewares/authMiddleware');
+const { can }                = require('../../middlewares/permissionMiddleware');
+const clientCtrl             = require('../../controllers/clientController');
+const fieldCtrl              = require('../../controllers/customFieldController');
+const methodOverride         = require('method-override');
+
+// All routes here require the client:manage permission
+router.use(ensureAuthenticated, can('client:manage'));
+router.use(methodOverride('_method'));
+
+// List all clients
+router.get('/', clientCtrl.listClients);
+
+// Show form to add a new client
+router.get('/new', clientCtrl.newClientForm);
+
+// Handle form submission
+router.post('/new', clientCtrl.createClient);
+
+// Show edit form for a client
+router.get('/:id/edit', clientCtrl.editClientForm);
+
+// Handle update
+router.post('/:id/edit', clientCtrl.updateClient);
+
+// Activate / deactivate
+router.post('/:id/toggle', clientCtrl.toggleClient);
+
+// Custom candidate fields: list, add, edit, archive / restore
+router.get('/:id/fields', fieldCtrl.listFields);
+router.post('/:id/fields', fieldCtrl.addField);
+router.post('/:id/fields/:fieldId', fieldCtrl.updateField);
+router.post('/:id/fields/:fieldId/toggle', fieldCtrl.toggleField);
+
+// Handle delete (DELETE via method-override)
+router.delete('/:id', clientCtrl.deleteClient);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// backend/routes/admin/jobs.js
+const express  = require('express');
+const router   = express.Router();
+const { ensureAuthenticated } = require('../../middlewares/authMiddleware');
+const { can }                = require('../../middlewares/permissionMiddleware');
+const jobCtrl                = require('../../controllers/jobController');
+const methodOverride         = require('method-override');
+
+// All routes here require the job:manage permission
+router.use(ensureAuthenticated, can('job:manage'));
+router.use(methodOverride('_method'));
+
+// List all job requisitions
+router.get('/', jobCtrl.listJobs);
+
+// Show form to add a new job
+router.get('/new', jobCtrl.newJobForm);
+
+// Handle form submission
+router.post('/new', jobCtrl.createJob);
+
+// Job details with linked candidates
+router.get('/:id', jobCtrl.showJob);
+
+// Show edit form for a job
+router.get('/:id/edit', jobCtrl.editJobForm);
+
+// Handle update
+router.post('/:id/edit', jobCtrl.updateJob);
+
+// Handle delete (DELETE via method-override)
+router.delete('/:id', jobCtrl.deleteJob);
+
+module.exports = router;
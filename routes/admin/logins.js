@@ -0,0 +1,20 @@
+// backend/routes/admin/logins.js
+const express  = require('express');
+const router   = express.Router();
+const { ensureAuthenticated } = require('../../middlewares/authMiddleware');
+const { can }                = require('../../middlewares/permissionMiddleware');
+const loginCtrl              = require('../../controllers/loginHistoryController');
+
+// All routes here require the login:manage permission
+router.use(ensureAuthenticated, can('login:manage'));
+
+// Sign-in history for every user, plus currently locked accounts
+router.get('/', loginCtrl.listLogins);
+
+// Lift a lockout before it expires
+router.post('/unlock/:id', loginCtrl.unlockUser);
+
+// Clear a user's 2FA (lost phone and recovery codes)
+router.post('/reset-two-factor', loginCtrl.resetTwoFactor);
+
+module.exports = router;
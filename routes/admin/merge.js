@@ -0,0 +1,17 @@
+// backend/routes/admin/merge.js
+const express  = require('express');
+const router   = express.Router();
+const { ensureAuthenticated } = require('../../middlewares/authMiddleware');
+const { can }                = require('../../middlewares/permissionMiddleware');
+const mergeCtrl              = require('../../controllers/mergeController');
+
+// All routes here require the candidate:merge permission
+router.use(ensureAuthenticated, can('candidate:merge'));
+
+// Suspected duplicates, or a side-by-side comparison when ?a=&b= are given
+router.get('/', mergeCtrl.showMerge);
+
+// Fold one candidate into the other
+router.post('/', mergeCtrl.mergeCandidates);
+
+module.exports = router;
@@ -2,13 +2,13 @@
 const express  = require('express');
 const router   = express.Router();
 const { ensureAuthenticated } = require('../../middlewares/authMiddleware');
-const { isAdmin }            = require('../../middlewares/adminMiddleware');
+const { can }                = require('../../middlewares/permissionMiddleware');
 const recruiterCtrl          = require('../../controllers/recruiterController');
 const methodOverride         = require('method-override');
 
 
-// All routes here require Admin
-router.use(ensureAuthenticated, isAdmin);
+// All routes here require the recruiter:manage permission
+router.use(ensureAuthenticated, can('recruiter:manage'));
 router.use(methodOverride('_method'));
 
 // List all recruiters
@@ -35,8 +35,12 @@ router.get('/:id/edit', recruiterCtrl.editRecruiterForm);
 // Handle update (PUT via method-override)
 router.post('/:id/edit', recruiterCtrl.updateRecruiter);
 
-// Handle delete (POST for delete button)
-router.delete('/:id', recruiterCtrl.deleteRecruiter);
+// Offboard: hand over open candidates, then deactivate
+router.get('/:id/offboard', recruiterCtrl.offboardForm);
+router.post('/:id/offboard', recruiterCtrl.offboardRecruiter);
+
+// Move a deactivated recruiter to the trash
+router.post('/:id/delete', recruiterCtrl.deleteRecruiter);
 
 
 module.exports = router;
@@ -0,0 +1,25 @@
+// backend/routes/admin/roles.js
+const express  = require('express');
+const router   = express.Router();
+const { ensureAuthenticated } = require('../../middlewares/authMiddleware');
+const { can }                = require('../../middlewares/permissionMiddleware');
+const roleCtrl               = require('../../controllers/roleController');
+
+// All routes here require the role:manage permission
+router.use(ensureAuthenticated, can('role:manage'));
+
+// Roles and their permissions
+router.get('/', roleCtrl.listRoles);
+router.get('/new', roleCtrl.newRoleForm);
+router.post('/new', roleCtrl.createRole);
+
+// Which user has which role (declared before /:id)
+router.get('/users', roleCtrl.listUsers);
+router.post('/users/:id', roleCtrl.assignRole);
+
+router.get('/:id/edit', roleCtrl.editRoleForm);
+router.post('/:id/edit', roleCtrl.updateRole);
+router.post('/:id/delete', roleCtrl.deleteRole);
+router.post('/:id/two-factor', roleCtrl.setTwoFactorRequirement);
+
+module.exports = router;
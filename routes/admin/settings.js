@@ -0,0 +1,15 @@
+// backend/routes/admin/settings.js
+const express  = require('express');
+const router   = express.Router();
+const { ensureAuthenticated } = require('../../middlewares/authMiddleware');
+const { can }                = require('../../middlewares/permissionMiddleware');
+const settingsCtrl           = require('../../controllers/settingsController');
+
+// All routes here require the settings:manage permission
+router.use(ensureAuthenticated, can('settings:manage'));
+
+// Candidate reference number format
+router.get('/reference', settingsCtrl.showReferenceSettings);
+router.post('/reference', settingsCtrl.updateReferenceSettings);
+
+module.exports = router;
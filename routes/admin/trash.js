@@ -0,0 +1,21 @@
+// backend/routes/admin/trash.js
+const express  = require('express');
+const router   = express.Router();
+const { ensureAuthenticated } = require('../../middlewares/authMiddleware');
+const { can }                = require('../../middlewares/permissionMiddleware');
+const trashCtrl              = require('../../controllers/trashController');
+
+// All routes here require the trash:manage permission
+router.use(ensureAuthenticated, can('trash:manage'));
+
+// Trashed candidates and users
+router.get('/', trashCtrl.listTrash);
+
+// How long records stay before the automatic purge
+router.post('/retention', can('settings:manage'), trashCtrl.updateRetention);
+
+// :entity is Candidate or User
+router.post('/:entity/:id/restore', trashCtrl.restoreItem);
+router.post('/:entity/:id/purge', trashCtrl.purgeItem);
+
+module.exports = router;
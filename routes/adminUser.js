@@ -0,0 +1,22 @@
+// backend/routes/adminUser.js
+const express  = require('express');
+const router   = express.Router();
+const { ensureAuthenticated } = require('../middlewares/authMiddleware');
+const { can }                = require('../middlewares/permissionMiddleware');
+const inviteCtrl             = require('../controllers/invitationController');
+
+// All routes here require the user:invite permission
+router.use(ensureAuthenticated, can('user:invite'));
+
+// Open invitations
+router.get('/', inviteCtrl.listInvitations);
+
+// Invite someone by email, with a role
+router.get('/new', inviteCtrl.newInvitationForm);
+router.post('/new', inviteCtrl.createInvitation);
+
+// Send a fresh link / cancel an invitation
+router.post('/invitations/:id/resend', inviteCtrl.resendInvitation);
+router.post('/invitations/:id/revoke', inviteCtrl.revokeInvitation);
+
+module.exports = router;
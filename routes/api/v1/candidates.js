@@ -0,0 +1,26 @@
+// backend/routes/api/v1/candidates.js
+const express = require('express');
+const router  = express.Router();
+const upload  = require('../../../config/multerCloudinary');
+const apiCtrl = require('../../../controllers/candidateApiController');
+const { ensureApiToken } = require('../../../middlewares/apiAuthMiddleware');
+const { can }            = require('../../../middlewares/permissionMiddleware');
+
+// Every route needs "Authorization: Bearer <token>"
+router.use(ensureApiToken);
+
+// The token acts as its user, with that user's role permissions
+router.get('/',       can('candidate:read'),   apiCtrl.list);
+router.post('/',      can('candidate:create'), apiCtrl.create);
+router.get('/:id',    can('candidate:read'),   apiCtrl.get);
+router.patch('/:id',  can('candidate:update'), apiCtrl.update);
+router.delete('/:id', can('candidate:delete'), apiCtrl.remove);
+
+// Multipart upload, file in field "resume"
+router.post('/:id/resume', can('candidate:update'), upload.single('resume'), apiCtrl.uploadResume);
+
+// JSON (never HTML) for unknown routes and errors
+router.use(apiCtrl.notFound);
+router.use(apiCtrl.handleError);
+
+module.exports = router;
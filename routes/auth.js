@@ -1,10 +1,11 @@
 // backend/routes/auth.js
 
 const express  = require('express');
-const passport = require('passport');
 const router   = express.Router();
+const { google } = require('../config/app');
 
 const authController      = require('../controllers/authController');
+const invitationController = require('../controllers/invitationController');
 const { ensureAuthenticated, forwardAuthenticated } = require('../middlewares/authMiddleware');
 
 // // ─── Registration ────────────────────────────────────────────────────────────────
@@ -15,6 +16,10 @@ const { ensureAuthenticated, forwardAuthenticated } = require('../middlewares/au
 router.get('/login', forwardAuthenticated, authController.getLogin);
 router.post('/login', authController.postLogin);
 
+// ─── Two-factor step (after a correct password) ──────────────────────────────────
+router.get('/login/verify', forwardAuthenticated, authController.getVerifyLogin);
+router.post('/login/verify', forwardAuthenticated, authController.postVerifyLogin);
+
 // ─── Forgot Password (Form) ───────────────────────────────────────────────────────
 router.get('/forgot-password', forwardAuthenticated, (req, res) => {
   res.render('auth/forgot-password', {
@@ -25,6 +30,14 @@ router.get('/forgot-password', forwardAuthenticated, (req, res) => {
 // ─── Forgot Password (POST) ──────────────────────────────────────────────────────
 router.post('/forgot-password', authController.forgotPassword);
 
+// ─── Reset Password (link from email) ────────────────────────────────────────────
+router.get('/reset-password/:token', forwardAuthenticated, authController.getResetPassword);
+router.post('/reset-password/:token', forwardAuthenticated, authController.postResetPassword);
+
+// ─── Accept an invitation (link from email) ──────────────────────────────────────
+router.get('/invite/:token', forwardAuthenticated, invitationController.getAcceptInvitation);
+router.post('/invite/:token', forwardAuthenticated, invitationController.postAcceptInvitation);
+
 // ─── Change Password ──────────────────────────────────────────────────────────────
 router.get(
   '/change-password',
@@ -40,36 +53,13 @@ router.post(
 // ─── Logout ───────────────────────────────────────────────────────────────────────
 router.post('/logout', authController.logout);
 
-// // ─── Google OAuth ─────────────────────────────────────────────────────────────────
-// router.get('/auth/google',
-//   forwardAuthenticated,
-//   passport.authenticate('google', { scope: ['profile', 'email'] })
-// );
-
-// router.get('/auth/google/callback',
-//   passport.authenticate('google', {
-//     successRedirect: '/dashboard',
-//     failureRedirect: '/login',
-//     failureFlash: true
-//   })
-// );
-
-// ─── Example Passport Configuration (Uncomment and Modify as Needed) ────────────────
-// passport.use(new GoogleStrategy({
-//   // ... your config ...
-// }, async (accessToken, refreshToken, profile, done) => {
-//   let user = await User.findOne({ googleId: profile.id });
-//   if (!user) {
-//     user = await User.create({
-//       googleId: profile.id,
-//       email: profile.emails[0].value,
-//       fullName: profile.displayName,
-//       avatar: profile.photos[0].value,
-//       // Set a default role here:
-//       role: 'Employee' // or 'Admin' if you want Google users to be admins
-//     });
-//   }
-//   return done(null, user);
-// }));
+// ─── Google sign-in (only when switched on in config/app.js) ─────────────────────
+if (google.enabled) {
+  router.get('/auth/google', forwardAuthenticated, authController.startGoogle);
+  router.get('/auth/google/callback', authController.googleCallback);
+  // link the signed-in user's Google account (button on /profile)
+  router.post('/auth/google/link', ensureAuthenticated, authController.linkGoogle);
+  if (google.mock) router.get('/auth/google/mock', authController.getGoogleMock);
+}
 
 module.exports = router;
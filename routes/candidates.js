@@ -3,57 +3,99 @@
 const express = require('express');
 const router = express.Router();
 const upload = require('../config/multerCloudinary');
+const importUpload = require('../config/importMulter');
+const resumeUpload = require('../config/resumeMulter');
 const candidateCtrl = require('../controllers/candidateController');
+const importCtrl = require('../controllers/importController');
+const exportCtrl = require('../controllers/exportController');
+const joiningCtrl = require('../controllers/joiningController');
+const viewCtrl = require('../controllers/savedViewController');
 const { ensureAuthenticated } = require('../middlewares/authMiddleware');
+const { can } = require('../middlewares/permissionMiddleware');
 
 /**
- * Export candidates routes
+ * Export builder routes (pick columns → download XLSX / CSV / PDF)
  */
-router.get(
-  '/export',
-  ensureAuthenticated,
-  candidateCtrl.exportCandidates
-);
-
-router.post(
-  '/export/download',
-  ensureAuthenticated,
-  candidateCtrl.exportSelected
-);
+router.get('/export', ensureAuthenticated, can('candidate:export'), exportCtrl.showExportBuilder);
+router.post('/export/download', ensureAuthenticated, can('candidate:export'), exportCtrl.downloadExport);
+router.post('/export/templates', ensureAuthenticated, can('candidate:export'), exportCtrl.saveTemplate);
+router.post('/export/templates/:id/delete', ensureAuthenticated, can('candidate:export'), exportCtrl.deleteTemplate);
+
+/**
+ * Saved list views (filters + sort + columns), private or shared
+ */
+router.post('/views', ensureAuthenticated, can('candidate:read'), viewCtrl.saveView);
+router.post('/views/:id/pin', ensureAuthenticated, can('candidate:read'), viewCtrl.pinView);
+router.post('/views/:id/delete', ensureAuthenticated, can('candidate:read'), viewCtrl.deleteView);
+
+/**
+ * Joinings due this week and overdue joinings
+ */
+router.get('/joinings', ensureAuthenticated, can('candidate:read'), joiningCtrl.showJoinings);
+
+/**
+ * Bulk import routes (upload → map columns → preview → commit)
+ */
+router.get('/import', ensureAuthenticated, can('candidate:import'), importCtrl.showImportForm);
+
+router.post('/import', ensureAuthenticated, can('candidate:import'), (req, res, next) => {
+  importUpload.single('file')(req, res, err => {
+    if (err) {
+      req.flash('error_msg', err.message);
+      return res.redirect('/candidates/import');
+    }
+    next();
+  });
+}, importCtrl.uploadImport);
+
+router.get('/import/:token', ensureAuthenticated, can('candidate:import'), importCtrl.showMapping);
+router.post('/import/:token/preview', ensureAuthenticated, can('candidate:import'), importCtrl.previewImport);
+router.post('/import/:token/commit', ensureAuthenticated, can('candidate:import'), importCtrl.commitImport);
+router.get('/import/:token/errors', ensureAuthenticated, can('candidate:import'), importCtrl.downloadErrors);
 
 /**
  * CRUD routes
  */
 // List all candidates
-router.get('/', ensureAuthenticated, candidateCtrl.getAllCandidates);
+router.get('/', ensureAuthenticated, can('candidate:read'), candidateCtrl.getAllCandidates);
+
+// Bulk actions on the ticked candidates (declared before /:id); each
+// action checks its own permission
+router.post('/bulk', ensureAuthenticated, can('candidate:read'), candidateCtrl.bulkAction);
 
 // Show add candidate form
-router.get('/new', ensureAuthenticated, (req, res) => {
-  res.render('candidates/new');
-});
+router.get('/new', ensureAuthenticated, can('candidate:create'), candidateCtrl.showNewForm);
+
+// Read a resume picked on the new / edit form and return the fields it
+// seems to hold (JSON) to prefill the form; nothing is saved
+router.post('/resume/parse', ensureAuthenticated, can('candidate:read'), (req, res, next) => {
+  resumeUpload.single('resume')(req, res, err => {
+    if (err) return res.status(422).json({ ok: false, message: err.message });
+    next();
+  });
+}, candidateCtrl.parseResume);
 
 // Create candidate
-router.post('/', ensureAuthenticated, upload.single('resume'), candidateCtrl.createCandidate);
+router.post('/', ensureAuthenticated, can('candidate:create'), upload.single('resume'), candidateCtrl.createCandidate);
 
 // Show candidate details
-router.get('/:id', ensureAuthenticated, candidateCtrl.getCandidateById, (req, res) => {
-  res.render('candidates/show', { candidate: res.locals.candidate });
-});
+router.get('/:id', ensureAuthenticated, can('candidate:read'), candidateCtrl.getCandidateById, candidateCtrl.showCandidate);
 
 // Edit candidate form
-router.get('/:id/edit', ensureAuthenticated, candidateCtrl.getCandidateById, (req, res) => {
-  res.render('candidates/edit', { candidate: res.locals.candidate });
-});
+router.get('/:id/edit', ensureAuthenticated, can('candidate:update'), candidateCtrl.getCandidateById, candidateCtrl.showEditForm);
 
 // Update candidate
-router.post('/:id', ensureAuthenticated, upload.single('resume'), candidateCtrl.updateCandidate);
+router.post('/:id', ensureAuthenticated, can('candidate:update'), candidateCtrl.getCandidateById, upload.single('resume'), candidateCtrl.updateCandidate);
 
 // Delete candidate
-router.post('/:id/delete', ensureAuthenticated, candidateCtrl.deleteCandidate);
+router.post('/:id/delete', ensureAuthenticated, can('candidate:delete'), candidateCtrl.getCandidateById, candidateCtrl.deleteCandidate);
+
+// Hand one candidate to another recruiter
+router.post('/:id/reassign', ensureAuthenticated, can('candidate:reassign'), candidateCtrl.getCandidateById, candidateCtrl.reassignCandidate);
 
 /**
  * Download resume
  */
-router.get('/:id/download', ensureAuthenticated, candidateCtrl.downloadResume);
+router.get('/:id/download', ensureAuthenticated, can('candidate:read'), candidateCtrl.getCandidateById, candidateCtrl.downloadResume);
 
 module.exports = router;
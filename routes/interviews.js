@@ -0,0 +1,40 @@
+// backend/routes/interviews.js
+
+const express = require('express');
+const router = express.Router();
+const interviewCtrl = require('../controllers/interviewController');
+const { ensureAuthenticated } = require('../middlewares/authMiddleware');
+const { ensureSessionOrToken } = require('../middlewares/apiAuthMiddleware');
+const { can } = require('../middlewares/permissionMiddleware');
+
+/**
+ * Calendar (month view, filter by recruiter / client) and its .ics feed
+ */
+router.get('/', ensureAuthenticated, can('candidate:read'), interviewCtrl.showCalendar);
+router.get('/feed.ics', ensureSessionOrToken, can('candidate:read'), interviewCtrl.calendarFeed);
+
+/**
+ * CRUD routes
+ */
+// Schedule form (?candidate=<id>)
+router.get('/new', ensureAuthenticated, can('interview:manage'), interviewCtrl.showNewForm);
+
+// Create interview
+router.post('/', ensureAuthenticated, can('interview:manage'), interviewCtrl.createInterview);
+
+// Show interview details
+router.get('/:id', ensureAuthenticated, can('candidate:read'), interviewCtrl.getInterviewById, interviewCtrl.showInterview);
+
+// Edit / reschedule form
+router.get('/:id/edit', ensureAuthenticated, can('interview:manage'), interviewCtrl.getInterviewById, interviewCtrl.showEditForm);
+
+// Update interview
+router.post('/:id', ensureAuthenticated, can('interview:manage'), interviewCtrl.getInterviewById, interviewCtrl.updateInterview);
+
+// Record attendance / cancel
+router.post('/:id/outcome', ensureAuthenticated, can('interview:manage'), interviewCtrl.getInterviewById, interviewCtrl.setOutcome);
+
+// Single-event .ics download
+router.get('/:id/ics', ensureAuthenticated, can('candidate:read'), interviewCtrl.getInterviewById, interviewCtrl.downloadIcs);
+
+module.exports = router;
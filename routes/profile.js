@@ -60,4 +60,13 @@ router.post(
   profileController.postProfile
 );
 
+// Two-factor sign-in: enrol, new recovery codes, switch off
+router.get('/two-factor', ensureAuthenticated, profileController.getTwoFactor);
+router.post('/two-factor', ensureAuthenticated, profileController.enableTwoFactor);
+router.post('/two-factor/recovery-codes', ensureAuthenticated, profileController.regenerateRecoveryCodes);
+router.post('/two-factor/disable', ensureAuthenticated, profileController.disableTwoFactor);
+
+// Google account: linking starts at POST /auth/google/link (routes/auth.js)
+router.post('/google/unlink', ensureAuthenticated, profileController.unlinkGoogle);
+
 module.exports = router;
@@ -3,6 +3,7 @@
 const express = require('express');
 const router = express.Router();
 const { ensureAuthenticated } = require('../../middlewares/authMiddleware');
+const { can } = require('../../middlewares/permissionMiddleware');
 const recruiterDashboardCtrl = require('../../controllers/recruiterDashboardController');
 
 /**
@@ -11,12 +12,14 @@ const recruiterDashboardCtrl = require('../../controllers/recruiterDashboardCont
 router.get(
   '/',
   ensureAuthenticated,
+  can('dashboard:view:own'),
   recruiterDashboardCtrl.renderSelfDashboard
 );
 
 router.get(
   '/data',
   ensureAuthenticated,
+  can('dashboard:view:own'),
   recruiterDashboardCtrl.getSelfDashboardData
 );
 
@@ -0,0 +1,26 @@
+// backend/routes/team/dashboard.js
+
+const express = require('express');
+const router = express.Router();
+const { ensureAuthenticated } = require('../../middlewares/authMiddleware');
+const { can } = require('../../middlewares/permissionMiddleware');
+const teamDashboardCtrl = require('../../controllers/teamDashboardController');
+
+/**
+ * Team Lead Dashboard (the lead and everyone reporting to them)
+ */
+router.get(
+  '/',
+  ensureAuthenticated,
+  can('dashboard:view:team'),
+  teamDashboardCtrl.renderTeamDashboard
+);
+
+router.get(
+  '/data',
+  ensureAuthenticated,
+  can('dashboard:view:team'),
+  teamDashboardCtrl.getTeamDashboardData
+);
+
+module.exports = router;
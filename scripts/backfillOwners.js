@@ -0,0 +1,34 @@
+// backend/scripts/backfillOwners.js
+//
+// One-off backfill for the candidate owner field: every candidate without an
+// owner is given to the recruiter who created it. Candidate lists, exports
+// and access checks go by owner, so run this once after upgrading.
+//
+// Safe to run more than once: only missing owners are filled in.
+//
+//   npm run backfill:owners              # write changes
+//   npm run backfill:owners -- --dry-run # only report what would change
+require('dotenv').config();
+
+const mongoose  = require('mongoose');
+const connectDB = require('../config/db');
+const Candidate = require('../models/candidate');
+
+const dryRun = process.argv.includes('--dry-run');
+
+(async () => {
+  await connectDB();
+
+  // Raw collection write – old records may not pass today's validators
+  const missing = { owner: null, createdBy: { $ne: null } };
+  const count = await Candidate.collection.countDocuments(missing);
+  if (!dryRun) {
+    await Candidate.collection.updateMany(missing, [{ $set: { owner: '$createdBy' } }]);
+  }
+  console.log(`${dryRun ? 'Would give' : 'Gave'} ${count} candidate(s) an owner`);
+
+  await mongoose.disconnect();
+})().catch(err => {
+  console.error('❌ Owner backfill failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+// backend/scripts/backfillRefNumbers.js
+//
+// One-off backfill for the counters-based reference numbers:
+//   1. moves the serialRefNumber counter up to the highest number in use,
+//   2. numbers any candidate that has no serialRefNumber (oldest first),
+//   3. gives every candidate without a refCode one in the current format,
+//      using the candidate's client prefix and the year it was created.
+//
+// Safe to run more than once: only missing values are filled in.
+//
+//   npm run backfill:refs              # write changes
+//   npm run backfill:refs -- --dry-run # only report what would change
+require('dotenv').config();
+
+const mongoose   = require('mongoose');
+const connectDB  = require('../config/db');
+const Counter    = require('../models/Counter');
+const Candidate  = require('../models/candidate');
+const refNumbers = require('../utils/referenceNumber');
+
+const dryRun = process.argv.includes('--dry-run');
+
+(async () => {
+  await connectDB();
+
+  // Raw collection writes – old records may not pass today's validators
+  const candidates = Candidate.collection;
+
+  // 1) serial counter
+  const highest = await refNumbers.highestSerial();
+  if (!dryRun) await Counter.raiseTo(refNumbers.SERIAL_KEY, highest);
+  console.log(`Serial counter at ${highest}`);
+
+  // 2) missing serial numbers
+  const unnumbered = await candidates
+    .find({ serialRefNumber: null }, { projection: { _id: 1 } })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+  for (const c of unnumbered) {
+    if (dryRun) continue;
+    await candidates.updateOne({ _id: c._id }, { $set: { serialRefNumber: await refNumbers.nextSerial() } });
+  }
+  console.log(`${dryRun ? 'Would number' : 'Numbered'} ${unnumbered.length} candidate(s) without a serialRefNumber`);
+
+  // 3) missing reference codes
+  const format = await refNumbers.getFormat();
+  const uncoded = await candidates
+    .find({ refCode: null }, { projection: { _id: 1, client: 1, createdAt: 1 } })
+    .sort({ serialRefNumber: 1, _id: 1 })
+    .toArray();
+  for (const c of uncoded) {
+    if (dryRun) continue;
+    const refCode = await refNumbers.nextRefCode({ client: c.client, createdAt: c.createdAt || c._id.getTimestamp() }, format);
+    await candidates.updateOne({ _id: c._id }, { $set: { refCode } });
+  }
+  console.log(`${dryRun ? 'Would code' : 'Coded'} ${uncoded.length} candidate(s) with pattern ${format.pattern}`);
+
+  await mongoose.disconnect();
+})().catch(err => {
+  console.error('❌ Reference number backfill failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+// backend/scripts/migrateClients.js
+//
+// One-off migration: candidates used to store `client` as a plain string
+// (Wonderla, Suzen, ...). This creates a Client document for every distinct
+// string value and rewrites each candidate to reference it by id.
+//
+// Safe to run more than once: only string values are touched.
+//
+//   npm run migrate:clients
+require('dotenv').config();
+
+const mongoose  = require('mongoose');
+const connectDB = require('../config/db');
+const Client    = require('../models/Client');
+const Candidate = require('../models/candidate');
+
+(async () => {
+  await connectDB();
+
+  // Work on the raw collection – the schema would try to cast the old strings
+  const candidates = Candidate.collection;
+  const names = await candidates.distinct('client', { client: { $type: 'string' } });
+
+  if (!names.length) {
+    console.log('Nothing to migrate: no string client values found.');
+    return mongoose.disconnect();
+  }
+
+  for (const raw of names) {
+    const name = raw.trim() || 'Others';
+    const client = await Client.findOneAndUpdate(
+      { name },
+      { $setOnInsert: { name, isActive: true } },
+      { upsert: true, new: true }
+    );
+    const { modifiedCount } = await candidates.updateMany(
+      { client: raw },
+      { $set: { client: client._id } }
+    );
+    console.log(`✅ ${name}: ${modifiedCount} candidate(s) -> ${client._id}`);
+  }
+
+  await mongoose.disconnect();
+})().catch(err => {
+  console.error('❌ Client migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// backend/scripts/syncIndexes.js
+//
+// Bring the candidate indexes in line with the model. Mongoose only creates
+// missing indexes at startup; one whose definition changed (e.g. the keyword
+// search index gaining fields) has to be dropped and rebuilt, which is what
+// this does. Run after upgrading when the Candidate indexes changed.
+//
+//   npm run sync:indexes
+require('dotenv').config();
+
+const mongoose  = require('mongoose');
+const connectDB = require('../config/db');
+const Candidate = require('../models/candidate');
+
+(async () => {
+  await connectDB();
+
+  const dropped = await Candidate.syncIndexes();
+  console.log(`Candidate indexes in sync${dropped.length ? `; rebuilt or removed: ${dropped.join(', ')}` : ''}`);
+
+  await mongoose.disconnect();
+})().catch(err => {
+  console.error('❌ Index sync failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,106 @@
+// backend/utils/audit.js
+//
+// Helpers for writing AuditLog entries from controllers. Updates store a
+// per-field before/after diff; deletes store a full snapshot so the record
+// can be restored from /admin/audit.
+
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that change on every save and are not worth diffing
+const IGNORED_FIELDS  = ['_id', '__v', 'createdAt', 'updatedAt', 'updatedBy', 'statusHistory', 'mergeHistory', 'ownerHistory', 'customText', 'resumeText'];
+// Secrets: record that they changed, never the values
+const REDACTED_FIELDS = ['password', 'resetPasswordToken', 'resetPasswordExpires', 'twoFactor'];
+const REDACTED = '[redacted]';
+
+// Plain object copy of a document with populated refs turned back into ids
+// (and Maps, e.g. candidate custom fields, into objects)
+function toPlain(doc) {
+  if (!doc) return {};
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, flattenMaps: true }) : { ...doc };
+}
+
+// JSON-safe value for storing and comparing (ObjectIds and Dates become strings)
+function jsonValue(v) {
+  if (v === undefined || v === null || v === '') return null;
+  return JSON.parse(JSON.stringify(v));
+}
+
+/**
+ * Per-field differences between two versions of a document:
+ *   [{ field, before, after }]
+ */
+function diff(before, after) {
+  const a = toPlain(before);
+  const b = toPlain(after);
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const from = jsonValue(a[field]);
+    const to   = jsonValue(b[field]);
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+    if (REDACTED_FIELDS.includes(field)) {
+      changes.push({ field, before: REDACTED, after: REDACTED });
+    } else {
+      changes.push({ field, before: from, after: to });
+    }
+  });
+  return changes;
+}
+
+// Human-readable name stored alongside the id
+function labelFor(entity, doc) {
+  if (!doc) return undefined;
+  if (entity === 'Candidate') {
+    const ref = doc.refCode || doc.serialRefNumber;
+    return ref ? `${doc.candidateName} (#${ref})` : doc.candidateName;
+  }
+  if (entity === 'User') return doc.username;
+  return undefined;
+}
+
+function buildEntry(req, { entity, action, doc, entityId, changes, snapshot, meta }) {
+  return {
+    actor:       req.user?._id,
+    actorName:   req.user?.username,
+    entity,
+    entityId:    entityId || doc?._id,
+    entityLabel: labelFor(entity, doc),
+    action,
+    changes:     changes && changes.length ? changes : undefined,
+    snapshot,
+    meta,
+    ip:          req.ip
+  };
+}
+
+/**
+ * Write an audit entry. Failures are logged, not thrown, so a broken audit
+ * write never blocks the user's change.
+ */
+async function record(req, entry) {
+  try {
+    await AuditLog.create(buildEntry(req, entry));
+  } catch (err) {
+    console.error('Audit log error:', err);
+  }
+}
+
+/**
+ * Save a restorable snapshot of `doc` before it is deleted. Unlike record()
+ * this throws, so callers can abort the delete if the snapshot wasn't kept.
+ */
+function recordDeletion(req, entity, doc, meta) {
+  const snapshot = toPlain(doc);
+  REDACTED_FIELDS.filter(f => f !== 'password').forEach(f => delete snapshot[f]);
+  return AuditLog.create(buildEntry(req, { entity, action: 'delete', doc, snapshot, meta }));
+}
+
+module.exports = {
+  diff,
+  toPlain,
+  record,
+  recordDeletion
+};
@@ -0,0 +1,212 @@
+// backend/utils/candidateBulk.js
+//
+// Bulk actions on the candidates ticked on the list. An action's input is
+// checked once up front; then each ticked record the user's role lets them
+// see is changed on its own, so one bad record doesn't stop the rest, and
+// every record gets a result line for the summary page. Exports of the
+// ticked rows go through the export download instead (exportController).
+
+const Candidate = require('../models/Candidate');
+const Interview = require('../models/Interview');
+const audit     = require('./audit');
+const tagColors = require('./tags');
+const pipeline  = require('./candidatePipeline');
+const { parseTags } = require('./candidateInput');
+const { formData } = require('./interviewInput');
+const { candidateScope } = require('./permissions');
+const { ownerOf, transferOwnership } = require('./candidateOwnership');
+
+const ACTIONS = {
+  status:    { label: 'Change status',       permission: 'candidate:update' },
+  reassign:  { label: 'Reassign',            permission: 'candidate:reassign' },
+  tag:       { label: 'Tag',                 permission: 'candidate:update' },
+  interview: { label: 'Schedule interviews', permission: 'interview:manage' },
+  delete:    { label: 'Delete',              permission: 'candidate:delete' }
+};
+
+// One result line per ticked record
+const result = (c, ok, message) => ({
+  id:      c._id,
+  name:    c.candidateName,
+  ref:     c.refCode || c.serialRefNumber,
+  ok,
+  message
+});
+
+// Validation messages are safe to show; anything else is logged
+function failure(c, err) {
+  if (err.name === 'ValidationError') return result(c, false, Object.values(err.errors).map(e => e.message).join(' '));
+  console.error(`Bulk action error (${c._id}):`, err);
+  return result(c, false, 'Could not be saved.');
+}
+
+// ─── Input checks (message for the list page, or null) ─────────────────────────
+const CHECKS = {
+  status({ field, value, dropoutReason, dropoutNotes }) {
+    if (!pipeline.STATUS_FIELDS.includes(field)) return 'Choose which status to change.';
+    if (!Candidate.schema.path(field).enumValues.includes(value)) return 'Choose the new status.';
+    if (pipeline.DROPOUT_STATUSES.includes(value)) {
+      if (!pipeline.DROPOUT_REASONS[dropoutReason]) return 'Choose a dropout reason.';
+      if (dropoutReason === 'other' && !String(dropoutNotes || '').trim()) return 'Describe the dropout reason.';
+    }
+    return null;
+  },
+  reassign({ target }) {
+    return target ? null : 'Pick someone whose candidates you can see.';
+  },
+  tag({ tags, mode, color }) {
+    if (!['add', 'remove'].includes(mode)) return 'Choose whether to add or remove the tags.';
+    if (color && !tagColors.COLORS[color]) return 'Choose one of the listed colours.';
+    return parseTags(tags).length ? null : 'Enter at least one tag.';
+  },
+  interview(input) {
+    const { start, end, interviewer } = formData(input);
+    if (!start || !end) return 'Enter a date, start time and end time.';
+    if (end <= start) return 'Interview must end after it starts.';
+    return String(interviewer.name || '').trim() ? null : 'Enter the interviewer\'s name.';
+  },
+  delete() {
+    return null;
+  }
+};
+
+// ─── Actions (resolve to result lines) ─────────────────────────────────────────
+const APPLY = {
+  // Same pipeline rules as the edit form, record by record
+  async status(req, candidates, { field, value, dropoutReason, dropoutNotes, note }) {
+    const update = { [field]: value };
+    if (pipeline.DROPOUT_STATUSES.includes(value)) Object.assign(update, { dropoutReason, dropoutNotes });
+
+    const results = [];
+    for (const c of candidates) {
+      if (c[field] === value) {
+        results.push(result(c, true, `Already ${value}.`));
+        continue;
+      }
+      const next = pipeline.nextStatuses(c, update);
+      const problem = pipeline.checkTransition(c, next);
+      if (problem) {
+        results.push(result(c, false, problem));
+        continue;
+      }
+      try {
+        const before = audit.toPlain(c);
+        pipeline.recordChanges(c, next, req.user._id, String(note || '').trim());
+        c.set({ ...update, updatedBy: req.user._id });
+        await c.save();
+        await audit.record(req, { entity: 'Candidate', action: 'update', doc: c, changes: audit.diff(before, c), meta: { bulk: true } });
+        results.push(result(c, true, `${before[field] || 'None'} → ${value}.`));
+      } catch (err) {
+        results.push(failure(c, err));
+      }
+    }
+    return results;
+  },
+
+  async reassign(req, candidates, { target, reason }) {
+    const moved = new Set((await transferOwnership(req, candidates, target._id, String(reason || '').trim() || undefined))
+      .map(c => String(c._id)));
+    return candidates.map(c => result(c, true, moved.has(String(c._id))
+      ? `Moved to ${target.username}.`
+      : `Already with ${target.username}.`));
+  },
+
+  // Written straight to the collection (like reassigning), so older records
+  // that no longer pass today's validators can still be tagged. A colour,
+  // when picked, applies to the tags everywhere.
+  async tag(req, candidates, { tags, mode, color }) {
+    const picked = parseTags(tags);
+    if (color && mode === 'add') await tagColors.setColor(picked, color, req.user._id);
+    const results = [];
+    for (const c of candidates) {
+      const before = [...(c.tags || [])];
+      const after = mode === 'add'
+        ? [...new Set([...before, ...picked])]
+        : before.filter(t => !picked.includes(t));
+      if (after.length === before.length) {
+        results.push(result(c, true, 'No change.'));
+        continue;
+      }
+      try {
+        await Candidate.updateOne({ _id: c._id }, { $set: { tags: after, updatedBy: req.user._id } });
+        await audit.record(req, {
+          entity:  'Candidate',
+          action:  'update',
+          doc:     c,
+          changes: [{ field: 'tags', before, after }],
+          meta:    { bulk: true }
+        });
+        results.push(result(c, true, after.length ? `Tags: ${after.join(', ')}.` : 'No tags left.'));
+      } catch (err) {
+        results.push(failure(c, err));
+      }
+    }
+    return results;
+  },
+
+  // One interview per candidate in the same slot (e.g. a client's interview
+  // day); only the candidate's own interviews count as clashes, since the
+  // interviewer is meant to see them all
+  async interview(req, candidates, input) {
+    const data = formData(input);
+    const results = [];
+    for (const c of candidates) {
+      try {
+        const clash = await Interview.findConflicts({ start: data.start, end: data.end, candidate: c._id });
+        if (clash.length) {
+          results.push(result(c, false, 'Already has an interview at that time.'));
+          continue;
+        }
+        const rounds = await Interview.countDocuments({ candidate: c._id, outcome: { $ne: 'Cancelled' } });
+        await Interview.create({
+          ...data,
+          round:     rounds + 1,
+          candidate: c._id,
+          client:    c.client,
+          job:       c.job,
+          recruiter: ownerOf(c),
+          createdBy: req.user._id
+        });
+        results.push(result(c, true, `Round ${rounds + 1} scheduled.`));
+      } catch (err) {
+        results.push(failure(c, err));
+      }
+    }
+    return results;
+  },
+
+  async delete(req, candidates) {
+    const results = [];
+    for (const c of candidates) {
+      try {
+        await c.moveToTrash(req.user._id);
+        await audit.record(req, { entity: 'Candidate', action: 'trash', doc: c, meta: { bulk: true } });
+        results.push(result(c, true, 'Moved to the trash.'));
+      } catch (err) {
+        results.push(failure(c, err));
+      }
+    }
+    return results;
+  }
+};
+
+/**
+ * Run `action` over the candidates with `ids` for req.user. Resolves to
+ * { error } when the input is unusable (nothing was changed), else to
+ * { results } in the order ticked; ids the user can't see get a failed line.
+ */
+async function run(req, action, ids, input) {
+  const error = CHECKS[action](input);
+  if (error) return { error };
+
+  const found = await Candidate.find({ _id: { $in: ids }, ...(await candidateScope(req.user)) });
+  const byId = new Map(found.map(c => [String(c._id), c]));
+  const candidates = ids.map(id => byId.get(String(id))).filter(Boolean);
+
+  const done = new Map((await APPLY[action](req, candidates, input)).map(r => [String(r.id), r]));
+  return {
+    results: ids.map(id => done.get(String(id)) || { id, ok: false, message: 'Not found, or not one of your candidates.' })
+  };
+}
+
+module.exports = { ACTIONS, run };
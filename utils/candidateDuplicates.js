@@ -0,0 +1,118 @@
+// backend/utils/candidateDuplicates.js
+//
+// Finds existing candidates that look like the same person: same mobile,
+// same email, or a near-identical name in the same location.
+
+const Candidate = require('../models/Candidate');
+
+const NAME_SIMILARITY = 0.85;   // 1 = identical after normalizing
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// "9876 543 210", "+91-9876543210", "09876543210" → "9876543210"
+function normalizeMobile(v) {
+  let digits = String(v || '').replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0'))  digits = digits.slice(1);
+  return digits;
+}
+
+const normalizeEmail = v => String(v || '').trim().toLowerCase();
+const normalizeName  = v => String(v || '').toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim();
+
+// Levenshtein distance turned into a 0..1 similarity
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+// Why `other` looks like `data`: a list such as ['mobile', 'name + location']
+function matchReasons(data, other) {
+  const reasons = [];
+  const mobile = normalizeMobile(data.mobile);
+  const email  = normalizeEmail(data.email);
+  if (mobile && normalizeMobile(other.mobile) === mobile) reasons.push('mobile');
+  if (email && normalizeEmail(other.email) === email)     reasons.push('email');
+  if (data.location && other.location &&
+      normalizeName(data.location) === normalizeName(other.location) &&
+      similarity(normalizeName(data.candidateName), normalizeName(other.candidateName)) >= NAME_SIMILARITY) {
+    reasons.push('name + location');
+  }
+  return reasons;
+}
+
+// Query that narrows the search to records sharing a mobile, email or location
+function candidateQuery(list, excludeIds = []) {
+  const mobiles   = [...new Set(list.map(d => normalizeMobile(d.mobile)).filter(Boolean))];
+  const emails    = [...new Set(list.map(d => normalizeEmail(d.email)).filter(Boolean))];
+  const locations = [...new Set(list.map(d => (d.location || '').trim()).filter(Boolean))];
+
+  const or = [];
+  if (mobiles.length)   or.push({ mobile:   { $in: mobiles } });
+  if (emails.length)    or.push({ email:    { $in: emails } });
+  if (locations.length) or.push({ location: { $in: locations } });
+  if (!or.length) return null;
+
+  const filter = { $or: or };
+  if (excludeIds.length) filter._id = { $nin: excludeIds };
+  return Candidate.find(filter)
+    .select('serialRefNumber candidateName mobile email location owner createdBy finalStatus')
+    .populate('owner', 'username')
+    .collation(CASE_INSENSITIVE)
+    .lean();
+}
+
+/**
+ * Existing candidates that look like `data` (submitted form values).
+ * Returns [{ candidate, reasons }], earliest record first.
+ */
+async function findDuplicates(data, { excludeId } = {}) {
+  const query = candidateQuery([data], excludeId ? [excludeId] : []);
+  if (!query) return [];
+  const rows = await query;
+  return rows
+    .map(candidate => ({ candidate, reasons: matchReasons(data, candidate) }))
+    .filter(m => m.reasons.length)
+    .sort((a, b) => (a.candidate.serialRefNumber || 0) - (b.candidate.serialRefNumber || 0));
+}
+
+/**
+ * Bulk version for imports: one query for every row, plus rows that repeat
+ * an earlier row in the same batch. Returns a Map of list index → reasons
+ * text, e.g. "Duplicate of #100023 (mobile)".
+ */
+async function findDuplicatesInBatch(list) {
+  const found = new Map();
+  const query = candidateQuery(list);
+  const existing = query ? await query : [];
+
+  list.forEach((data, i) => {
+    const hit = existing.find(c => matchReasons(data, c).length);
+    if (hit) {
+      found.set(i, `Duplicate of #${hit.serialRefNumber} (${matchReasons(data, hit).join(', ')})`);
+      return;
+    }
+    const earlier = list.slice(0, i).findIndex(d => matchReasons(data, d).length);
+    if (earlier !== -1) {
+      found.set(i, `Repeats an earlier row in this file (${matchReasons(data, list[earlier]).join(', ')})`);
+    }
+  });
+  return found;
+}
+
+module.exports = {
+  normalizeMobile,
+  normalizeEmail,
+  similarity,
+  matchReasons,
+  findDuplicates,
+  findDuplicatesInBatch
+};
@@ -0,0 +1,250 @@
+// backend/utils/candidateExport.js
+//
+// Candidate exports: which columns can be picked, how each value is shown
+// and the XLSX / CSV / PDF writers. Columns come from the Candidate schema,
+// so a field added to the model can be exported without touching this file.
+
+const ExcelJS     = require('exceljs');
+const PDFDocument = require('pdfkit');
+const Candidate   = require('../models/Candidate');
+const customFields = require('./customFields');
+const { STAGES, DROPOUT_REASONS } = require('./candidatePipeline');
+
+const FORMATS = {
+  xlsx: { label: 'Excel (.xlsx)', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv:  { label: 'CSV (.csv)',    type: 'text/csv; charset=utf-8' },
+  pdf:  { label: 'PDF (.pdf)',    type: 'application/pdf' }
+};
+
+// Schema paths that are never offered as columns
+const HIDDEN_PATHS = ['_id', '__v', 'statusHistory', 'mergeHistory', 'ownerHistory', 'resumePath', 'resumeText', 'custom', 'customText'];
+
+// Friendlier headings than the schema path names
+const LABELS = {
+  serialRefNumber:     'Serial No.',
+  refCode:             'Ref. No.',
+  dateOfCall:          'Date of Call',
+  interviewType:       'Interview Type',
+  sourceType:          'Source Type',
+  candidateName:       'Candidate Name',
+  companyname:         'Current Company',
+  job:                 'Job Requisition',
+  hrComments:          'HR Comments',
+  hrStatus:            'HR Status',
+  clientInterviewDate: 'Client Interview Date',
+  interviewAttended:   'Interview Attended',
+  notAttendedComments: 'Not Attended Comments',
+  clientStatus:        'Client Status',
+  clientComments:      'Client Comments',
+  finalStatus:         'Final Status',
+  dropoutReason:       'Dropout Reason',
+  dropoutNotes:        'Dropout Notes',
+  'offer.offeredCtc':          'Offered CTC',
+  'offer.offerDate':           'Offer Date',
+  'offer.expectedJoiningDate': 'Expected Joining Date',
+  'offer.actualJoiningDate':   'Actual Joining Date',
+  resume:              'Resume File',
+  owner:               'Owner',
+  createdBy:           'Created By',
+  updatedBy:           'Updated By',
+  createdAt:           'Created At',
+  updatedAt:           'Updated At'
+};
+
+// What to show for a populated reference
+const REF_DISPLAY = { Client: 'name', Job: 'title', User: 'username' };
+
+// The old fixed export, used when nothing has been picked yet
+const DEFAULT_COLUMNS = [
+  'refCode', 'dateOfCall', 'client', 'candidateName', 'mobile', 'email', 'position',
+  'hrStatus', 'clientStatus', 'finalStatus', 'owner', 'createdBy', 'createdAt'
+];
+
+const humanize = key => key
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .replace(/^./, c => c.toUpperCase());
+
+/**
+ * Every exportable column: [{ key, label, kind, ref }] in schema order.
+ * kind is one of text | number | date | datetime | ref | stage | reason | list
+ * | boolean. Sub-documents (e.g. offer) contribute one column per field;
+ * custom fields come last, from the cache (call customFields.loadFields()
+ * first).
+ */
+function exportFields() {
+  const fields = [];
+  const add = (key, type) => {
+    if (HIDDEN_PATHS.includes(key) || key.endsWith('._id')) return;
+    if (type.instance === 'Embedded') {
+      type.schema.eachPath((sub, subType) => add(`${key}.${sub}`, subType));
+      return;
+    }
+    let kind = 'text';
+    if (key === 'stage')                              kind = 'stage';
+    else if (key === 'dropoutReason')                 kind = 'reason';
+    else if (type.instance === 'Date')                kind = ['createdAt', 'updatedAt'].includes(key) ? 'datetime' : 'date';
+    else if (type.instance === 'Number')              kind = 'number';
+    else if (type.instance === 'Array')               kind = 'list';
+    else if (type.instance === 'ObjectId' && type.options.ref) kind = 'ref';
+    fields.push({ key, label: LABELS[key] || humanize(key.split('.').pop()), kind, ref: type.options.ref });
+  };
+  Candidate.schema.eachPath((key, type) => {
+    if (!key.includes('.')) add(key, type);
+  });
+  return [...fields, ...customFields.columns()];
+}
+
+/**
+ * Keep only known column keys, in the order given, without repeats.
+ * Falls back to DEFAULT_COLUMNS when nothing valid is left.
+ */
+function pickColumns(keys) {
+  const known = new Set(exportFields().map(f => f.key));
+  const list = [...new Set([].concat(keys || []).map(String))].filter(k => known.has(k));
+  return list.length ? list : DEFAULT_COLUMNS.filter(k => known.has(k));
+}
+
+// Populate paths needed for the chosen columns
+function populateFor(columns) {
+  return exportFields()
+    .filter(f => f.kind === 'ref' && columns.includes(f.key))
+    .map(f => ({ path: f.key, select: REF_DISPLAY[f.ref] || '_id' }));
+}
+
+// ─── Formatting ────────────────────────────────────────────────────────────────
+const pad2 = n => String(n).padStart(2, '0');
+
+// Calendar dates are stored as UTC midnight (from <input type="date">)
+const formatDate = d => `${pad2(d.getUTCDate())}/${pad2(d.getUTCMonth() + 1)}/${d.getUTCFullYear()}`;
+
+// Timestamps are shown in server local time
+const formatDateTime = d =>
+  `${pad2(d.getDate())}/${pad2(d.getMonth() + 1)}/${d.getFullYear()} ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+
+/**
+ * Display value of one column for one candidate (always a string or number).
+ */
+function displayValue(candidate, field) {
+  // custom values sit in a Map on documents (a plain object when lean)
+  const v = field.key.split('.').reduce((obj, k) => (obj == null ? obj : obj instanceof Map ? obj.get(k) : obj[k]), candidate);
+  if (v === null || v === undefined || v === '') return '';
+  switch (field.kind) {
+    case 'date':     return v instanceof Date && !isNaN(v) ? formatDate(v) : '';
+    case 'datetime': return v instanceof Date && !isNaN(v) ? formatDateTime(v) : '';
+    case 'number':   return v;
+    case 'stage':    return STAGES[v] || v;
+    case 'reason':   return DROPOUT_REASONS[v] || v;
+    case 'list':     return [...v].join(', ');
+    case 'boolean':  return v ? 'Yes' : 'No';
+    case 'ref':      return (typeof v === 'object' && v[REF_DISPLAY[field.ref]]) || String(v._id || v);
+    default:         return String(v);
+  }
+}
+
+/**
+ * { headers, rows } for the chosen columns, ready for any writer.
+ */
+function buildTable(candidates, columns) {
+  const byKey = Object.fromEntries(exportFields().map(f => [f.key, f]));
+  const fields = columns.map(k => byKey[k]).filter(Boolean);
+  return {
+    fields,
+    headers: fields.map(f => f.label),
+    rows:    candidates.map(c => fields.map(f => displayValue(c, f)))
+  };
+}
+
+// ─── Writers (each streams to `out`) ───────────────────────────────────────────
+async function writeXlsx(table, out) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('Candidates');
+  ws.columns = table.fields.map((f, i) => ({
+    header: f.label,
+    key:    f.key,
+    width:  Math.min(Math.max(f.label.length, ...table.rows.map(r => String(r[i]).length), 10) + 2, 50)
+  }));
+  ws.getRow(1).font = { bold: true };
+  ws.views = [{ state: 'frozen', ySplit: 1 }];
+  table.rows.forEach(r => ws.addRow(r));
+  await wb.xlsx.write(out);
+}
+
+async function writeCsv(table, out) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('Candidates');
+  ws.addRow(table.headers);
+  table.rows.forEach(r => ws.addRow(r));
+  out.write('\uFEFF');   // BOM so Excel opens UTF-8 names correctly
+  await wb.csv.write(out);
+}
+
+function writePdf(table, out, { title = 'Candidates' } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    doc.on('error', reject);
+    out.on('finish', resolve);
+    doc.pipe(out);
+
+    const left     = doc.page.margins.left;
+    const width    = doc.page.width - left - doc.page.margins.right;
+    const bottom   = doc.page.height - doc.page.margins.bottom;
+    const colWidth = width / Math.max(table.headers.length, 1);
+    const fontSize = table.headers.length > 12 ? 6 : 8;
+    const padding  = 3;
+
+    doc.fontSize(14).font('Helvetica-Bold').text(title, { align: 'left' });
+    doc.fontSize(8).font('Helvetica').fillColor('#555')
+      .text(`Generated ${formatDateTime(new Date())} · ${table.rows.length} record(s)`);
+    doc.fillColor('#000').moveDown(0.5);
+
+    const rowHeight = (cells, font) => {
+      doc.font(font).fontSize(fontSize);
+      return Math.max(...cells.map(c => doc.heightOfString(String(c), { width: colWidth - padding * 2 })), fontSize) + padding * 2;
+    };
+
+    const drawRow = (cells, { header = false, shade = false } = {}) => {
+      const font = header ? 'Helvetica-Bold' : 'Helvetica';
+      const h = rowHeight(cells, font);
+      if (doc.y + h > bottom) {
+        doc.addPage();
+        if (!header) drawRow(table.headers, { header: true });
+      }
+      const y = doc.y;
+      if (header || shade) doc.rect(left, y, width, h).fill(header ? '#e5e7eb' : '#f9fafb');
+      doc.fillColor('#000').font(font).fontSize(fontSize);
+      cells.forEach((c, i) => {
+        doc.text(String(c), left + i * colWidth + padding, y + padding, { width: colWidth - padding * 2 });
+      });
+      doc.y = y + h;
+    };
+
+    drawRow(table.headers, { header: true });
+    table.rows.forEach((r, i) => drawRow(r, { shade: i % 2 === 1 }));
+    doc.end();
+  });
+}
+
+const WRITERS = { xlsx: writeXlsx, csv: writeCsv, pdf: writePdf };
+
+/**
+ * Send `table` as a download in `format` (xlsx | csv | pdf).
+ */
+async function sendExport(res, table, format) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res
+    .header('Content-Type', FORMATS[format].type)
+    .header('Content-Disposition', `attachment; filename="candidates-${stamp}.${format}"`);
+  await WRITERS[format](table, res);
+  if (!res.writableEnded) res.end();
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_COLUMNS,
+  exportFields,
+  pickColumns,
+  populateFor,
+  displayValue,
+  buildTable,
+  sendExport
+};
@@ -0,0 +1,365 @@
+// backend/utils/candidateImport.js
+//
+// Bulk candidate import from .xlsx / .csv sheets. An upload is parked under
+// tmp/imports/<token> between the mapping, preview and commit steps; rows are
+// re-read and re-validated at every step so nothing stale is ever saved.
+
+const fs        = require('fs');
+const path      = require('path');
+const crypto    = require('crypto');
+const ExcelJS   = require('exceljs');
+const Candidate = require('../models/Candidate');
+const Client    = require('../models/Client');
+const pipeline  = require('./candidatePipeline');
+const { normalizeMobile } = require('./candidateDuplicates');
+
+const IMPORT_DIR     = path.join(__dirname, '../tmp/imports');
+const ALLOWED_EXTS   = ['.xlsx', '.csv'];
+const MAX_ROWS       = 2000;
+const KEEP_UPLOAD_MS = 24 * 60 * 60 * 1000;
+
+// Candidate fields that can be filled from a sheet column
+const IMPORT_FIELDS = [
+  { key: 'dateOfCall',    label: 'Date of Call',    aliases: ['date', 'call date'] },
+  { key: 'interviewType', label: 'Interview Type' },
+  { key: 'client',        label: 'Client',          aliases: ['client name'] },
+  { key: 'sourceType',    label: 'Source Type' },
+  { key: 'source',        label: 'Source' },
+  { key: 'candidateName', label: 'Candidate Name',  aliases: ['name', 'full name'] },
+  { key: 'mobile',        label: 'Mobile',          aliases: ['phone', 'mobile number', 'contact number'] },
+  { key: 'email',         label: 'Email',           aliases: ['email id', 'e-mail'] },
+  { key: 'gender',        label: 'Gender' },
+  { key: 'age',           label: 'Age' },
+  { key: 'location',      label: 'Location',        aliases: ['city'] },
+  { key: 'qualification', label: 'Qualification',   aliases: ['education'] },
+  { key: 'experience',    label: 'Experience' },
+  { key: 'companyname',   label: 'Current Company', aliases: ['company', 'company name'] },
+  { key: 'position',      label: 'Position',        aliases: ['role', 'designation'] },
+  { key: 'department',    label: 'Department' },
+  { key: 'hrStatus',      label: 'HR Status' },
+  { key: 'hrComments',    label: 'HR Comments' },
+  { key: 'clientStatus',  label: 'Client Status' },
+  { key: 'finalStatus',   label: 'Final Status' },
+  { key: 'dropoutReason', label: 'Dropout Reason',  aliases: ['reason'] },
+  { key: 'dropoutNotes',  label: 'Dropout Notes' },
+  { key: 'comments',      label: 'Comments',        aliases: ['remarks'] }
+];
+
+const FIELD_LABELS = Object.fromEntries(IMPORT_FIELDS.map(f => [f.key, f.label]));
+
+const normalize = s => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// ─── Upload storage ────────────────────────────────────────────────────────────
+const isToken = token => /^[a-f0-9]{32}$/.test(String(token));
+const metaPath = token => path.join(IMPORT_DIR, `${token}.json`);
+const lockPath = token => path.join(IMPORT_DIR, `${token}.lock`);
+
+// Drop uploads older than a day
+function purgeOld() {
+  if (!fs.existsSync(IMPORT_DIR)) return;
+  const cutoff = Date.now() - KEEP_UPLOAD_MS;
+  fs.readdirSync(IMPORT_DIR).forEach(name => {
+    const file = path.join(IMPORT_DIR, name);
+    if (fs.statSync(file).mtimeMs < cutoff) fs.rmSync(file, { force: true });
+  });
+}
+
+/**
+ * Park an uploaded sheet (multer memory file) and return its token.
+ */
+function saveUpload(file, userId) {
+  purgeOld();
+  fs.mkdirSync(IMPORT_DIR, { recursive: true });
+  const token = crypto.randomBytes(16).toString('hex');
+  const ext   = path.extname(file.originalname).toLowerCase();
+  fs.writeFileSync(path.join(IMPORT_DIR, token + ext), file.buffer);
+  saveMeta(token, { ext, originalName: file.originalname, userId: String(userId), mapping: null });
+  return token;
+}
+
+/**
+ * Metadata for a parked upload, or null if it is unknown, expired or
+ * belongs to another user.
+ */
+function loadUpload(token, userId) {
+  if (!isToken(token) || !fs.existsSync(metaPath(token))) return null;
+  const meta = JSON.parse(fs.readFileSync(metaPath(token), 'utf8'));
+  if (meta.userId !== String(userId)) return null;
+  meta.token    = token;
+  meta.filePath = path.join(IMPORT_DIR, token + meta.ext);
+  return fs.existsSync(meta.filePath) ? meta : null;
+}
+
+function saveMeta(token, meta) {
+  const { filePath, token: _t, ...rest } = meta;
+  fs.writeFileSync(metaPath(token), JSON.stringify(rest));
+}
+
+/**
+ * Claim an upload for committing. Creating the lock file is atomic, so of
+ * two submissions (double click, second tab) only one gets true.
+ */
+function claimCommit(token) {
+  try {
+    fs.writeFileSync(lockPath(token), new Date().toISOString(), { flag: 'wx' });
+    return true;
+  } catch (err) {
+    if (err.code === 'EEXIST') return false;
+    throw err;
+  }
+}
+
+// Give up a claim when nothing was saved, so the import can be retried
+function releaseCommit(token) {
+  fs.rmSync(lockPath(token), { force: true });
+}
+
+// ─── Reading sheets ────────────────────────────────────────────────────────────
+// exceljs cell values can be rich text, hyperlinks or formulas
+function cellValue(v) {
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) return v;
+  if (typeof v === 'object') {
+    if (v.result !== undefined) return cellValue(v.result);
+    if (v.richText) return v.richText.map(t => t.text).join('');
+    if (v.text !== undefined) return cellValue(v.text);
+    return '';
+  }
+  return typeof v === 'string' ? v.trim() : v;
+}
+
+/**
+ * Read the first worksheet: { headers: [...], rows: [{ rowNumber, values }] }
+ * where `values` is keyed by header.
+ */
+async function readSheet(filePath, ext) {
+  const wb = new ExcelJS.Workbook();
+  let ws;
+  if (ext === '.csv') {
+    // keep every cell as text; dates and numbers are parsed per field below
+    ws = await wb.csv.readFile(filePath, { map: v => v });
+  } else {
+    await wb.xlsx.readFile(filePath);
+    ws = wb.worksheets[0];
+  }
+  if (!ws || ws.rowCount < 1) return { headers: [], rows: [] };
+
+  const headers = [];
+  ws.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    headers[col - 1] = String(cellValue(cell.value) || `Column ${col}`);
+  });
+
+  const rows = [];
+  for (let r = 2; r <= ws.rowCount && rows.length < MAX_ROWS; r++) {
+    const row = ws.getRow(r);
+    const values = {};
+    let empty = true;
+    headers.forEach((h, i) => {
+      const v = cellValue(row.getCell(i + 1).value);
+      if (v !== '') empty = false;
+      values[h] = v;
+    });
+    if (!empty) rows.push({ rowNumber: r, values });
+  }
+  return { headers: headers.filter(Boolean), rows, truncated: ws.rowCount - 1 > MAX_ROWS };
+}
+
+/**
+ * Suggest a column for each field by matching header text against the
+ * field key, label and aliases. `saved` (a stored mapping) wins where its
+ * column exists in this sheet.
+ */
+function guessMapping(headers, saved = {}) {
+  const byNorm = {};
+  headers.forEach(h => { byNorm[normalize(h)] = h; });
+
+  const mapping = {};
+  IMPORT_FIELDS.forEach(f => {
+    if (saved[f.key] && headers.includes(saved[f.key])) {
+      mapping[f.key] = saved[f.key];
+      return;
+    }
+    const names = [f.key, f.label, ...(f.aliases || [])].map(normalize);
+    const hit = names.find(n => byNorm[n]);
+    if (hit) mapping[f.key] = byNorm[hit];
+  });
+  return mapping;
+}
+
+// ─── Converting and validating rows ────────────────────────────────────────────
+// Accepts Date cells, Excel serial numbers, dd/mm/yyyy and ISO strings
+function parseDate(v) {
+  if (v instanceof Date) return v;
+  if (typeof v === 'number') return new Date(Math.round((v - 25569) * 86400000));
+  const s = String(v).trim();
+  const dmy = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (dmy) {
+    const year = dmy[3].length === 2 ? 2000 + Number(dmy[3]) : Number(dmy[3]);
+    const d = new Date(Date.UTC(year, dmy[2] - 1, dmy[1]));
+    return d.getUTCDate() === Number(dmy[1]) ? d : null;
+  }
+  const d = new Date(s);
+  return isNaN(d) ? null : d;
+}
+
+// Match enum values case-insensitively ("select" → "Select")
+function matchEnum(field, v) {
+  const allowed = Candidate.schema.path(field).enumValues || [];
+  return allowed.find(a => normalize(a) === normalize(v)) || v;
+}
+
+// Dropout reasons may be given by code ("better-offer") or label
+function matchDropoutReason(v) {
+  const found = Object.entries(pipeline.DROPOUT_REASONS)
+    .find(([code, label]) => normalize(code) === normalize(v) || normalize(label) === normalize(v));
+  return found ? found[0] : v;
+}
+
+/**
+ * Everything convertRows() needs from the database, loaded once per run.
+ */
+async function loadLookups() {
+  const clients = await Client.find().select('_id name').lean();
+  const clientIds = {};
+  clients.forEach(c => { clientIds[normalize(c.name)] = c._id; });
+  return { clientIds };
+}
+
+/**
+ * Turn sheet rows into candidate data and validate it with the Candidate
+ * schema and the status pipeline. Returns { valid, invalid }:
+ *   valid:   [{ rowNumber, data }]
+ *   invalid: [{ rowNumber, values, errors: [...] }]
+ */
+function convertRows(rows, mapping, { userId, clientIds }) {
+  const valid = [];
+  const invalid = [];
+
+  rows.forEach(({ rowNumber, values }) => {
+    const data = { createdBy: userId, owner: userId };
+    const errors = [];
+
+    Object.entries(mapping).forEach(([field, header]) => {
+      if (!header || !FIELD_LABELS[field]) return;
+      const raw = values[header];
+      if (raw === '' || raw === undefined || raw === null) return;
+
+      switch (field) {
+        case 'dateOfCall': {
+          const d = parseDate(raw);
+          if (d) data.dateOfCall = d;
+          else errors.push(`Date of Call: "${raw}" is not a date (use dd/mm/yyyy)`);
+          break;
+        }
+        case 'client': {
+          const id = clientIds[normalize(raw)];
+          if (id) data.client = id;
+          else errors.push(`Client: "${raw}" is not a known client`);
+          break;
+        }
+        case 'mobile':
+          data.mobile = normalizeMobile(raw);
+          break;
+        case 'age':
+          data.age = Number(raw);
+          break;
+        case 'interviewType':
+        case 'sourceType':
+        case 'gender':
+        case 'hrStatus':
+        case 'clientStatus':
+        case 'finalStatus':
+          data[field] = matchEnum(field, raw);
+          break;
+        case 'dropoutReason':
+          data.dropoutReason = matchDropoutReason(raw);
+          break;
+        default:
+          data[field] = String(raw);
+      }
+    });
+
+    const result = new Candidate(data).validateSync();
+    if (result) {
+      Object.values(result.errors).forEach(e => {
+        const label = FIELD_LABELS[e.path] || e.path;
+        if (e.kind === 'required') {
+          // a failed client/date lookup is already reported above
+          if (!errors.some(m => m.startsWith(`${label}:`))) errors.push(`${label}: required`);
+        } else if (e.kind === 'enum') {
+          errors.push(`${label}: "${e.value}" is not one of ${e.properties.enumValues.join(', ')}`);
+        } else if (e.name === 'CastError') {
+          errors.push(`${label}: "${e.value}" is not valid`);
+        } else {
+          errors.push(`${label}: ${e.message}`);
+        }
+      });
+    }
+
+    const problem = pipeline.checkConsistency(data);
+    if (problem) errors.push(problem);
+
+    if (errors.length) invalid.push({ rowNumber, values, errors });
+    else valid.push({ rowNumber, data });
+  });
+
+  return { valid, invalid };
+}
+
+/**
+ * Custom field values of one row (see customFields.applyCustomValues),
+ * keyed by field key: each field is read from the column headed with its
+ * label or key. Date cells become yyyy-mm-dd as the form sends them, and
+ * "Yes" counts for a Yes / No field.
+ */
+function customInput(values, fields) {
+  const byNorm = {};
+  Object.keys(values).forEach(h => { byNorm[normalize(h)] = h; });
+
+  const input = {};
+  fields.forEach(f => {
+    const header = byNorm[normalize(f.label)] || byNorm[normalize(f.key)];
+    if (!header) return;
+    let v = values[header];
+    if (v instanceof Date) v = v.toISOString().slice(0, 10);
+    else if (f.type === 'multiselect' && typeof v === 'string') v = v.split(',').map(o => o.trim());
+    else if (f.type === 'boolean' && typeof v === 'string') v = v.trim().toLowerCase();
+    input[f.key] = v;
+  });
+  return input;
+}
+
+/**
+ * Rejected rows as an .xlsx workbook: the row number, the reasons and the
+ * original columns, so the sheet can be fixed and uploaded again.
+ */
+function errorReport(headers, invalid) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('Rejected Rows');
+  ws.columns = [
+    { header: 'Row',    key: '__row',    width: 8 },
+    { header: 'Errors', key: '__errors', width: 60 },
+    ...headers.map(h => ({ header: h, key: h, width: 18 }))
+  ];
+  invalid.forEach(r => {
+    ws.addRow({ __row: r.rowNumber, __errors: r.errors.join('; '), ...r.values });
+  });
+  return wb;
+}
+
+module.exports = {
+  ALLOWED_EXTS,
+  IMPORT_FIELDS,
+  MAX_ROWS,
+  saveUpload,
+  loadUpload,
+  saveMeta,
+  claimCommit,
+  releaseCommit,
+  readSheet,
+  guessMapping,
+  loadLookups,
+  convertRows,
+  customInput,
+  errorReport
+};
@@ -0,0 +1,101 @@
+// backend/utils/candidateInput.js
+//
+// Turning submitted candidate data (HTML form or JSON API body) into
+// something safe to save. Shared by the web and API controllers.
+
+const Job    = require('../models/Job');
+const Client = require('../models/Client');
+
+// The only fields taken from a submitted form. Everything else – numbers,
+// history, owner, audit and trash fields, the resume (set from the uploaded
+// file) – is maintained by the server, including fields plugins add later.
+// Custom field values are checked separately (customFields.applyCustomValues).
+const EDITABLE_FIELDS = [
+  'dateOfCall', 'interviewType', 'client', 'sourceType', 'source',
+  'candidateName', 'mobile', 'email', 'gender', 'age', 'location',
+  'qualification', 'experience', 'companyname', 'job', 'position', 'department',
+  'hrComments', 'hrStatus', 'comments', 'clientInterviewDate', 'interviewAttended',
+  'notAttendedComments', 'clientStatus', 'clientComments', 'finalStatus',
+  'offer', 'dropoutReason', 'dropoutNotes', 'tags'
+];
+
+// Fields that identify a person; editing one of them re-runs the duplicate check
+const IDENTITY_FIELDS = ['mobile', 'email', 'candidateName', 'location'];
+
+// The editable fields present in a submitted body
+function formFields(body) {
+  const data = {};
+  EDITABLE_FIELDS.forEach(f => { if (f in body) data[f] = body[f]; });
+  if ('tags' in data) data.tags = parseTags(data.tags);
+  return data;
+}
+
+// Optional selects where an empty value means "not set"
+const OPTIONAL_SELECTS = ['clientStatus', 'finalStatus', 'dropoutReason'];
+
+// Empty strings clear optional selects and offer fields; an offer with
+// nothing left in it is removed altogether
+function clearEmptyFields(data) {
+  OPTIONAL_SELECTS.forEach(f => { if (data[f] === '') data[f] = undefined; });
+  if (data.offer && typeof data.offer === 'object') {
+    const offer = {};
+    Object.entries(data.offer).forEach(([k, v]) => {
+      if (v !== '' && v !== null && v !== undefined) offer[k] = v;
+    });
+    data.offer = Object.keys(offer).length ? offer : undefined;
+  } else if (data.offer === '') {
+    data.offer = undefined;
+  }
+}
+
+// Copy client, position title and (if blank) department from the chosen job
+async function applyJob(data) {
+  if (!data.job) {
+    delete data.job;
+    return;
+  }
+  const job = await Job.findById(data.job).lean();
+  if (!job) {
+    const err = new Error('Selected job requisition not found');
+    err.status = 422;
+    throw err;
+  }
+  data.client   = job.client;
+  data.position = job.title;
+  if (!data.department) data.department = job.department;
+}
+
+// Does `update` change any of the identity fields of `candidate`?
+function identityChanged(candidate, update) {
+  return IDENTITY_FIELDS.some(f => f in update && (update[f] || '') !== (candidate[f] || ''));
+}
+
+// Comma-separated tags → tidy list: "Priority, Walk-in  drive" → ['priority', 'walk-in drive']
+const MAX_TAG_LENGTH = 30;
+function parseTags(input) {
+  const tags = [].concat(input || []).join(',').split(',')
+    .map(t => t.trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// Escape user input for use inside a RegExp
+const escapeRegex = s => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "100023" matches the serial number, anything else the formatted code
+function refFilter(ref) {
+  ref = String(ref).trim();
+  if (/^\d+$/.test(ref)) return { serialRefNumber: Number(ref) };
+  return { refCode: new RegExp(`^${escapeRegex(ref)}$`, 'i') };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  formFields,
+  clearEmptyFields,
+  applyJob,
+  identityChanged,
+  parseTags,
+  escapeRegex,
+  refFilter
+};
@@ -0,0 +1,120 @@
+// backend/utils/candidateMerge.js
+//
+// Combines two Candidate documents that turned out to be the same person.
+// The record with the earliest serialRefNumber survives; the admin picks which
+// side wins for every field where both records hold different values.
+
+const pipeline = require('./candidatePipeline');
+
+// Picked as one unit so the pipeline stays consistent (a dropout keeps its reason)
+const STATUS_GROUP = [...pipeline.STATUS_FIELDS, 'clientInterviewDate', 'dropoutReason', 'dropoutNotes'];
+const RESUME_GROUP = ['resume', 'resumePath', 'resumeText'];
+
+// Never copied between records
+const SYSTEM_FIELDS = [
+  '_id', '__v', 'serialRefNumber', 'refCode', 'stage', 'statusHistory', 'mergeHistory',
+  'ownerHistory', 'owner', 'createdBy', 'updatedBy', 'createdAt', 'updatedAt'
+];
+
+const isEmpty = v => v === undefined || v === null || v === '';
+const same    = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Plain fields of the Candidate schema that a merge can take from either side
+function mergeFields(schema) {
+  return Object.keys(schema.paths).filter(p =>
+    !p.includes('.') &&
+    !SYSTEM_FIELDS.includes(p) &&
+    !STATUS_GROUP.includes(p) &&
+    !RESUME_GROUP.includes(p)
+  );
+}
+
+// Comparable value: populated refs and dates reduced to strings
+function plain(v) {
+  if (v && v._id) return String(v._id);
+  if (v instanceof Date) return v.toISOString();
+  return v;
+}
+
+/**
+ * The choices an admin has to make: every merge field where both records
+ * hold a different non-empty value, plus 'status' and 'resume' when those
+ * groups differ. Returns a list of keys.
+ */
+function conflicts(primary, secondary) {
+  const keys = mergeFields(primary.constructor.schema).filter(f =>
+    !isEmpty(primary[f]) && !isEmpty(secondary[f]) && !same(plain(primary[f]), plain(secondary[f]))
+  );
+  if (STATUS_GROUP.some(f => !same(plain(primary[f]), plain(secondary[f]))) &&
+      STATUS_GROUP.some(f => !isEmpty(secondary[f]))) {
+    keys.push('status');
+  }
+  if (primary.resumePath && secondary.resumePath && primary.resumePath !== secondary.resumePath) {
+    keys.push('resume');
+  }
+  return keys;
+}
+
+/**
+ * Fold `secondary` into `primary` (both Candidate documents). `picks` maps a
+ * conflict key to 'primary' or 'secondary'; empty fields on the primary are
+ * always filled from the secondary. Histories are combined and the merge is
+ * recorded in mergeHistory together with the owning recruiter.
+ */
+function mergeInto(primary, secondary, picks, { owner, userId }) {
+  const take = key => picks[key] === 'secondary';
+  const note = `Merged with #${secondary.serialRefNumber}`;
+
+  mergeFields(primary.constructor.schema).forEach(f => {
+    if (isEmpty(secondary[f])) return;
+    if (isEmpty(primary[f]) || take(f)) primary.set(f, secondary[f]);
+  });
+
+  if (!primary.resumePath || take('resume')) {
+    if (secondary.resumePath) RESUME_GROUP.forEach(f => primary.set(f, secondary[f]));
+  }
+
+  // keep both timelines, oldest first
+  ['statusHistory', 'ownerHistory'].forEach(f => {
+    primary[f] = [...primary[f], ...secondary[f]]
+      .map(h => (h.toObject ? h.toObject() : h))
+      .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+  });
+
+  if (take('status')) {
+    const next = {};
+    STATUS_GROUP.forEach(f => { next[f] = secondary[f]; });
+    pipeline.recordChanges(primary, next, userId, note);
+    STATUS_GROUP.forEach(f => primary.set(f, next[f]));
+  }
+
+  const previousOwner = primary.owner || primary.createdBy;
+  if (String(previousOwner) !== String(owner)) {
+    primary.ownerHistory.push({
+      from:      previousOwner,
+      to:        owner,
+      reason:    `Merged with #${secondary.serialRefNumber}`,
+      changedBy: userId,
+      changedAt: new Date()
+    });
+  }
+  primary.owner = owner;
+  primary.updatedBy = userId;
+  primary.mergeHistory.push({
+    candidateId:     secondary._id,
+    serialRefNumber: secondary.serialRefNumber,
+    candidateName:   secondary.candidateName,
+    createdBy:       secondary.createdBy,
+    previousOwner,
+    owner,
+    mergedBy:        userId,
+    mergedAt:        new Date()
+  });
+}
+
+module.exports = {
+  STATUS_GROUP,
+  mergeFields,
+  conflicts,
+  mergeInto
+};
@@ -0,0 +1,46 @@
+// backend/utils/candidateOwnership.js
+//
+// Handing candidates from one recruiter to another. Every hand-over is kept
+// in the candidate's ownerHistory and the audit log, and the candidate's
+// interviews move with it so the new owner sees them.
+
+const Candidate = require('../models/Candidate');
+const Interview = require('../models/Interview');
+const audit     = require('./audit');
+
+// Current owner; records from before the owner field fall back to createdBy
+const ownerOf = c => c.owner?._id || c.owner || c.createdBy?._id || c.createdBy;
+
+/**
+ * Give `candidates` to user `to`. Candidates already owned by `to` are
+ * skipped. Writes go straight to the collection, so old records that no
+ * longer pass today's validators can still be moved. Resolves to the
+ * candidates that actually changed hands.
+ */
+async function transferOwnership(req, candidates, to, reason) {
+  const changedAt = new Date();
+  const moved = candidates.filter(c => String(ownerOf(c)) !== String(to));
+  if (!moved.length) return [];
+
+  await Candidate.bulkWrite(moved.map(c => ({
+    updateOne: {
+      filter: { _id: c._id },
+      update: {
+        $set:  { owner: to, updatedBy: req.user._id },
+        $push: { ownerHistory: { from: ownerOf(c), to, reason, changedBy: req.user._id, changedAt } }
+      }
+    }
+  })));
+  await Interview.updateMany({ candidate: { $in: moved.map(c => c._id) } }, { recruiter: to });
+
+  await Promise.all(moved.map(c => audit.record(req, {
+    entity:  'Candidate',
+    action:  'update',
+    doc:     c,
+    changes: [{ field: 'owner', before: ownerOf(c), after: to }],
+    meta:    reason ? { reason } : undefined
+  })));
+  return moved;
+}
+
+module.exports = { ownerOf, transferOwnership };
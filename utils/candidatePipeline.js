@@ -0,0 +1,158 @@
+// backend/utils/candidatePipeline.js
+//
+// The hiring pipeline a candidate moves through. The stage is derived from
+// the three status fields (hrStatus, clientStatus, finalStatus) so existing
+// reports keep working; this module decides which combinations are valid and
+// which stage changes are allowed.
+//
+//   screening → hr-select → client-interview → client-select → offer → joined
+//                    ↘ rejected / dropout at the points shown in TRANSITIONS
+
+const STAGES = {
+  'screening':        'Screening',
+  'hr-select':        'HR Select',
+  'client-interview': 'Client Interview',
+  'client-select':    'Client Select',
+  'offer':            'Offer',
+  'joined':           'Joined',
+  'rejected':         'Rejected',
+  'dropout':          'Dropout'
+};
+
+// Allowed moves from each stage (staying in the same stage is always allowed)
+const TRANSITIONS = {
+  'screening':        ['hr-select', 'rejected'],
+  'hr-select':        ['client-interview', 'screening', 'rejected', 'dropout'],
+  'client-interview': ['client-select', 'hr-select', 'rejected', 'dropout'],
+  'client-select':    ['offer', 'client-interview', 'dropout'],
+  'offer':            ['joined', 'dropout'],
+  'joined':           ['dropout'],
+  'rejected':         ['screening'],
+  'dropout':          []
+};
+
+const STATUS_FIELDS = ['hrStatus', 'clientStatus', 'finalStatus'];
+
+// Stages where nobody needs to work on the candidate any more
+const CLOSED_STAGES = ['joined', 'rejected', 'dropout'];
+
+const OFFER_STATUSES   = ['Offer in Progress', 'Offered', 'Yet to Join'];
+const DROPOUT_STATUSES = ['Shortlist Dropout', 'Offer Dropout', 'Joining Dropout'];
+
+// Offer funnel used by the dashboards: an offer counts as extended once the
+// candidate has it in hand, and as accepted once they have agreed to join
+const OFFER_EXTENDED_STATUSES = ['Offered', 'Yet to Join', 'Joined', 'Offer Dropout', 'Joining Dropout'];
+const OFFER_ACCEPTED_STATUSES = ['Yet to Join', 'Joined', 'Joining Dropout'];
+
+// Every dropout must be filed under one of these reasons (code → label)
+const DROPOUT_REASONS = {
+  'better-offer':   'Accepted a better offer',
+  'counter-offer':  'Retained with a counter offer',
+  'compensation':   'Compensation not acceptable',
+  'location':       'Location / relocation',
+  'role-mismatch':  'Role or profile mismatch',
+  'personal':       'Personal or family reasons',
+  'health':         'Health reasons',
+  'failed-checks':  'Failed background or document checks',
+  'no-response':    'Stopped responding',
+  'other':          'Other (see notes)'
+};
+
+/**
+ * Work out the pipeline stage from a candidate's status fields.
+ */
+function deriveStage(s) {
+  if (s.finalStatus === 'Joined')                  return 'joined';
+  if (DROPOUT_STATUSES.includes(s.finalStatus))    return 'dropout';
+  if (OFFER_STATUSES.includes(s.finalStatus))      return 'offer';
+  if (s.clientStatus === 'Select')                 return 'client-select';
+  if (s.clientStatus === 'Reject')                 return 'rejected';
+  if (s.hrStatus === 'Reject')                     return 'rejected';
+  if (s.hrStatus === 'Select') {
+    return (s.clientStatus === 'Hold' || s.clientInterviewDate) ? 'client-interview' : 'hr-select';
+  }
+  return 'screening';
+}
+
+/**
+ * Check that the status fields don't contradict each other.
+ * Returns an error message, or null when the combination is valid.
+ */
+function checkConsistency(s) {
+  if (s.clientStatus && s.hrStatus !== 'Select') {
+    return 'Client status can only be set after HR has selected the candidate.';
+  }
+  if (s.finalStatus && s.hrStatus !== 'Select') {
+    return 'Final status can only be set after HR has selected the candidate.';
+  }
+  if (s.finalStatus && s.finalStatus !== 'Shortlist Dropout' && s.clientStatus !== 'Select') {
+    return `"${s.finalStatus}" requires the client to have selected the candidate.`;
+  }
+  return null;
+}
+
+/**
+ * Validate moving from `current` statuses to `next` statuses.
+ * Returns an error message, or null when the move is allowed.
+ */
+function checkTransition(current, next) {
+  const problem = checkConsistency(next);
+  if (problem) return problem;
+
+  const from = current.stage || deriveStage(current);
+  const to   = deriveStage(next);
+  if (from === to || TRANSITIONS[from].includes(to)) return null;
+
+  return `A candidate cannot move from ${STAGES[from]} to ${STAGES[to]}.`;
+}
+
+/**
+ * The statuses a candidate will have after `update` is applied to `doc`
+ * (fields missing from `update` keep their current value).
+ */
+function nextStatuses(doc, update) {
+  const next = {};
+  [...STATUS_FIELDS, 'clientInterviewDate'].forEach(field => {
+    next[field] = field in update ? update[field] : doc[field];
+  });
+  return next;
+}
+
+/**
+ * Append statusHistory entries to `candidate` for the stage and every status
+ * field that differs in `next`. Call before assigning `next` to the document.
+ */
+function recordChanges(candidate, next, userId, note) {
+  const at = new Date();
+  const entry = (field, from, to) => ({
+    field, from: from || null, to: to || null, note: note || undefined, changedBy: userId, changedAt: at
+  });
+
+  const fromStage = candidate.isNew ? null : (candidate.stage || deriveStage(candidate));
+  const toStage   = deriveStage(next);
+  if (fromStage !== toStage) candidate.statusHistory.push(entry('stage', fromStage, toStage));
+
+  STATUS_FIELDS.forEach(field => {
+    const before = candidate.isNew ? null : candidate[field];
+    if ((before || null) !== (next[field] || null)) {
+      candidate.statusHistory.push(entry(field, before, next[field]));
+    }
+  });
+}
+
+module.exports = {
+  STAGES,
+  TRANSITIONS,
+  STATUS_FIELDS,
+  CLOSED_STAGES,
+  OFFER_STATUSES,
+  DROPOUT_STATUSES,
+  OFFER_EXTENDED_STATUSES,
+  OFFER_ACCEPTED_STATUSES,
+  DROPOUT_REASONS,
+  deriveStage,
+  checkConsistency,
+  checkTransition,
+  nextStatuses,
+  recordChanges
+};
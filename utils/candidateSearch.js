@@ -0,0 +1,204 @@
+// backend/utils/candidateSearch.js
+//
+// Candidate search for the list page and exports: keywords across every
+// descriptive field (the Candidate text index), the single-field boxes,
+// a dateOfCall range and facet filters (client, statuses, source type,
+// gender, recruiter). Several values of one facet are OR-ed, different
+// facets AND-ed. Facet counts are worked out the usual way: each facet is
+// counted with every filter applied except its own, so picking a value
+// doesn't hide the alternatives.
+//
+// All input comes from the query string and is treated as plain text:
+// regex metacharacters are escaped, keyword operators stripped, facet
+// values checked against the schema, and anything not a string dropped.
+
+const mongoose  = require('mongoose');
+const Candidate = require('../models/Candidate');
+const Client    = require('../models/Client');
+const User      = require('../models/User');
+const { escapeRegex, refFilter } = require('./candidateInput');
+const { candidateScope } = require('./permissions');
+
+const TEXT_KEYS  = ['q', 'searchName', 'searchMobile', 'searchPosition', 'searchClient', 'serialRefNumber', 'dateFrom', 'dateTo'];
+const MAX_LENGTH = 100;
+
+// Facets in sidebar order; `ref` facets hold ids, `list` facets free-form
+// array values, the rest schema enum values
+const FACETS = {
+  client:      { label: 'Client',       ref: true },
+  hrStatus:    { label: 'HR Status' },
+  finalStatus: { label: 'Final Status' },
+  sourceType:  { label: 'Source Type' },
+  gender:      { label: 'Gender' },
+  tags:        { label: 'Tags',         list: true },
+  owner:       { label: 'Recruiter',    ref: true }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const text = v => (typeof v === 'string' ? v.trim().slice(0, MAX_LENGTH) : '');
+
+// "2026-10-19" → Date at UTC midnight (how <input type="date"> values are stored)
+function parseDay(v) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) return null;
+  const d = new Date(`${v}T00:00:00Z`);
+  return isNaN(d) ? null : d;
+}
+
+// Keywords for $text, as plain words: quotes (phrases) and leading "-"
+// (negation) are operators there, so they are removed
+function keywords(q) {
+  return q.replace(/["\\]/g, ' ').split(/\s+/).map(w => w.replace(/^-+/, '')).filter(Boolean).join(' ');
+}
+
+/**
+ * Normalised search from a query string: { q, searchName, …, facets }
+ * where facets maps each facet to the list of valid values picked.
+ */
+function parseSearch(query = {}) {
+  const search = Object.fromEntries(TEXT_KEYS.map(k => [k, text(query[k])]));
+  if (!parseDay(search.dateFrom)) search.dateFrom = '';
+  if (!parseDay(search.dateTo))   search.dateTo = '';
+
+  search.facets = {};
+  Object.entries(FACETS).forEach(([key, facet]) => {
+    let allowed = v => Candidate.schema.path(key).enumValues.includes(v);
+    if (facet.ref)  allowed = mongoose.isValidObjectId;
+    if (facet.list) allowed = v => v.length > 0 && v.length <= MAX_LENGTH;
+    const values = [].concat(query[key] || []).filter(v => typeof v === 'string' && allowed(v));
+    search.facets[key] = [...new Set(values)];
+  });
+  return search;
+}
+
+// Mongo clause for one facet's picked values
+function facetClause(key, values) {
+  const ids = FACETS[key].ref ? values.map(v => new mongoose.Types.ObjectId(v)) : values;
+  return { [key]: { $in: ids } };
+}
+
+// Clauses for everything but the keywords and facets
+async function fieldClauses(search, user) {
+  const clauses = [];
+  const like = v => new RegExp(escapeRegex(v), 'i');
+
+  if (search.searchName)      clauses.push({ candidateName: like(search.searchName) });
+  if (search.searchMobile)    clauses.push({ mobile: like(search.searchMobile) });
+  if (search.searchPosition)  clauses.push({ position: like(search.searchPosition) });
+  if (search.serialRefNumber) clauses.push(refFilter(search.serialRefNumber));
+  if (search.searchClient) {
+    const clientIds = await Client.find({ name: like(search.searchClient) }).distinct('_id');
+    clauses.push({ client: { $in: clientIds } });
+  }
+  if (search.dateFrom || search.dateTo) {
+    const range = {};
+    if (search.dateFrom) range.$gte = parseDay(search.dateFrom);
+    if (search.dateTo)   range.$lt  = new Date(parseDay(search.dateTo).getTime() + DAY_MS);   // whole "to" day
+    clauses.push({ dateOfCall: range });
+  }
+
+  // limited to the candidates the user's role lets them see
+  const scope = await candidateScope(user);
+  if (Object.keys(scope).length) clauses.push(scope);
+  return clauses;
+}
+
+// { $text } part of a filter, or {}
+function textPart(search) {
+  const words = keywords(search.q);
+  return words ? { $text: { $search: words } } : {};
+}
+
+const combine = (base, clauses) => (clauses.length ? { ...base, $and: clauses } : base);
+
+/**
+ * Mongo filter for a search (query-string object or parseSearch result).
+ */
+async function searchFilter(query, user) {
+  const search = query.facets ? query : parseSearch(query);
+  const clauses = await fieldClauses(search, user);
+  Object.entries(search.facets).forEach(([key, values]) => {
+    if (values.length) clauses.push(facetClause(key, values));
+  });
+  return combine(textPart(search), clauses);
+}
+
+/**
+ * Sort for a search: best keyword matches first, otherwise newest calls.
+ */
+function searchSort(search) {
+  return keywords(search.q) ? { score: { $meta: 'textScore' }, dateOfCall: -1 } : { dateOfCall: -1 };
+}
+
+/**
+ * Facet counts for the sidebar:
+ *   [{ key, label, values: [{ value, label, count, selected }] }]
+ */
+async function facetCounts(search, user) {
+  // $text must sit in the first stage; naming deletedAt there keeps the
+  // trash filter from being put in front of it
+  const first = combine({ ...textPart(search), deletedAt: null }, await fieldClauses(search, user));
+
+  const branches = {};
+  Object.keys(FACETS).forEach(key => {
+    const others = Object.entries(search.facets)
+      .filter(([k, values]) => k !== key && values.length)
+      .map(([k, values]) => facetClause(k, values));
+    branches[key] = [
+      ...(others.length ? [{ $match: { $and: others } }] : []),
+      ...(FACETS[key].list ? [{ $unwind: `$${key}` }] : []),   // count each value of the array
+      { $match: { [key]: { $ne: null } } },
+      { $group: { _id: `$${key}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+  });
+  const [counts] = await Candidate.aggregate([{ $match: first }, { $facet: branches }]);
+
+  // names for the id facets
+  const idsOf = key => (counts[key] || []).map(b => b._id);
+  const [clients, owners] = await Promise.all([
+    Client.find({ _id: { $in: idsOf('client') } }).select('name').lean(),
+    User.find({ _id: { $in: idsOf('owner') } }).setOptions({ withDeleted: true }).select('username').lean()
+  ]);
+  const names = new Map([
+    ...clients.map(c => [String(c._id), c.name]),
+    ...owners.map(u => [String(u._id), u.username])
+  ]);
+
+  return Object.entries(FACETS).map(([key, facet]) => ({
+    key,
+    label:  facet.label,
+    values: (counts[key] || []).map(b => ({
+      value:    String(b._id),
+      label:    facet.ref ? names.get(String(b._id)) || 'Unknown' : String(b._id),
+      count:    b.count,
+      selected: search.facets[key].includes(String(b._id))
+    }))
+  }));
+}
+
+/**
+ * Query string for a search, optionally with one facet value toggled.
+ */
+function searchQuery(search, toggle) {
+  const params = new URLSearchParams();
+  TEXT_KEYS.forEach(k => { if (search[k]) params.append(k, search[k]); });
+  Object.entries(search.facets).forEach(([key, values]) => {
+    let list = values;
+    if (toggle && toggle.key === key) {
+      list = values.includes(toggle.value) ? values.filter(v => v !== toggle.value) : [...values, toggle.value];
+    }
+    list.forEach(v => params.append(key, v));
+  });
+  return params.toString();
+}
+
+module.exports = {
+  TEXT_KEYS,
+  FACETS,
+  parseSearch,
+  searchFilter,
+  searchSort,
+  facetCounts,
+  searchQuery
+};
@@ -0,0 +1,145 @@
+// backend/utils/candidateViews.js
+//
+// Layout of the candidates list (columns and sort) and saved views, which
+// store a search together with a layout under a name. The page state lives
+// in the query string – search keys and facets as in candidateSearch, plus
+// sort, dir and repeated cols – so any list can be bookmarked; ?view=<id>
+// opens a saved view instead, and with no state at all the user's pinned
+// view (if any) is opened. ?view=all skips the pinned view.
+
+const mongoose  = require('mongoose');
+const SavedView = require('../models/SavedView');
+const exporter  = require('./candidateExport');
+const { TEXT_KEYS, FACETS, parseSearch, searchSort, searchQuery } = require('./candidateSearch');
+
+// The list's columns before anything is picked
+const DEFAULT_COLUMNS = [
+  'refCode', 'owner', 'dateOfCall', 'source', 'candidateName', 'mobile', 'position',
+  'hrStatus', 'clientStatus', 'finalStatus'
+];
+
+// Shorter headings than the export ones, where the table is tight
+const LIST_LABELS = { owner: 'Recruiter', dateOfCall: 'Date', candidateName: 'Name' };
+
+const STATE_KEYS = [...TEXT_KEYS, ...Object.keys(FACETS), 'sort', 'dir', 'cols'];
+
+/**
+ * Columns the list can show: the export fields, with list headings.
+ * References would sort by id rather than by name, and tags by their whole
+ * list, so neither is sortable.
+ */
+function listFields() {
+  return exporter.exportFields().map(f => ({
+    ...f,
+    label:    LIST_LABELS[f.key] || f.label,
+    sortable: !['ref', 'list'].includes(f.kind)
+  }));
+}
+
+/**
+ * Columns and sort from a query string: { columns, sort: { field, dir } }
+ * where sort.field is null for the default order.
+ */
+function parseLayout(query = {}) {
+  const fields = new Map(listFields().map(f => [f.key, f]));
+  const picked = [...new Set([].concat(query.cols || []).map(String))].filter(k => fields.has(k));
+  const field  = fields.get(String(query.sort || ''));
+
+  return {
+    columns: picked.length ? picked : DEFAULT_COLUMNS,
+    sort: {
+      field: field && field.sortable ? field.key : null,
+      dir:   query.dir === 'asc' ? 1 : -1
+    }
+  };
+}
+
+// Mongo sort for a layout; ties broken by _id so pages don't overlap
+function layoutSort(layout, search) {
+  const { field, dir } = layout.sort;
+  return field ? { [field]: dir, _id: dir } : searchSort(search);
+}
+
+/**
+ * Query string for a layout, optionally with a different sort. Default
+ * columns are left out to keep links short.
+ */
+function layoutQuery(layout, sort = layout.sort) {
+  const params = new URLSearchParams();
+  if (sort.field) {
+    params.append('sort', sort.field);
+    params.append('dir', sort.dir === 1 ? 'asc' : 'desc');
+  }
+  if (layout.columns.join() !== DEFAULT_COLUMNS.join()) layout.columns.forEach(k => params.append('cols', k));
+  return params.toString();
+}
+
+// Query-string object (repeated keys as arrays) from a stored query string
+function queryObject(str) {
+  const obj = {};
+  new URLSearchParams(String(str || '')).forEach((v, k) => {
+    obj[k] = k in obj ? [].concat(obj[k], v) : v;
+  });
+  return obj;
+}
+
+// Views `user` can open: their own and the shared ones
+function visibleViews(user) {
+  return SavedView.find({ $or: [{ owner: user._id }, { shared: true }] })
+    .populate('owner', 'username')
+    .sort({ name: 1 })
+    .lean();
+}
+
+async function findVisible(id, user) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return SavedView.findOne({ _id: id, $or: [{ owner: user._id }, { shared: true }] }).lean();
+}
+
+/**
+ * Search and layout to show for a request: { view, search, layout }, view
+ * being the saved view applied (or null).
+ */
+async function resolveState(query, user) {
+  let view = null;
+  if (query.view !== 'all') {
+    const hasState = STATE_KEYS.some(k => query[k] !== undefined && query[k] !== '');
+    const id = query.view || (!hasState && user.defaultView);
+    view = id ? await findVisible(String(id), user) : null;
+  }
+
+  const source = view
+    ? { ...queryObject(view.filters), sort: view.sort.field, dir: view.sort.dir === 1 ? 'asc' : 'desc', cols: view.columns }
+    : query;
+  return { view, search: parseSearch(source), layout: parseLayout(source) };
+}
+
+/**
+ * Save the given state under `name` for req.user (their view of the same
+ * name is overwritten). Resolves to the view.
+ */
+function saveView(req, { name, shared, search, layout }) {
+  return SavedView.findOneAndUpdate(
+    { owner: req.user._id, name },
+    {
+      shared:  !!shared,
+      filters: searchQuery(search),
+      sort:    layout.sort,
+      columns: layout.columns
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  listFields,
+  parseLayout,
+  layoutSort,
+  layoutQuery,
+  queryObject,
+  visibleViews,
+  findVisible,
+  resolveState,
+  saveView
+};
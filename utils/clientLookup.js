@@ -0,0 +1,29 @@
+// backend/utils/clientLookup.js
+const Client = require('../models/Client');
+
+/**
+ * Aggregation stages that swap a client ObjectId at `field` for the
+ * client's name (or 'Unknown' when the client no longer exists).
+ *
+ *   Candidate.aggregate([
+ *     { $group: { _id: '$client', calls: { $sum: 1 } } },
+ *     ...clientNameStages('_id')
+ *   ])
+ */
+function clientNameStages(field) {
+  return [
+    { $lookup: { from: 'clients', localField: field, foreignField: '_id', as: '__client' } },
+    { $set: { [field]: { $ifNull: [{ $arrayElemAt: ['$__client.name', 0] }, 'Unknown'] } } },
+    { $unset: '__client' }
+  ];
+}
+
+/**
+ * Resolve a list of client ids (e.g. from Candidate.distinct('client'))
+ * to `{ _id, name }` pairs sorted by name.
+ */
+async function clientsByIds(ids) {
+  return Client.find({ _id: { $in: ids } }).select('_id name').sort({ name: 1 }).lean();
+}
+
+module.exports = { clientNameStages, clientsByIds };
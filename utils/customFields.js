@@ -0,0 +1,164 @@
+// backend/utils/customFields.js
+//
+// Admin-defined candidate fields per client (Client.customFields): checking
+// submitted values against them, and the export / list columns they add.
+// Definitions change rarely, so they are cached in memory like the roles
+// in utils/permissions: dropped whenever an admin edits them here and
+// re-read at least once a minute so other app instances catch up.
+
+const Client = require('../models/Client');
+
+const CACHE_MS   = 60 * 1000;
+const MAX_LENGTH = 500;
+
+// Export / list column kind for each field type (see candidateExport)
+const KINDS = { text: 'text', number: 'number', date: 'date', select: 'text', multiselect: 'list', boolean: 'boolean' };
+
+let cache = null;        // { byClient: Map(id → fields), columns, loadedAt }
+let loading = null;
+
+/**
+ * Load (or refresh) the definitions. Safe to await on every request.
+ */
+async function loadFields() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_MS) return cache;
+  if (!loading) {
+    loading = (async () => {
+      const clients = await Client.find({ 'customFields.0': { $exists: true } }).select('name customFields').lean();
+      cache = {
+        byClient: new Map(clients.map(c => [String(c._id), c.customFields])),
+        columns:  buildColumns(clients),
+        loadedAt: Date.now()
+      };
+      return cache;
+    })().finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+// Forget cached definitions after a change and load them again
+function reload() {
+  cache = null;
+  return loadFields();
+}
+
+// Export / list column for one field (see candidateExport.displayValue)
+const columnFor = f => ({ key: `custom.${f.key}`, label: f.label, kind: KINDS[f.type] });
+
+// One column per field key; clients sharing a key share the column
+function buildColumns(clients) {
+  const columns = new Map();
+  clients.forEach(c => c.customFields.forEach(f => {
+    if (!columns.has(f.key)) columns.set(f.key, columnFor(f));
+  }));
+  return [...columns.values()].sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Custom columns for exports and the list, from the cache (call after
+ * loadFields()): [{ key: 'custom.<key>', label, kind }].
+ */
+function columns() {
+  return cache ? cache.columns : [];
+}
+
+/**
+ * Fields of one client, archived ones included unless `activeOnly`. Call
+ * after loadFields().
+ */
+function fieldsFor(clientId, { activeOnly = false } = {}) {
+  const fields = (cache && clientId && cache.byClient.get(String(clientId._id || clientId))) || [];
+  return activeOnly ? fields.filter(f => f.active) : fields;
+}
+
+// Active fields of every client, for the candidate form: { clientId: [fields] }
+function formFieldsByClient() {
+  const out = {};
+  (cache ? cache.byClient : new Map()).forEach((fields, id) => {
+    const active = fields.filter(f => f.active);
+    if (active.length) out[id] = active;
+  });
+  return out;
+}
+
+// ─── Values ────────────────────────────────────────────────────────────────────
+const empty = v => v === undefined || v === null || v === '' || (Array.isArray(v) && !v.length);
+
+/**
+ * One submitted value → { value } (undefined = not set) or { error }.
+ */
+function parseValue(field, raw) {
+  if (Array.isArray(raw) && field.type !== 'multiselect') raw = raw[raw.length - 1];
+  if (field.type === 'boolean') return { value: [true, 'true', 'on', '1', 'yes'].includes(raw) };
+  if (field.type === 'multiselect') {
+    const picked = [...new Set([].concat(raw || []).map(String).filter(Boolean))];
+    if (picked.some(v => !(field.options || []).includes(v))) return { error: `${field.label}: pick from the listed options.` };
+    return { value: picked.length ? picked : undefined };
+  }
+  if (empty(raw)) return { value: undefined };
+
+  const text = String(raw).trim();
+  switch (field.type) {
+    case 'number': {
+      const n = Number(text);
+      return text !== '' && Number.isFinite(n) ? { value: n } : { error: `${field.label} must be a number.` };
+    }
+    case 'date': {
+      const d = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00Z`) : null;
+      return d && !isNaN(d) ? { value: d } : { error: `${field.label} must be a date.` };
+    }
+    case 'select':
+      return (field.options || []).includes(text) ? { value: text } : { error: `${field.label}: pick one of the listed options.` };
+    default:
+      return text.length <= MAX_LENGTH
+        ? { value: text || undefined }
+        : { error: `${field.label} can be at most ${MAX_LENGTH} characters.` };
+  }
+}
+
+/**
+ * Check the custom values submitted with a candidate (`input`, keyed by
+ * field key) against the fields of its client and set data.custom to the
+ * typed values. `current` is the stored candidate when editing: values of
+ * archived fields are kept, and with no input and no change of client
+ * nothing is touched (partial API updates). Resolves to an error message
+ * for the user, or null.
+ */
+async function applyCustomValues(data, input, current = null) {
+  await loadFields();
+  const clientId = data.client || (current && current.client);
+  const sameClient = current && String(current.client?._id || current.client) === String(clientId?._id || clientId);
+  if (input === undefined && current && sameClient) return null;
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) input = {};
+
+  const stored = (current && sameClient && current.custom) || new Map();
+  const storedValue = key => (stored instanceof Map ? stored.get(key) : stored[key]);
+
+  const values = {};
+  const errors = [];
+  fieldsFor(clientId).forEach(field => {
+    if (!field.active) {
+      if (!empty(storedValue(field.key))) values[field.key] = storedValue(field.key);
+      return;
+    }
+    const { value, error } = parseValue(field, input[field.key]);
+    if (error) errors.push(error);
+    else if (field.required && field.type !== 'boolean' && empty(value)) errors.push(`${field.label} is required.`);
+    else if (!empty(value)) values[field.key] = value;
+  });
+
+  if (errors.length) return errors.join(' ');
+  data.custom = Object.keys(values).length ? values : undefined;
+  return null;
+}
+
+module.exports = {
+  FIELD_TYPES: Client.FIELD_TYPES,
+  loadFields,
+  reload,
+  columnFor,
+  columns,
+  fieldsFor,
+  formFieldsByClient,
+  applyCustomValues
+};
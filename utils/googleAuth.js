@@ -0,0 +1,127 @@
+// backend/utils/googleAuth.js
+//
+// What a Google profile is allowed to do, shared by the real strategy and
+// the offline mock (config/passport). Only verified emails on the allowed
+// domains count. Signing in needs an account that linked this Google
+// account from its profile, or a pending invitation for the email – there
+// is no linking by email and no self sign-up.
+
+const crypto     = require('crypto');
+const User       = require('../models/User');
+const Invitation = require('../models/Invitation');
+const audit      = require('./audit');
+const loginGuard = require('./loginGuard');
+const { google } = require('../config/app');
+
+// Verified email of a Google profile, or null
+function profileEmail(profile) {
+  const entry = (profile.emails || []).find(e => e.value && e.verified !== false);
+  return entry ? String(entry.value).trim().toLowerCase() : null;
+}
+
+function allowedEmail(email) {
+  const domain = String(email || '').split('@').pop();
+  return !!email && google.allowedDomains.includes(domain);
+}
+
+// A username not taken yet (trashed users included), from the email
+async function freeUsername(email) {
+  const base = email.split('@')[0].replace(/[^a-zA-Z0-9._-]/g, '') || 'user';
+  for (let n = 1; n < 100; n++) {
+    const name = n === 1 ? base : `${base}${n}`;
+    if (!(await User.exists({ username: name }).setOptions({ withDeleted: true }))) return name;
+  }
+  return `${base}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Create the user an invitation was for, signed in through Google
+async function acceptInvitation(req, invitation, profile, email) {
+  const user = await User.create({
+    username: await freeUsername(email),
+    email,
+    // never typed; they can set one with "Forgot password"
+    password: crypto.randomBytes(32).toString('hex'),
+    role:     invitation.role,
+    manager:  invitation.manager,
+    fullName: profile.displayName || '',
+    googleId: profile.id,
+    googleEmail: email
+  });
+  if (!(await invitation.accept(user))) {
+    await User.deleteOne({ _id: user._id });
+    return null;
+  }
+  await audit.record(req, { entity: 'User', action: 'create', doc: user, meta: { invitation: invitation._id, via: 'google' } });
+  return user;
+}
+
+/**
+ * Sign-in with a Google profile. Resolves to { user, result } where result
+ * is one of LoginEvent.RESULTS; failures are logged here, the successful
+ * sign-in is logged once any 2FA step is passed.
+ */
+async function signIn(req, profile) {
+  const email = profileEmail(profile);
+  let user = null;
+  let result;
+
+  if (!allowedEmail(email)) {
+    result = 'not-allowed';
+  } else {
+    // trashed accounts included, so they are refused rather than recreated
+    user = await User.findOne({ googleId: profile.id }).setOptions({ withDeleted: true });
+    if (user) {
+      result = user.active === false || user.deletedAt ? 'deactivated' : 'ok';
+    } else if (await User.exists({ email }).setOptions({ withDeleted: true })) {
+      result = 'not-linked';
+    } else {
+      const invitation = await Invitation.findPending(email);
+      user = invitation && await acceptInvitation(req, invitation, profile, email);
+      result = user ? 'ok' : 'not-allowed';
+    }
+  }
+
+  if (result !== 'ok') await loginGuard.logAttempt(req, { user, email, result, method: 'google' });
+  return { user, result };
+}
+
+/**
+ * Link a Google profile to the signed-in user. Resolves to an error
+ * message, or null when linked.
+ */
+async function link(req, profile) {
+  const email = profileEmail(profile);
+  if (!allowedEmail(email)) {
+    return `Only Google accounts on ${google.allowedDomains.join(', ') || 'an allowed domain'} can be linked.`;
+  }
+  const taken = await User.exists({ googleId: profile.id, _id: { $ne: req.user._id } }).setOptions({ withDeleted: true });
+  if (taken) return 'That Google account is already linked to another user.';
+
+  const before = req.user.googleEmail || null;
+  await User.updateOne({ _id: req.user._id }, { $set: { googleId: profile.id, googleEmail: email } });
+  await audit.record(req, {
+    entity:  'User',
+    action:  'update',
+    doc:     req.user,
+    changes: [{ field: 'googleEmail', before, after: email }]
+  });
+  return null;
+}
+
+// Stop signing in with Google (the password keeps working)
+async function unlink(req) {
+  await User.updateOne({ _id: req.user._id }, { $unset: { googleId: 1, googleEmail: 1 } });
+  await audit.record(req, {
+    entity:  'User',
+    action:  'update',
+    doc:     req.user,
+    changes: [{ field: 'googleEmail', before: req.user.googleEmail || null, after: null }]
+  });
+}
+
+module.exports = {
+  profileEmail,
+  signIn,
+  link,
+  unlink
+};
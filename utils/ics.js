@@ -0,0 +1,100 @@
+// backend/utils/ics.js
+//
+// Minimal iCalendar (RFC 5545) output for interviews: one VEVENT per
+// interview, times in UTC, UID stable per interview and SEQUENCE bumped on
+// every reschedule so calendar apps update the existing event.
+
+const PRODID = '-//ADYAHR Recruitment//Interviews//EN';
+
+const icsDate = d => new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escape TEXT values (commas, semicolons, backslashes, newlines)
+const escapeText = s => String(s || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values (CN=…) are quoted instead; they can't hold quotes or newlines
+const quoteParam = s => `"${String(s || '').replace(/["\r\n]/g, '')}"`;
+
+// Lines longer than 75 octets are folded with CRLF + space
+function fold(line) {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+const uidFor = (interview, host) => `interview-${interview._id}@${host || 'adyahr.local'}`;
+
+/**
+ * VEVENT lines for one interview. Expects candidate, client and recruiter
+ * to be populated when their names should appear.
+ */
+function eventLines(interview, { host, url } = {}) {
+  const candidateName = interview.candidate?.candidateName || 'Candidate';
+  const clientName    = interview.client?.name ? ` – ${interview.client.name}` : '';
+  const round         = `Round ${interview.round || 1}${interview.title ? ` (${interview.title})` : ''}`;
+  const cancelled     = interview.outcome === 'Cancelled' || interview.outcome === 'Rescheduled';
+
+  const description = [
+    `${round} with ${interview.interviewer?.name || 'interviewer'}`,
+    `Mode: ${interview.mode}`,
+    interview.meetingLink ? `Join: ${interview.meetingLink}` : null,
+    interview.recruiter?.username ? `Recruiter: ${interview.recruiter.username}` : null,
+    url ? `Details: ${url}` : null
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uidFor(interview, host)}`,
+    `DTSTAMP:${icsDate(interview.updatedAt || new Date())}`,
+    `DTSTART:${icsDate(interview.start)}`,
+    `DTEND:${icsDate(interview.end)}`,
+    `SEQUENCE:${interview.sequence || 0}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(`Interview: ${candidateName}${clientName} (${round})`)}`,
+    `DESCRIPTION:${escapeText(description)}`
+  ];
+  const where = interview.location || interview.meetingLink;
+  if (where) lines.push(`LOCATION:${escapeText(where)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (interview.interviewer?.email) {
+    lines.push(`ATTENDEE;CN=${quoteParam(interview.interviewer.name)};ROLE=REQ-PARTICIPANT:mailto:${interview.interviewer.email}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR for `interviews`.
+ *
+ * @param {object[]} interviews
+ * @param {object}   [opts]
+ * @param {string}   [opts.method]  e.g. 'REQUEST' or 'CANCEL' for email invites
+ * @param {string}   [opts.name]    calendar name shown by subscribing apps
+ * @param {string}   [opts.host]    host used in UIDs
+ * @param {Function} [opts.urlFor]  interview → link back to the app
+ */
+function buildCalendar(interviews, { method, name, host, urlFor } = {}) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN'];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  interviews.forEach(iv => lines.push(...eventLines(iv, { host, url: urlFor && urlFor(iv) })));
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar };
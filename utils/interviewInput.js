@@ -0,0 +1,27 @@
+// backend/utils/interviewInput.js
+//
+// Turning the interview form into interview fields. Shared by the interview
+// pages and bulk scheduling from the candidates list.
+
+// "2026-10-20" + "14:30" → Date in server local time
+function slot(date, time) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !/^\d{2}:\d{2}$/.test(time || '')) return null;
+  const d = new Date(`${date}T${time}`);
+  return isNaN(d) ? null : d;
+}
+
+// Form body → interview fields (candidate, client and recruiter are set by the caller)
+function formData(body) {
+  return {
+    round:       Number(body.round) || 1,
+    title:       body.title,
+    interviewer: { name: body.interviewerName, email: body.interviewerEmail || undefined },
+    start:       slot(body.date, body.startTime),
+    end:         slot(body.date, body.endTime),
+    mode:        body.mode,
+    location:    body.location,
+    meetingLink: body.meetingLink
+  };
+}
+
+module.exports = { formData };
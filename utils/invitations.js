@@ -0,0 +1,151 @@
+// backend/utils/invitations.js
+//
+// Inviting users by email instead of an admin choosing their password. An
+// invitation names the role (and optionally the team lead) the new user
+// gets; the emailed link lets them pick a username and password once, before
+// it expires. Used by Admin → Invitations and the recruiter form.
+
+const User       = require('../models/User');
+const Role       = require('../models/Role');
+const Invitation = require('../models/Invitation');
+const audit      = require('./audit');
+const sendEmail  = require('./sendEmail');
+const { loadRoles, permissionsOf, userCan } = require('./permissions');
+const { baseUrl, inviteTtlDays } = require('../config/app');
+
+const TTL_MS = inviteTtlDays * 24 * 60 * 60 * 1000;
+
+const escapeHtml = s => String(s || '').replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+/**
+ * Roles `user` may invite people into. Without role:manage that is only
+ * roles granting nothing they don't have themselves, so an invitation can't
+ * hand out more access than the inviter holds.
+ */
+async function invitableRoles(user) {
+  await loadRoles();
+  const roles = await Role.find().select('key name permissions').sort({ builtIn: -1, name: 1 }).lean();
+  if (userCan(user, 'role:manage')) return roles;
+  const own = permissionsOf(user);
+  return roles.filter(r => r.key !== 'admin' && r.permissions.every(p => own.has(p)));
+}
+
+// Email the link; resolves to false (and logs) when the mail couldn't be sent
+async function deliver(invitation, token, inviter, roleName) {
+  const link = `${baseUrl}/invite/${token}`;
+  try {
+    await sendEmail(
+      invitation.email,
+      'You have been invited to ADYAHR Recruitment',
+      `<p>${escapeHtml(inviter.fullName || inviter.username)} has invited you to join ADYAHR Recruitment as <b>${escapeHtml(roleName)}</b>.</p>
+       <p>Click <a href="${link}">here</a> to choose your username and password.
+          This link works once and expires on ${invitation.expiresAt.toLocaleDateString('en-GB')}.</p>`
+    );
+    return true;
+  } catch (err) {
+    console.error('Invitation email error:', err);
+    return false;
+  }
+}
+
+/**
+ * Invite `email` into `role` on behalf of req.user; the caller checks they
+ * may hand out that role and that `manager` is a team lead. Resolves to
+ * { invitation, sent } or { error } with a message for the form.
+ */
+async function invite(req, { email, role, manager = null }) {
+  email = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: 'Enter a valid email address.' };
+
+  const roleDoc = await Role.findOne({ key: String(role || '') }).select('key name').lean();
+  if (!roleDoc) return { error: 'Role not found.' };
+
+  // users in the trash still hold their email
+  const taken = await User.findOne({ email }).setOptions({ withDeleted: true }).select('deletedAt').lean();
+  if (taken) {
+    return { error: taken.deletedAt ? 'Email belongs to a user in the trash. Restore or purge them first.' : 'Email already in use.' };
+  }
+  if (await Invitation.findPending(email)) {
+    return { error: 'That email already has a pending invitation. Resend it from the invitations list instead.' };
+  }
+
+  const invitation = new Invitation({
+    email,
+    role:      roleDoc.key,
+    manager,
+    invitedBy: req.user._id
+  });
+  const token = invitation.issueToken(TTL_MS);
+  const sent = await deliver(invitation, token, req.user, roleDoc.name);
+  if (sent) {
+    invitation.sentAt = new Date();
+    invitation.sendCount = 1;
+  }
+  await invitation.save();
+  return { invitation, sent };
+}
+
+/**
+ * Send a new link (the old one stops working) and restart the expiry, if
+ * req.user may still invite into the invitation's role. Resolves to
+ * { sent } or { error }.
+ */
+async function resend(req, invitation) {
+  const role = (await invitableRoles(req.user)).find(r => r.key === invitation.role);
+  if (!role) return { error: 'You are not allowed to invite people into this role.' };
+
+  const token = invitation.issueToken(TTL_MS);
+  const sent = await deliver(invitation, token, req.user, role.name);
+  if (sent) {
+    invitation.sentAt = new Date();
+    invitation.sendCount += 1;
+  }
+  await invitation.save();
+  return { sent };
+}
+
+function revoke(req, invitation) {
+  invitation.revokedAt = new Date();
+  invitation.revokedBy = req.user._id;
+  invitation.tokenHash = undefined;
+  return invitation.save();
+}
+
+/**
+ * Create the invited user with the username, profile and password they
+ * chose. Resolves to { user } or { error }.
+ */
+async function accept(req, invitation, { username, fullName, phone, password }) {
+  username = String(username || '').trim();
+  if (!username) return { error: 'Choose a username.' };
+  if (await User.exists({ username }).setOptions({ withDeleted: true })) {
+    return { error: 'That username is taken. Please choose another.' };
+  }
+
+  const user = await User.create({
+    username,
+    email:    invitation.email,
+    password,
+    role:     invitation.role,
+    manager:  invitation.manager,
+    fullName: String(fullName || '').trim(),
+    phone:    String(phone || '').trim()
+  });
+  // two tabs submitting the same link: only one of them gets an account
+  if (!(await invitation.accept(user))) {
+    await User.deleteOne({ _id: user._id });
+    return { error: 'This invitation has already been used or is no longer valid.' };
+  }
+  await audit.record(req, { entity: 'User', action: 'create', doc: user, meta: { invitation: invitation._id } });
+  return { user };
+}
+
+module.exports = {
+  invitableRoles,
+  invite,
+  resend,
+  revoke,
+  accept
+};
@@ -0,0 +1,112 @@
+// backend/utils/loginGuard.js
+//
+// Sign-in throttling and history. Every attempt is written as a LoginEvent.
+// An account locks after too many wrong passwords in a row (User.lockedUntil)
+// and an IP address is refused while it has too many recent failures. Unknown
+// emails are locked out the same way, from their LoginEvents, so the
+// responses never reveal whether an account exists.
+
+const bcrypt     = require('bcryptjs');
+const User       = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const { login: limits } = require('../config/app');
+
+const MINUTE = 60 * 1000;
+
+// The only messages a sign-in failure shows
+const MESSAGES = {
+  'bad-credentials': 'Invalid email or password.',
+  'bad-two-factor':  'Invalid verification code.',
+  locked:            `Too many failed attempts. Try again in ${limits.lockMinutes} minutes.`,
+  throttled:         'Too many failed sign-in attempts from your network. Please try again later.',
+  deactivated:       'This account has been deactivated.',
+  'not-allowed':     'This Google account cannot sign in here. Ask an admin for an invitation.',
+  'not-linked':      'Sign in with your password, then link your Google account from your profile.'
+};
+
+// Compared against when the email is unknown so both cases take as long
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const normalizeEmail = email => String(email || '').trim().toLowerCase();
+
+/**
+ * Save one attempt. Failures are logged, not thrown: a broken history write
+ * must not stop people signing in.
+ */
+async function logAttempt(req, { user, email, result, method = 'password' }) {
+  try {
+    await LoginEvent.create({
+      user:      user?._id || null,
+      email:     normalizeEmail(email || user?.email),
+      method,
+      success:   result === 'ok',
+      result,
+      ip:        req.ip,
+      userAgent: String(req.get('user-agent') || '').slice(0, 300)
+    });
+  } catch (err) {
+    console.error('Login history error:', err);
+  }
+}
+
+// Too many recent failures from this IP?
+async function ipThrottled(ip) {
+  const since = new Date(Date.now() - limits.ipWindowMinutes * MINUTE);
+  const failures = await LoginEvent.countDocuments({ ip, success: false, createdAt: { $gte: since } });
+  return failures >= limits.maxIpFailures;
+}
+
+// Is this account (or unknown email) currently locked?
+async function isLocked(user, email) {
+  if (user) return !!(user.lockedUntil && user.lockedUntil > new Date());
+  const since = new Date(Date.now() - limits.lockMinutes * MINUTE);
+  const failures = await LoginEvent.countDocuments({
+    email: normalizeEmail(email), user: null, result: 'bad-credentials', createdAt: { $gte: since }
+  });
+  return failures >= limits.maxFailures;
+}
+
+/**
+ * Check an email/password pair. Resolves to { user, result } where result
+ * is one of LoginEvent.RESULTS; only 'ok' means sign the user in.
+ */
+async function checkPassword(req, email, password) {
+  if (await ipThrottled(req.ip)) return { user: null, result: 'throttled' };
+
+  const user = await User.findOne({ email: normalizeEmail(email) });
+  if (await isLocked(user, email)) return { user, result: 'locked' };
+
+  const ok = await bcrypt.compare(String(password || ''), user ? user.password : DUMMY_HASH);
+  if (!user || !ok) {
+    if (user) await registerFailure(user);
+    return { user, result: 'bad-credentials' };
+  }
+  if (user.active === false) return { user, result: 'deactivated' };
+
+  if (user.failedLogins || user.lockedUntil) {
+    await User.updateOne({ _id: user._id }, { failedLogins: 0, lockedUntil: null });
+  }
+  return { user, result: 'ok' };
+}
+
+// Count a wrong password (atomically, attempts may race); lock the account
+// when the limit is reached
+async function registerFailure(user) {
+  const updated = await User.findOneAndUpdate({ _id: user._id }, { $inc: { failedLogins: 1 } }, { new: true });
+  if (updated && updated.failedLogins >= limits.maxFailures) {
+    await User.updateOne(
+      { _id: user._id },
+      { failedLogins: 0, lockedUntil: new Date(Date.now() + limits.lockMinutes * MINUTE) }
+    );
+  }
+}
+
+// Lift a lockout early (admin action)
+const unlock = user => User.updateOne({ _id: user._id }, { failedLogins: 0, lockedUntil: null });
+
+module.exports = {
+  MESSAGES,
+  logAttempt,
+  checkPassword,
+  unlock
+};
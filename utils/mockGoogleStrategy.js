@@ -0,0 +1,40 @@
+// backend/utils/mockGoogleStrategy.js
+//
+// Stand-in for passport-google-oauth20 when GOOGLE_AUTH_MOCK=true, so the
+// Google sign-in and linking flows can be tried and tested offline. The
+// first request is sent to a local form (/auth/google/mock) instead of
+// Google; the form returns to the callback with the email and name to use,
+// which are turned into a profile shaped like Google's.
+
+const crypto   = require('crypto');
+const { Strategy } = require('passport');
+
+class MockGoogleStrategy extends Strategy {
+  constructor(options, verify) {
+    super();
+    this.name = 'google';
+    this._verify = verify;
+    this._formURL = options.formURL || '/auth/google/mock';
+  }
+
+  authenticate(req) {
+    const email = String(req.query.email || '').trim().toLowerCase();
+    if (!email) return this.redirect(this._formURL);
+
+    const profile = {
+      provider:    'google',
+      // stable per email, like a real Google account id
+      id:          crypto.createHash('sha256').update(email).digest('hex').slice(0, 21),
+      displayName: String(req.query.name || '').trim() || email.split('@')[0],
+      emails:      [{ value: email, verified: req.query.unverified !== '1' }]
+    };
+
+    this._verify(req, 'mock-access-token', null, profile, (err, user, info) => {
+      if (err) return this.error(err);
+      if (!user) return this.fail(info);
+      this.success(user, info);
+    });
+  }
+}
+
+module.exports = MockGoogleStrategy;
@@ -0,0 +1,133 @@
+// backend/utils/performanceStats.js
+//
+// Recruiter performance figures (calls, selections, offers, dropouts and
+// their daily trend) for any set of candidates. Used by the per-recruiter
+// admin page and the team dashboard.
+
+const Candidate = require('../models/Candidate');
+const { clientNameStages, clientsByIds } = require('./clientLookup');
+
+const OFFER_STATUSES   = ['Offer in Progress', 'Offered'];
+const DROPOUT_STATUSES = ['Shortlist Dropout', 'Offer Dropout', 'Joining Dropout'];
+
+/**
+ * Parse a pair of date strings (YYYY-MM-DD) to start/end Date objects.
+ */
+function parseDateRange(startStr, endStr) {
+  const start = startStr ? new Date(startStr) : new Date();
+  start.setHours(0, 0, 0, 0);
+  const end = endStr ? new Date(endStr) : new Date();
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+}
+
+const rate = (part, whole) => Number((whole ? (part / whole) * 100 : 0).toFixed(2));
+
+/**
+ * Totals, per-client counts and the by-day trend for candidates matching `filter`.
+ */
+async function performanceStats(filter) {
+  const totalCalls = await Candidate.countDocuments(filter);
+  const [
+    clientCalls,
+    selectedCount,
+    clientSelected,
+    offersMade,
+    dropouts
+  ] = await Promise.all([
+    Candidate.aggregate([
+      { $match: filter },
+      { $group: { _id: '$client', calls: { $sum: 1 } } },
+      ...clientNameStages('_id'),
+      { $sort: { calls: -1 } },
+      { $limit: 50 }
+    ]),
+    Candidate.countDocuments({ ...filter, hrStatus: 'Select' }),
+    Candidate.aggregate([
+      { $match: { ...filter, hrStatus: 'Select' } },
+      { $group: { _id: '$client', selected: { $sum: 1 } } },
+      ...clientNameStages('_id'),
+      { $sort: { selected: -1 } },
+      { $limit: 50 }
+    ]),
+    Candidate.countDocuments({ ...filter, finalStatus: { $in: OFFER_STATUSES } }),
+    Candidate.countDocuments({ ...filter, finalStatus: { $in: DROPOUT_STATUSES } })
+  ]);
+
+  const byDayAgg = await Candidate.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: { date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone: "UTC" } }, client: "$client" },
+        calls: { $sum: 1 },
+        selected: { $sum: { $cond: [{ $eq: ['$hrStatus', 'Select'] }, 1, 0] } }
+      }
+    },
+    ...clientNameStages('_id.client'),
+    {
+      $group: {
+        _id: "$_id.date",
+        calls: { $sum: "$calls" },
+        selected: { $sum: "$selected" },
+        clients: { $push: { client: "$_id.client", selected: "$selected" } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  // convert to map per-day clients
+  const byDay = byDayAgg.map(day => {
+    const clientsObj = {};
+    (day.clients || []).forEach(c => { clientsObj[c.client] = c.selected; });
+    return { _id: day._id, calls: day.calls, selected: day.selected, clients: clientsObj };
+  });
+
+  const allClients = (await clientsByIds(await Candidate.distinct('client', filter))).map(c => c.name);
+
+  return {
+    totalCalls,
+    clientCalls,
+    selectedCount,
+    clientSelected,
+    offersMade,
+    dropouts,
+    conversionRate: rate(offersMade, totalCalls),
+    byDay,
+    allClients
+  };
+}
+
+/**
+ * The same totals split by recruiter, one row per member of `members`
+ * (`{ _id, username }`), members without candidates included as zeros.
+ */
+async function memberBreakdown(filter, members) {
+  const rows = await Candidate.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: '$createdBy',
+        calls:    { $sum: 1 },
+        selected: { $sum: { $cond: [{ $eq: ['$hrStatus', 'Select'] }, 1, 0] } },
+        offers:   { $sum: { $cond: [{ $in: ['$finalStatus', OFFER_STATUSES] }, 1, 0] } },
+        dropouts: { $sum: { $cond: [{ $in: ['$finalStatus', DROPOUT_STATUSES] }, 1, 0] } }
+      }
+    }
+  ]);
+  const byId = new Map(rows.map(r => [String(r._id), r]));
+
+  return members.map(m => {
+    const r = byId.get(String(m._id)) || { calls: 0, selected: 0, offers: 0, dropouts: 0 };
+    return {
+      _id:            m._id,
+      username:       m.username,
+      calls:          r.calls,
+      selected:       r.selected,
+      offers:         r.offers,
+      dropouts:       r.dropouts,
+      conversionRate: rate(r.offers, r.calls)
+    };
+  });
+}
+
+module.exports = { parseDateRange, performanceStats, memberBreakdown };
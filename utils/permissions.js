@@ -0,0 +1,136 @@
+// backend/utils/permissions.js
+//
+// Who may do what. Roles change rarely, so their permissions are cached in
+// memory; the cache is dropped whenever an admin edits a role here and is
+// re-read at least once a minute so other app instances catch up.
+
+const Role = require('../models/Role');
+const { teamIds } = require('./team');
+const { ownerOf } = require('./candidateOwnership');
+const { PERMISSIONS, SCOPES } = require('../config/permissions');
+
+const CACHE_MS = 60 * 1000;
+const ALL_PERMISSIONS = new Set(Object.keys(PERMISSIONS));
+const NONE = new Set();
+
+let cache = null;        // { roles: Map(key → Set of permissions), twoFactor: Set of keys, loadedAt }
+let loading = null;
+let builtInsChecked = false;
+
+/**
+ * Load (or refresh) the role cache. Safe to await on every request.
+ */
+async function loadRoles() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_MS) return cache.roles;
+  if (!loading) {
+    loading = (async () => {
+      if (!builtInsChecked) {
+        await Role.ensureBuiltIns();
+        builtInsChecked = true;
+      }
+      const roles = await Role.find().select('key permissions requireTwoFactor').lean();
+      cache = {
+        roles:     new Map(roles.map(r => [r.key, new Set(r.permissions)])),
+        twoFactor: new Set(roles.filter(r => r.requireTwoFactor).map(r => r.key)),
+        loadedAt:  Date.now()
+      };
+      return cache.roles;
+    })().finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+// Forget cached roles after a change and load them again
+function reload() {
+  cache = null;
+  return loadRoles();
+}
+
+/**
+ * Permissions granted to `user` by their role. The admin role always has
+ * every permission so admins can't lock themselves out.
+ */
+function permissionsOf(user) {
+  if (!user) return NONE;
+  if (user.role === 'admin') return ALL_PERMISSIONS;
+  return (cache && cache.roles.get(user.role)) || NONE;
+}
+
+/**
+ * Does `user` have `permission`? An unscoped name such as 'candidate:read'
+ * also matches 'candidate:read:own' and 'candidate:read:all'.
+ */
+function userCan(user, permission) {
+  const granted = permissionsOf(user);
+  return granted.has(permission) || SCOPES.some(scope => granted.has(`${permission}:${scope}`));
+}
+
+/**
+ * Must `user` use two-factor sign-in because of their role? Call after loadRoles().
+ */
+function twoFactorRequired(user) {
+  return !!(user && cache && cache.twoFactor.has(user.role));
+}
+
+/**
+ * Keys of the roles granting `permission` (at any scope). Call after loadRoles().
+ */
+function rolesWith(permission) {
+  const keys = ['admin'];
+  (cache ? cache.roles : new Map()).forEach((granted, key) => {
+    if (key !== 'admin' && userCan({ role: key }, permission)) keys.push(key);
+  });
+  return keys;
+}
+
+/**
+ * The widest scope ('own' | 'team' | 'all') at which `user` has `permission`,
+ * or null.
+ */
+function scopeOf(user, permission) {
+  const granted = permissionsOf(user);
+  return [...SCOPES].reverse().find(scope => granted.has(`${permission}:${scope}`)) || null;
+}
+
+/**
+ * Users whose records `user` reaches through `permission`: null means
+ * everyone, otherwise a list of user ids (empty when they have no access).
+ */
+async function reachableUserIds(user, permission) {
+  switch (scopeOf(user, permission)) {
+    case 'all':  return null;
+    case 'team': return teamIds(user._id);
+    case 'own':  return [user._id];
+    default:     return [];
+  }
+}
+
+/**
+ * Mongo filter limiting candidates to the ones `user` may see (by owner).
+ */
+async function candidateScope(user) {
+  const ids = await reachableUserIds(user, 'candidate:read');
+  return ids ? { owner: { $in: ids } } : {};
+}
+
+/**
+ * May `user` see this candidate (populated or not)?
+ */
+async function canSeeCandidate(user, candidate) {
+  const ids = await reachableUserIds(user, 'candidate:read');
+  const owner = String(ownerOf(candidate));
+  return !ids || ids.some(id => String(id) === owner);
+}
+
+module.exports = {
+  loadRoles,
+  reload,
+  permissionsOf,
+  userCan,
+  twoFactorRequired,
+  rolesWith,
+  scopeOf,
+  reachableUserIds,
+  candidateScope,
+  canSeeCandidate
+};
@@ -0,0 +1,141 @@
+// backend/utils/referenceNumber.js
+//
+// Candidate reference numbers. Every candidate gets:
+//   serialRefNumber – a global number (100001, 100002, ...) used for lookups
+//   refCode         – a formatted code such as WON-2026-000123, built from the
+//                     admin-configured pattern
+//
+// Both come from the counters collection. refCode sequences are keyed by the
+// pattern with everything but {SEQ} filled in ("WON-2026-#"), so a pattern
+// containing {PREFIX} numbers each client separately and {YYYY} restarts
+// every year – no separate "scope" setting is needed.
+
+const mongoose = require('mongoose');
+const Counter  = require('../models/Counter');
+const Setting  = require('../models/Setting');
+const Client   = require('../models/Client');
+
+const FORMAT_KEY   = 'candidateRefFormat';
+const SERIAL_KEY   = 'candidate.serialRefNumber';
+const FIRST_SERIAL = 100001;
+
+const DEFAULT_FORMAT = {
+  pattern:       '{PREFIX}-{YYYY}-{SEQ:6}',
+  defaultPrefix: 'CAN'           // used for clients without their own prefix
+};
+
+const TOKEN   = /\{(PREFIX|YYYY|YY|MM|SEQ(?::(\d+))?)\}/g;
+const LITERAL = /^[A-Za-z0-9/_-]*$/;
+
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check an admin-entered pattern. Returns an error message or null.
+ */
+function validatePattern(pattern) {
+  if (!pattern || pattern.length > 40) return 'Pattern must be 1–40 characters.';
+  const seqs = [...pattern.matchAll(/\{SEQ(?::(\d+))?\}/g)];
+  if (seqs.length !== 1) return 'Pattern must contain {SEQ} (or {SEQ:6} for zero padding) exactly once.';
+  const pad = Number(seqs[0][1] || 0);
+  if (pad > 10) return 'Sequence padding can be at most 10 digits.';
+  if (!LITERAL.test(pattern.replace(TOKEN, ''))) {
+    return 'Only letters, digits, "-", "_", "/" and the tokens {PREFIX}, {YYYY}, {YY}, {MM}, {SEQ} are allowed.';
+  }
+  return null;
+}
+
+// Fill in everything except the sequence: { stem: 'WON-2026-#', pad: 6 }
+function stemFor(pattern, { prefix, date }) {
+  let pad = 0;
+  const stem = pattern.replace(TOKEN, (token, name, digits) => {
+    switch (name) {
+      case 'PREFIX': return prefix;
+      case 'YYYY':   return String(date.getFullYear());
+      case 'YY':     return String(date.getFullYear()).slice(-2);
+      case 'MM':     return String(date.getMonth() + 1).padStart(2, '0');
+      default:       pad = Number(digits || 0); return '#';
+    }
+  });
+  return { stem, pad };
+}
+
+const formatCode = (stem, pad, seq) => stem.replace('#', String(seq).padStart(pad, '0'));
+
+// Highest sequence already used for `stem`, so a new counter never reissues a code
+async function highestForStem(stem) {
+  const [before, after] = stem.split('#').map(escapeRegex);
+  const re = new RegExp(`^${before}(\\d+)${after}$`);
+  // trashed candidates still hold their codes
+  const codes = await mongoose.model('Candidate').find({ refCode: re })
+    .setOptions({ withDeleted: true })
+    .select('refCode')
+    .lean();
+  return codes.reduce((max, c) => Math.max(max, Number(c.refCode.match(re)[1])), 0);
+}
+
+async function highestSerial() {
+  const last = await mongoose.model('Candidate')
+    .findOne({ serialRefNumber: { $ne: null } })
+    .setOptions({ withDeleted: true })      // trashed candidates keep their numbers
+    .sort({ serialRefNumber: -1 })
+    .select('serialRefNumber')
+    .lean();
+  return last ? last.serialRefNumber : FIRST_SERIAL - 1;
+}
+
+/**
+ * The reference format in force (stored setting merged over the defaults).
+ */
+async function getFormat() {
+  return { ...DEFAULT_FORMAT, ...(await Setting.getValue(FORMAT_KEY, {})) };
+}
+
+function saveFormat(format, userId) {
+  return Setting.setValue(FORMAT_KEY, format, userId);
+}
+
+async function prefixFor(clientRef, format) {
+  const id = clientRef?._id || clientRef;
+  const client = id ? await Client.findById(id).select('refPrefix').lean() : null;
+  return client?.refPrefix || format.defaultPrefix;
+}
+
+/**
+ * Next global serial number.
+ */
+function nextSerial() {
+  return Counter.next(SERIAL_KEY, highestSerial);
+}
+
+/**
+ * Next formatted code for `candidate` (uses its client and creation date).
+ */
+async function nextRefCode(candidate, format) {
+  format = format || await getFormat();
+  const prefix = await prefixFor(candidate.client, format);
+  const { stem, pad } = stemFor(format.pattern, { prefix, date: candidate.createdAt || new Date() });
+  const seq = await Counter.next(`candidateRef:${stem}`, () => highestForStem(stem));
+  return formatCode(stem, pad, seq);
+}
+
+/**
+ * What the next code would look like for `prefix`, without using it up.
+ */
+async function previewRefCode(format, prefix) {
+  const { stem, pad } = stemFor(format.pattern, { prefix: prefix || format.defaultPrefix, date: new Date() });
+  const counter = await Counter.findById(`candidateRef:${stem}`).lean();
+  const current = counter ? counter.seq : await highestForStem(stem);
+  return formatCode(stem, pad, current + 1);
+}
+
+module.exports = {
+  DEFAULT_FORMAT,
+  SERIAL_KEY,
+  validatePattern,
+  getFormat,
+  saveFormat,
+  nextSerial,
+  nextRefCode,
+  previewRefCode,
+  highestSerial
+};
@@ -0,0 +1,236 @@
+// backend/utils/resumeParser.js
+//
+// Text out of an uploaded resume (PDF or DOCX, read here – nothing is sent
+// to an outside service) and best guesses at the fields recruiters retype:
+// name, email, mobile, qualification, total experience and the most recent
+// employer. Guesses only prefill the new-candidate form, where the recruiter
+// checks them; the text of the stored resume is kept on the candidate for
+// keyword search (config/multerCloudinary keeps the bytes for that).
+
+const path  = require('path');
+const { normalizeMobile } = require('./candidateDuplicates');
+
+const ALLOWED_EXTS = ['.pdf', '.docx'];
+const MAX_TEXT     = 100 * 1000;     // characters kept for search
+
+// ─── Text extraction ───────────────────────────────────────────────────────────
+async function pdfText(buffer) {
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const { text } = await parser.getText();
+    return text.replace(/^-- \d+ of \d+ --$/gm, '');     // page markers
+  } finally {
+    await parser.destroy();
+  }
+}
+
+async function docxText(buffer) {
+  const mammoth = require('mammoth');
+  const { value } = await mammoth.extractRawText({ buffer });
+  return value;
+}
+
+/**
+ * Plain text of a resume file: tidied lines, at most MAX_TEXT characters.
+ * Rejects for file types other than ALLOWED_EXTS.
+ */
+async function extractText(buffer, filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  if (!ALLOWED_EXTS.includes(ext)) throw new Error('Only PDF and DOCX resumes can be read.');
+  const raw = ext === '.pdf' ? await pdfText(buffer) : await docxText(buffer);
+  return raw
+    .replace(/\r/g, '')
+    .split('\n')
+    .map(line => line.replace(/[\t  ]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n')
+    .slice(0, MAX_TEXT);
+}
+
+/**
+ * Text of an uploaded resume (multer file with .buffer) to keep for search,
+ * or undefined when there is none or it can't be read – the upload itself
+ * still goes ahead.
+ */
+async function textOf(file) {
+  if (!file || !file.buffer || !ALLOWED_EXTS.includes(path.extname(file.originalname || '').toLowerCase())) return undefined;
+  try {
+    return (await extractText(file.buffer, file.originalname)) || undefined;
+  } catch (err) {
+    console.error(`Resume text extraction failed (${file.originalname}):`, err.message);
+    return undefined;
+  }
+}
+
+// ─── Heuristics ────────────────────────────────────────────────────────────────
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Section headings, matched against whole lines
+const HEADINGS = {
+  experience: /^(work |professional |employment )?(experience|history|employment)( history| details)?:?$/i,
+  education:  /^(education|academic|qualifications?)( details| background| qualifications?)?:?$/i,
+  other:      /^(summary|profile|objective|skills|technical skills|projects|certifications?|achievements|languages|hobbies|interests|personal details|declaration|references):?$/i
+};
+
+// Degrees, highest first; the first one found is the one offered
+const DEGREES = [
+  /\b(ph\.? ?d|doctorate)\b/i,
+  /\b(m\.? ?tech|m\.? ?e\.|m\.? ?sc|m\.? ?com|m\.? ?a\.|mba|pgdm|mca|m\.? ?pharm|master(?:'s)? of [a-z ]+|post ?graduat\w*)/i,
+  /\b(b\.? ?tech|b\.? ?e\.|b\.? ?sc|b\.? ?com|b\.? ?a\.|bba|bca|b\.? ?pharm|mbbs|ll\.? ?b|bachelor(?:'s)? of [a-z ]+|graduat\w*)/i,
+  /\b(diploma|iti|polytechnic)\b/i,
+  /\b(12th|hsc|intermediate|higher secondary)\b/i,
+  /\b(10th|ssc|matriculation)\b/i
+];
+
+const COMPANY_HINT = /\b(pvt|private|ltd|limited|llp|inc|corp|corporation|technologies|solutions|services|systems|consulting|consultants|bank|group|labs|software)\b\.?/i;
+const NAME_NOISE   = /(resume|curriculum|vitae|\bcv\b|profile|@|\d|www\.|http)/i;
+
+// Lines under each heading: { top, experience, education, other }
+function sections(lines) {
+  const out = { top: [], experience: [], education: [], other: [] };
+  let current = 'top';
+  lines.forEach(line => {
+    const heading = Object.keys(HEADINGS).find(k => HEADINGS[k].test(line));
+    if (heading) current = heading;
+    else out[current].push(line);
+  });
+  return out;
+}
+
+function guessEmail(text) {
+  const m = text.match(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/);
+  return m ? m[0].toLowerCase() : '';
+}
+
+// First Indian mobile number (10 digits from 6–9, optional +91 / 0)
+function guessMobile(text) {
+  const candidates = text.match(/(?:\+?\d[\d\s().-]{8,16}\d)/g) || [];
+  for (const c of candidates) {
+    const digits = normalizeMobile(c);
+    if (/^[6-9]\d{9}$/.test(digits)) return digits;
+  }
+  return '';
+}
+
+// "Name: …", else the first short line near the top that reads like a name
+function guessName(lines) {
+  const labelled = lines.map(l => l.match(/^(?:full )?name\s*[:-]\s*(.+)$/i)).find(Boolean);
+  if (labelled) return labelled[1].trim();
+
+  const line = lines.slice(0, 8).find(l => {
+    const words = l.split(' ');
+    return !NAME_NOISE.test(l) && words.length >= 2 && words.length <= 4 && /^[A-Za-z .'-]+$/.test(l);
+  });
+  if (!line) return '';
+  // NAMES IN CAPITALS → Names In Capitals
+  return line === line.toUpperCase()
+    ? line.toLowerCase().replace(/\b[a-z]/g, ch => ch.toUpperCase())
+    : line;
+}
+
+// The line naming the highest degree, trimmed to the degree and its subject
+function guessQualification(parts) {
+  const lines = parts.education.length ? parts.education : [...parts.top, ...parts.other];
+  for (const degree of DEGREES) {
+    const line = lines.find(l => degree.test(l));
+    if (line) return line.split(/[,|(]| - | – /)[0].trim().slice(0, 80);
+  }
+  return '';
+}
+
+// "Jun 2021", "06/2021", "2021" → months since year 0; "Present" → now
+function monthOf(token, now) {
+  if (/present|current|till date|now|date/i.test(token)) return now.getFullYear() * 12 + now.getMonth();
+  const year = Number((token.match(/(19|20)\d{2}/) || [])[0]);
+  if (!year) return null;
+  const name = MONTHS.findIndex(m => token.toLowerCase().includes(m));
+  const num  = token.match(/^(\d{1,2})[/.-]/);
+  const month = name >= 0 ? name : num ? Math.min(Math.max(Number(num[1]) - 1, 0), 11) : 0;
+  return year * 12 + month;
+}
+
+const DATE = '(?:[A-Za-z]{3,9}\\.?,? ?|\\d{1,2}[/.-])?(?:19|20)\\d{2}';
+const RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|till)\\s*(${DATE}|present|current|till date|now|date)`, 'gi');
+
+// Date ranges in the experience section, overlaps merged: total months
+function monthsWorked(lines, now) {
+  const spans = [];
+  lines.join('\n').replace(RANGE, (all, from, to) => {
+    const start = monthOf(from, now);
+    const end = monthOf(to, now);
+    if (start !== null && end !== null && end >= start) spans.push([start, end]);
+    return all;
+  });
+  spans.sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let last = -1;
+  spans.forEach(([start, end]) => {
+    if (end <= last) return;
+    total += end - Math.max(start, last);
+    last = end;
+  });
+  return total;
+}
+
+// "6+ years of experience" wins; otherwise the dates of the jobs listed
+function guessExperience(text, parts, now) {
+  const stated = text.match(/(\d{1,2}(?:\.\d)?)\s*\+?\s*(?:years?|yrs?)(?:\s+and\s+\d{1,2}\s*months?)?\s+(?:of\s+)?(?:total\s+|overall\s+|professional\s+|work\s+|relevant\s+)*experience/i)
+    || text.match(/experience\s*[:-]\s*(\d{1,2}(?:\.\d)?)\s*\+?\s*(?:years?|yrs?)/i);
+  if (stated) return `${stated[1]} years`;
+
+  if (/\bfresher\b/i.test(text) && !parts.experience.length) return 'Fresher';
+  const months = monthsWorked(parts.experience, now);
+  if (!months) return '';
+  const years = Math.round(months / 6) / 2;     // nearest half year
+  return years >= 1 ? `${years} years` : `${months} months`;
+}
+
+// Company named on one line: "at Company", or a line that reads like a
+// company name, minus dates and anything after a separator
+// ("Infosys Ltd, Pune | 2021 – Present" → "Infosys Ltd")
+function companyIn(line) {
+  const at = line.match(/\b(?:at|@)\s+([A-Z][\w&.\- ]{2,60})/);
+  if (at) return at[1].replace(RANGE, '').trim();
+  if (COMPANY_HINT.test(line)) return line.replace(RANGE, '').split(/[,|(]| - | – /)[0].trim().slice(0, 80);
+  return '';
+}
+
+// Most recent employer under the experience heading: the one marked
+// "Present", else the first listed (resumes usually put the latest first)
+function guessCompany(parts) {
+  const labelled = parts.experience.concat(parts.top)
+    .map(l => l.match(/^(?:current )?(?:company|employer|organi[sz]ation)\s*[:-]\s*(.+)$/i)).find(Boolean);
+  if (labelled) return labelled[1].trim().slice(0, 80);
+
+  const named = parts.experience.map(line => ({ line, company: companyIn(line) })).filter(e => e.company);
+  const current = named.find(e => /present|current|till date/i.test(e.line));
+  return (current || named[0] || {}).company || '';
+}
+
+/**
+ * Best guesses from resume text, for the form to prefill:
+ * { candidateName, email, mobile, qualification, experience, companyname };
+ * fields that couldn't be found are left out.
+ */
+function guessFields(text, now = new Date()) {
+  const lines = String(text || '').split('\n');
+  const parts = sections(lines);
+  const fields = {
+    candidateName: guessName(lines),
+    email:         guessEmail(text),
+    mobile:        guessMobile(text),
+    qualification: guessQualification(parts),
+    experience:    guessExperience(text, parts, now),
+    companyname:   guessCompany(parts)
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, v]) => v));
+}
+
+module.exports = {
+  ALLOWED_EXTS,
+  MAX_TEXT,
+  extractText,
+  textOf,
+  guessFields
+};
@@ -0,0 +1,53 @@
+// backend/utils/sendEmail.js
+const fs         = require('fs');
+const path       = require('path');
+const nodemailer = require('nodemailer');
+const mailConfig = require('../config/mail');
+
+let transporter = null;
+
+function createTransporter() {
+  switch (mailConfig.transport) {
+    case 'smtp':
+      return nodemailer.createTransport(mailConfig.smtp);
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${mailConfig.transport}"`);
+  }
+}
+
+// Dev transports don't deliver anything – leave the message somewhere visible
+function keepLocalCopy(info, to) {
+  if (mailConfig.transport === 'file') {
+    fs.mkdirSync(mailConfig.dir, { recursive: true });
+    const safeTo = String(to).replace(/[^a-z0-9@._-]/gi, '_');
+    const file = path.join(mailConfig.dir, `${Date.now()}-${safeTo}.eml`);
+    fs.writeFileSync(file, info.message);
+    console.log(`📧 Mail written to ${file}`);
+  } else if (mailConfig.transport === 'json') {
+    console.log('📧 Mail (json transport):', info.message);
+  }
+}
+
+/**
+ * Send an HTML email.
+ *
+ * @param {string} to       recipient address
+ * @param {string} subject
+ * @param {string} html
+ * @param {object} [extra]  any other nodemailer message fields (text, attachments, icalEvent…)
+ */
+async function sendEmail(to, subject, html, extra = {}) {
+  if (!transporter) transporter = createTransporter();
+  const info = await transporter.sendMail({ from: mailConfig.from, to, subject, html, ...extra });
+  keepLocalCopy(info, to);
+  return info;
+}
+
+// Swap the transporter (e.g. a nodemailer stub in scripts or tests)
+sendEmail.setTransporter = t => { transporter = t; };
+
+module.exports = sendEmail;
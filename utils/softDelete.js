@@ -0,0 +1,51 @@
+// backend/utils/softDelete.js
+//
+// Mongoose plugin for records that go to the trash instead of being deleted.
+// Trashed documents carry deletedAt/deletedBy and are left out of every
+// find, count, update and aggregate, so lists and lookups behave as if they
+// were gone. To reach them anyway, either name deletedAt in the filter
+// (e.g. { deletedAt: { $ne: null } } for the trash itself) or set the query
+// option { withDeleted: true }.
+
+const mongoose = require('mongoose');
+
+const QUERY_HOOKS = [
+  'countDocuments', 'distinct', 'find', 'findOne', 'findOneAndUpdate',
+  'findOneAndReplace', 'replaceOne', 'updateOne', 'updateMany'
+];
+
+function softDelete(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  });
+
+  schema.pre(QUERY_HOOKS, function () {
+    const withDeleted = this.options.withDeleted;
+    delete this.options.withDeleted;   // ours, not the driver's
+    if (withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    const [first] = this.pipeline();
+    if (first && first.$match && Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  // Validation is skipped so records that predate a rule can still be
+  // trashed and restored
+  schema.methods.moveToTrash = function (userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restoreFromTrash = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ validateBeforeSave: false });
+  };
+}
+
+module.exports = softDelete;
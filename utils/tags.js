@@ -0,0 +1,71 @@
+// backend/utils/tags.js
+//
+// Colours of the free-form candidate tags. Every tag gets a colour from its
+// name, so the same tag always looks the same; a colour picked when tagging
+// (bulk "Tag" action) overrides it for everyone. Overrides are one Setting,
+// cached like the custom field definitions.
+
+const Setting = require('../models/Setting');
+
+const COLORS_KEY = 'tagColors';
+const CACHE_MS   = 60 * 1000;
+
+// Chip classes per colour (Tailwind's default palette)
+const COLORS = {
+  gray:   'bg-gray-100 text-gray-800',
+  red:    'bg-red-100 text-red-800',
+  yellow: 'bg-yellow-100 text-yellow-800',
+  green:  'bg-green-100 text-green-800',
+  blue:   'bg-blue-100 text-blue-800',
+  indigo: 'bg-indigo-100 text-indigo-800',
+  purple: 'bg-purple-100 text-purple-800',
+  pink:   'bg-pink-100 text-pink-800'
+};
+const NAMES = Object.keys(COLORS);
+
+let cache = null;        // { colors: { tag: colour }, loadedAt }
+
+/**
+ * Load (or refresh) the picked colours. Safe to await on every request.
+ */
+async function loadColors() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_MS) return cache.colors;
+  cache = { colors: await Setting.getValue(COLORS_KEY, {}) || {}, loadedAt: Date.now() };
+  return cache.colors;
+}
+
+// Colour a tag gets when none was picked: a hash of its name
+function defaultColor(tag) {
+  let hash = 0;
+  for (const ch of String(tag)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return NAMES[hash % NAMES.length];
+}
+
+/**
+ * Chip classes for a tag, from the cache (call loadColors() first).
+ */
+function colorClass(tag) {
+  const picked = cache && cache.colors[tag];
+  return COLORS[COLORS[picked] ? picked : defaultColor(tag)];
+}
+
+/**
+ * Give `tags` the colour `color` (one of COLORS); an unknown colour is
+ * ignored. Resolves to true when anything changed.
+ */
+async function setColor(tags, color, userId) {
+  if (!COLORS[color] || !tags.length) return false;
+  const colors = { ...(await Setting.getValue(COLORS_KEY, {}) || {}) };
+  if (tags.every(t => colors[t] === color)) return false;
+  tags.forEach(t => { colors[t] = color; });
+  await Setting.setValue(COLORS_KEY, colors, userId);
+  cache = { colors, loadedAt: Date.now() };
+  return true;
+}
+
+module.exports = {
+  COLORS,
+  loadColors,
+  colorClass,
+  setColor
+};
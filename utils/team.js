@@ -0,0 +1,38 @@
+// backend/utils/team.js
+//
+// Reporting lines. A user's team is themselves plus everyone whose manager
+// chain leads back to them.
+
+const User = require('../models/User');
+
+/**
+ * Ids of `userId` and everyone reporting to them, at any depth.
+ */
+async function teamIds(userId) {
+  const seen = new Set([String(userId)]);
+  const ids = [userId];
+  let frontier = [userId];
+  while (frontier.length) {
+    const reports = await User.find({ manager: { $in: frontier } }).select('_id').lean();
+    frontier = reports.map(r => r._id).filter(id => !seen.has(String(id)));
+    frontier.forEach(id => { seen.add(String(id)); ids.push(id); });
+  }
+  return ids;
+}
+
+/**
+ * Team members of `userId` (themselves included), sorted by username.
+ */
+async function teamMembers(userId, fields = 'username fullName manager role') {
+  return User.find({ _id: { $in: await teamIds(userId) } }).select(fields).sort({ username: 1 }).lean();
+}
+
+/**
+ * Would making `managerId` the manager of `userId` create a loop?
+ */
+async function wouldLoop(userId, managerId) {
+  if (!managerId) return false;
+  return (await teamIds(userId)).some(id => String(id) === String(managerId));
+}
+
+module.exports = { teamIds, teamMembers, wouldLoop };
@@ -0,0 +1,78 @@
+// backend/utils/totp.js
+//
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator,
+// Authy, 1Password etc.: SHA-1, 6 digits, 30-second steps. Secrets are
+// base32 strings, the format authenticator apps expect.
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS       = 6;
+const ALPHABET     = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = '';
+  for (const byte of buf) bits += byte.toString(2).padStart(8, '0');
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) out += ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const ch of clean) {
+    const v = ALPHABET.indexOf(ch);
+    if (v === -1) throw new Error('Invalid base32 secret');
+    bits += v.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+// New random secret (160 bits, as the RFC recommends)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step containing `at` (ms since epoch)
+const stepAt = (at = Date.now()) => Math.floor(at / 1000 / STEP_SECONDS);
+
+// The code for one time step
+function codeFor(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(value).padStart(DIGITS, '0');
+}
+
+/**
+ * Check `token` against `secret`, allowing one step of clock drift either
+ * way. Resolves to the matching time step (store it to refuse replays), or
+ * null. Steps at or before `afterStep` are not accepted.
+ */
+function verify(secret, token, afterStep = -1) {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(code)) return null;
+  const now = stepAt();
+  for (const step of [now, now - 1, now + 1]) {
+    if (step <= afterStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(codeFor(secret, step)), Buffer.from(code))) return step;
+  }
+  return null;
+}
+
+// otpauth:// link encoded in the enrolment QR code
+function keyUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+module.exports = {
+  generateSecret,
+  codeFor,
+  stepAt,
+  verify,
+  keyUri
+};
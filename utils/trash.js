@@ -0,0 +1,98 @@
+// backend/utils/trash.js
+//
+// The trash holds soft-deleted candidates and users (see utils/softDelete)
+// until an admin restores or purges them, or until the retention window runs
+// out. Purging keeps a restorable snapshot in the audit log but removes a
+// candidate's stored resume for good.
+
+const fs         = require('fs');
+const path       = require('path');
+const Candidate  = require('../models/Candidate');
+const User       = require('../models/User');
+const Setting    = require('../models/Setting');
+const cloudinary = require('../config/cloudinary');
+const audit      = require('./audit');
+const { trashRetentionDays } = require('../config/app');
+
+const RETENTION_KEY = 'trashRetentionDays';
+const MODELS = { Candidate, User };
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+// Days before trashed records are purged: admin setting, else config/app
+async function retentionDays() {
+  return Number(await Setting.getValue(RETENTION_KEY, trashRetentionDays)) || trashRetentionDays;
+}
+
+const saveRetentionDays = (days, userId) => Setting.setValue(RETENTION_KEY, days, userId);
+
+// When a record trashed at `deletedAt` will be purged
+const purgeDate = (deletedAt, days) => new Date(new Date(deletedAt).getTime() + days * 24 * 60 * 60 * 1000);
+
+/**
+ * Delete a candidate's resume from wherever it was uploaded: Cloudinary
+ * (resumePath is the delivery URL) or the old local uploads folder.
+ */
+async function removeResume(candidate) {
+  const file = candidate.resumePath;
+  if (!file) return;
+
+  // https://res.cloudinary.com/<cloud>/<raw|image>/upload/v123/resumes/169-cv.pdf
+  const hosted = file.match(/\/(raw|image|video)\/upload\/(?:v\d+\/)?(.+)$/);
+  if (/^https?:\/\//.test(file)) {
+    if (!hosted) return;
+    const [, resourceType, rest] = hosted;
+    // raw files keep their extension in the public id, images don't
+    const publicId = resourceType === 'raw' ? rest : rest.replace(/\.[^/.]+$/, '');
+    await cloudinary.uploader.destroy(decodeURIComponent(publicId), { resource_type: resourceType });
+    return;
+  }
+
+  const onDisk = path.join(__dirname, '..', 'public', file);
+  if (!onDisk.startsWith(path.join(__dirname, '..', 'public', 'uploads') + path.sep)) return;
+  await fs.promises.unlink(onDisk).catch(err => {
+    if (err.code !== 'ENOENT') throw err;
+  });
+}
+
+/**
+ * Permanently delete trashed `docs` of `entity`. Each one's snapshot goes to
+ * the audit log first; a resume that can't be removed is logged and the
+ * record is purged anyway. Resolves to the number purged.
+ */
+async function purge(req, entity, docs, reason) {
+  let purged = 0;
+  for (const doc of docs) {
+    await audit.recordDeletion(req, entity, doc, { purged: reason });
+    if (entity === 'Candidate') {
+      await removeResume(doc).catch(err => console.error(`Resume removal failed for ${doc._id}:`, err.message));
+    }
+    const { deletedCount } = await MODELS[entity].deleteOne({ _id: doc._id, ...IN_TRASH });
+    purged += deletedCount;
+  }
+  return purged;
+}
+
+/**
+ * Purge everything that has been in the trash longer than the retention
+ * window. Runs on a timer from app.js, so there is no signed-in user.
+ */
+async function purgeExpired() {
+  const cutoff = new Date(Date.now() - (await retentionDays()) * 24 * 60 * 60 * 1000);
+  const counts = {};
+  for (const [entity, Model] of Object.entries(MODELS)) {
+    const expired = await Model.find({ deletedAt: { $ne: null, $lte: cutoff } });
+    if (expired.length) counts[entity] = await purge({}, entity, expired, 'retention');
+  }
+  return counts;
+}
+
+module.exports = {
+  MODELS,
+  IN_TRASH,
+  retentionDays,
+  saveRetentionDays,
+  purgeDate,
+  removeResume,
+  purge,
+  purgeExpired
+};
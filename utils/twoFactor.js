@@ -0,0 +1,88 @@
+// backend/utils/twoFactor.js
+//
+// Two-factor sign-in for users: checking a code at login, recovery codes,
+// switching 2FA on and off. The TOTP maths is in utils/totp. Codes are
+// consumed with conditional updates so the same code can't be used twice,
+// even by two requests racing each other.
+
+const crypto = require('crypto');
+const User   = require('../models/User');
+const totp   = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashCode = code => User.hashToken(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+// Fresh recovery codes: { codes } to show once, { hashes } to store
+function newRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashCode) };
+}
+
+/**
+ * Use an authenticator code: resolves to true when it is valid and newer
+ * than the last one accepted, which it then becomes.
+ */
+async function useTotp(user, input) {
+  const code = String(input || '').trim();
+  if (!user?.twoFactor?.enabled || !code) return false;
+
+  const step = totp.verify(user.twoFactor.secret, code, user.twoFactor.lastStep ?? -1);
+  if (step === null) return false;
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, $or: [{ 'twoFactor.lastStep': null }, { 'twoFactor.lastStep': { $lt: step } }] },
+    { $set: { 'twoFactor.lastStep': step } }
+  );
+  return modifiedCount > 0;
+}
+
+/**
+ * Check a code typed at sign-in: an authenticator code or an unused
+ * recovery code. Resolves to 'totp', 'recovery' or null.
+ */
+async function checkCode(user, input) {
+  const code = String(input || '').trim();
+  if (!user?.twoFactor?.enabled || !code) return null;
+
+  if (await useTotp(user, code)) return 'totp';
+
+  const hash = hashCode(code);
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return modifiedCount ? 'recovery' : null;
+}
+
+/**
+ * Turn 2FA on with a secret the user has just proved they can use.
+ * Resolves to the recovery codes to show them.
+ */
+async function enable(user, secret, step) {
+  const { codes, hashes } = newRecoveryCodes();
+  user.twoFactor = { enabled: true, secret, recoveryCodes: hashes, lastStep: step, enabledAt: new Date() };
+  await user.save();
+  return codes;
+}
+
+// Replace the recovery codes; resolves to the new ones
+async function regenerateRecoveryCodes(user) {
+  const { codes, hashes } = newRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+  return codes;
+}
+
+// Switch 2FA off (by the user, or reset by an admin)
+const disable = user => User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false } } });
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  useTotp,
+  checkCode,
+  enable,
+  regenerateRecoveryCodes,
+  disable
+};